@@ -3,6 +3,8 @@
  * Provides password input with strength validation and generation
  */
 
+import { generatePassword, generatePassphrase, GENERATOR_MODES } from '../utils/password-generator.js';
+
 class PasswordStrengthChecker extends HTMLElement {
     constructor() {
         super();
@@ -24,7 +26,7 @@ class PasswordStrengthChecker extends HTMLElement {
     }
 
     static get observedAttributes() {
-        return ['placeholder', 'show-generate', 'min-length'];
+        return ['placeholder', 'show-generate', 'min-length', 'generate-mode'];
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
@@ -50,6 +52,12 @@ class PasswordStrengthChecker extends HTMLElement {
         return this.getAttribute('show-generate') === 'true';
     }
 
+    // Default generator mode: 'password' or 'passphrase'
+    get generateMode() {
+        const mode = this.getAttribute('generate-mode');
+        return GENERATOR_MODES[mode] ? mode : 'password';
+    }
+
     get minLength() {
         return parseInt(this.getAttribute('min-length')) || 8;
     }
@@ -89,7 +97,8 @@ class PasswordStrengthChecker extends HTMLElement {
 
         if (generateBtn) {
             generateBtn.addEventListener('click', () => {
-                this.generatePassword();
+                const modeSelect = this.shadowRoot.querySelector('#generateMode');
+                this.generatePassword(modeSelect ? modeSelect.value : this.generateMode);
             });
         }
     }
@@ -108,28 +117,10 @@ class PasswordStrengthChecker extends HTMLElement {
         }
     }
 
-    generatePassword() {
-        const length = Math.max(this.minLength, 12);
-        const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-        const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        const numbers = '0123456789';
-        const special = '!@#$%^&*()_+-=[]{}|;:,.<>?';
-        const allChars = lowercase + uppercase + numbers + special;
-
-        // Ensure at least one character from each category
-        let password = '';
-        password += lowercase[Math.floor(Math.random() * lowercase.length)];
-        password += uppercase[Math.floor(Math.random() * uppercase.length)];
-        password += numbers[Math.floor(Math.random() * numbers.length)];
-        password += special[Math.floor(Math.random() * special.length)];
-
-        // Fill remaining length
-        for (let i = password.length; i < length; i++) {
-            password += allChars[Math.floor(Math.random() * allChars.length)];
-        }
-
-        // Shuffle the password
-        password = password.split('').sort(() => 0.5 - Math.random()).join('');
+    generatePassword(mode = this.generateMode) {
+        const password = mode === 'passphrase'
+            ? generatePassphrase()
+            : generatePassword(Math.max(this.minLength, 12));
 
         // Set the password
         const input = this.shadowRoot.querySelector('#passwordInput');
@@ -280,14 +271,29 @@ class PasswordStrengthChecker extends HTMLElement {
                     color: #333;
                 }
 
-                .generate-btn {
+                .generate-row {
                     display: ${this.showGenerate ? 'flex' : 'none'};
+                    gap: 0.5rem;
+                    margin-top: 0.5rem;
+                }
+
+                .generate-mode {
+                    padding: 0.5rem;
+                    border: 1px solid #ddd;
+                    border-radius: 4px;
+                    background: white;
+                    font-family: inherit;
+                    font-size: 0.875rem;
+                    color: #333;
+                }
+
+                .generate-btn {
+                    display: flex;
                     align-items: center;
                     justify-content: center;
                     gap: 0.5rem;
-                    width: 100%;
+                    flex: 1;
                     padding: 0.5rem;
-                    margin-top: 0.5rem;
                     background: #f5f5f5;
                     border: 1px solid #ddd;
                     border-radius: 4px;
@@ -375,10 +381,17 @@ class PasswordStrengthChecker extends HTMLElement {
                     </button>
                 </div>
 
-                <button type="button" id="generatePassword" class="generate-btn" title="Generate secure password">
-                    ${this.getGenerateIcon()}
-                    Generate Password
-                </button>
+                <div class="generate-row">
+                    <select id="generateMode" class="generate-mode" aria-label="Generator mode">
+                        ${Object.entries(GENERATOR_MODES).map(([value, label]) =>
+                            `<option value="${value}" ${value === this.generateMode ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                    <button type="button" id="generatePassword" class="generate-btn" title="Generate secure password">
+                        ${this.getGenerateIcon()}
+                        Generate
+                    </button>
+                </div>
 
                 <div class="strength-meter-container">
                     <div class="strength-meter">
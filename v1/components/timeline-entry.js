@@ -3,6 +3,8 @@
  * Displays a timeline entry with preview and click handling
  */
 
+import { escapeHtml } from '../utils/helpers.js';
+
 // For debugging: Confirm module execution
 console.log('timeline-entry.js: Module execution started');
 
@@ -10,6 +12,9 @@ class TimelineEntry extends HTMLElement {
     constructor() {
         super(); // Must be the first call
         this.attachShadow({ mode: 'open' });
+        this._thumbnailLoaders = null; // [() => Promise<url>], set by the UI for entries with images
+        this._thumbnailUrls = [];
+        this._thumbnailObserver = null;
 
         // Constructor uses simplified content.
         // The full render will happen via attributeChangedCallback or connectedCallback.
@@ -22,7 +27,7 @@ class TimelineEntry extends HTMLElement {
     }
 
     static get observedAttributes() {
-        return ['entry-id', 'timestamp', 'preview-text', 'target-timelines', 'has-image', 'has-audio'];
+        return ['entry-id', 'timestamp', 'preview-text', 'target-timelines', 'has-image', 'has-audio', 'has-video', 'attachment-count', 'integrity', 'authorship', 'author-name'];
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
@@ -42,7 +47,7 @@ class TimelineEntry extends HTMLElement {
         console.log('TimelineEntry: Full render method executed.');
         const formattedDate = this.formatDate(this.timestamp);
         const mediaIcons = this.getMediaIcons();
-        const hasMedia = this.hasImage || this.hasAudio;
+        const hasMedia = this.hasImage || this.hasAudio || this.hasVideo;
 
         // Template literal for HTML structure.
         // No backslashes are needed for line continuation here.
@@ -126,6 +131,20 @@ class TimelineEntry extends HTMLElement {
                 .target-timelines {
                     flex: 1;
                 }
+                .author-badge {
+                    margin-right: 0.5rem;
+                    padding: 0.125rem 0.375rem;
+                    border-radius: 3px;
+                    font-size: 0.6875rem;
+                }
+                .author-badge.verified {
+                    color: #166534;
+                    background: #f0fdf4;
+                }
+                .author-badge.warning {
+                    color: #b45309;
+                    background: #fffbeb;
+                }
                 .entry-id {
                     font-family: monospace;
                     background: #f3f4f6;
@@ -147,6 +166,31 @@ class TimelineEntry extends HTMLElement {
                     top: 0.75rem;
                     right: 0.75rem;
                 }
+                .thumbnails {
+                    display: flex;
+                    gap: 0.5rem;
+                    overflow-x: auto;
+                    scroll-snap-type: x mandatory;
+                    margin-bottom: 0.75rem;
+                    scrollbar-width: thin;
+                }
+                .thumbnail {
+                    flex: 0 0 auto;
+                    max-width: 85%;
+                    height: 140px;
+                    border-radius: 6px;
+                    object-fit: cover;
+                    scroll-snap-align: start;
+                }
+                .integrity-warning {
+                    font-size: 0.75rem;
+                    color: #b91c1c;
+                    background: #fef2f2;
+                    border: 1px solid #fecaca;
+                    border-radius: 4px;
+                    padding: 0.25rem 0.5rem;
+                    margin-bottom: 0.5rem;
+                }
                 @media (max-width: 480px) {
                     .timeline-entry { padding: 0.75rem; margin-bottom: 0.5rem; }
                     .entry-header { flex-direction: column; gap: 0.5rem; align-items: flex-start; }
@@ -163,7 +207,7 @@ class TimelineEntry extends HTMLElement {
                 ${hasMedia ? `
                     <div class="media-badge">
                         ${mediaIcons}
-                        Media
+                        ${this.attachmentCount > 1 ? `${this.attachmentCount} items` : 'Media'}
                     </div>
                 ` : ''}
                 <div class="entry-header">
@@ -174,6 +218,12 @@ class TimelineEntry extends HTMLElement {
                         </div>
                     </div>
                 </div>
+                ${this.integrity === 'mismatch' ? `
+                    <div class="integrity-warning">⚠️ Altered after it was written</div>
+                ` : ''}
+                ${this._thumbnailUrls.length > 0 ? `
+                    <div class="thumbnails"></div>
+                ` : ''}
                 <div class="entry-preview">
                     ${this.previewText}
                 </div>
@@ -181,6 +231,7 @@ class TimelineEntry extends HTMLElement {
                     <div class="target-timelines">
                         <strong>Timelines:</strong> ${this.targetTimelines}
                     </div>
+                    ${this.getAuthorBadge()}
                     <div class="entry-id">
                         #${this.entryId}
                     </div>
@@ -194,6 +245,16 @@ class TimelineEntry extends HTMLElement {
         // For now, keeping them as you had.
         this.setAttribute('tabindex', '0');
         this.setAttribute('role', 'button');
+
+        // Thumbnail URLs are set as properties, never written into the markup
+        const thumbnails = this.shadowRoot.querySelector('.thumbnails');
+        this._thumbnailUrls.forEach(url => {
+            const img = document.createElement('img');
+            img.className = 'thumbnail';
+            img.alt = '';
+            img.src = url;
+            thumbnails.appendChild(img);
+        });
     }
 
     // --- Helper methods ---
@@ -221,8 +282,92 @@ class TimelineEntry extends HTMLElement {
         return this.getAttribute('has-audio') === 'true';
     }
 
+    get hasVideo() {
+        return this.getAttribute('has-video') === 'true';
+    }
+
+    get attachmentCount() {
+        return parseInt(this.getAttribute('attachment-count')) || 0;
+    }
+
+    // 'verified', 'mismatch' (metadata or content altered) or 'unverified' (older entry format)
+    get integrity() {
+        return this.getAttribute('integrity') || 'unverified';
+    }
+
+    // Signature status: 'verified', 'unsigned', 'unknown-author' or 'invalid'; empty when not checked
+    get authorship() {
+        return this.getAttribute('authorship') || '';
+    }
+
+    get authorName() {
+        return this.getAttribute('author-name') || '';
+    }
+
+    getAuthorBadge() {
+        const labels = {
+            'verified': `✍️ ${escapeHtml(this.authorName)}`,
+            'unsigned': '⚠️ Unsigned',
+            'unknown-author': '⚠️ Unknown author',
+            'invalid': '⚠️ Signature invalid'
+        };
+        if (!labels[this.authorship]) return '';
+        const tone = this.authorship === 'verified' ? 'verified' : 'warning';
+        return `<div class="author-badge ${tone}">${labels[this.authorship]}</div>`;
+    }
+
+    // Thumbnails are decrypted only once the entry scrolls into view; they form a swipeable strip
+    set thumbnailLoaders(loaders) {
+        this._thumbnailLoaders = loaders && loaders.length > 0 ? loaders : null;
+        this._thumbnailUrls = [];
+        if (this.isConnected) {
+            this.observeThumbnail();
+        }
+    }
+
+    observeThumbnail() {
+        if (!this._thumbnailLoaders || this._thumbnailObserver) return;
+        if (typeof IntersectionObserver === 'undefined') {
+            this.loadThumbnail();
+            return;
+        }
+        this._thumbnailObserver = new IntersectionObserver((observed) => {
+            if (observed.some(item => item.isIntersecting)) {
+                this.stopObservingThumbnail();
+                this.loadThumbnail();
+            }
+        }, { rootMargin: '200px' });
+        this._thumbnailObserver.observe(this);
+    }
+
+    stopObservingThumbnail() {
+        if (this._thumbnailObserver) {
+            this._thumbnailObserver.disconnect();
+            this._thumbnailObserver = null;
+        }
+    }
+
+    async loadThumbnail() {
+        const loaders = this._thumbnailLoaders;
+        if (!loaders) return;
+        this._thumbnailLoaders = null; // Loaded once
+        const results = await Promise.allSettled(loaders.map(loader => loader()));
+        results.filter(result => result.status === 'rejected')
+            .forEach(result => console.warn('TimelineEntry: thumbnail could not be loaded:', result.reason.message));
+        const urls = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        if (urls.length > 0 && this._thumbnailLoaders === null) { // Unless the UI set new loaders meanwhile
+            this._thumbnailUrls = urls;
+            this.render();
+        }
+    }
+
+    disconnectedCallback() {
+        this.stopObservingThumbnail();
+    }
+
     connectedCallback() {
         this.setupEventListeners();
+        this.observeThumbnail();
         if (this.isConnected) {
             let initiallyHasAttributes = false;
             for (const attr of TimelineEntry.observedAttributes) {
@@ -314,6 +459,14 @@ class TimelineEntry extends HTMLElement {
                 </svg>
             `;
         }
+        if (this.hasVideo) {
+            icons += `
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polygon points="23 7 16 12 23 17 23 7"/>
+                    <rect x="1" y="5" width="15" height="14" rx="2" ry="2"/>
+                </svg>
+            `;
+        }
         return icons;
     }
 
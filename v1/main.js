@@ -5,9 +5,14 @@
 
 import { AppState } from './modules/state.js';
 import { DatabaseManager } from './modules/database.js';
-import { CryptoManager } from './modules/crypto.js';
+import { CryptoService } from './modules/crypto-service.js';
 import { UIManager } from './modules/ui.js';
-import { showStatus } from './utils/helpers.js';
+import { AutoLock } from './modules/auto-lock.js';
+import { EncryptedMediaStream, canStream, needsFragmentCheck, isFragmentedMp4 } from './modules/media-stream.js';
+import { showStatus, debounce, sortBy, downloadJSON, downloadBlob, validateAttachmentFile, CONSTANTS } from './utils/helpers.js';
+import { createBackupBlob, readBackupFile } from './utils/backup-file.js';
+import { splitSecret, combineShares } from './utils/shamir.js';
+import { encodeShare, decodeShare, encodeRecoveryKey, decodeRecoveryKey } from './utils/recovery-codes.js';
 
 // Import components
 import './components/password-checker.js';
@@ -18,10 +23,21 @@ import './components/modal-dialog.js';
 class FamilyTimelineApp {
     constructor() {
         this.state = new AppState();
-        this.crypto = new CryptoManager();
+        this.crypto = new CryptoService(); // CryptoManager API, run in a Web Worker when available
         this.db = new DatabaseManager(this.crypto);
         this.ui = new UIManager;
         this.initialized = false;
+        this.timelineLoadId = 0; // Ignores results of timeline loads superseded by newer input
+        this.loadControllers = {}; // AbortControllers of in-flight view loads, by view
+        this.offerRecoveryKitAfterLogin = false; // Set on first run, once the master password is chosen
+        this.viewerKeys = null; // Session keys of a kid who unlocked the timeline viewer with a PIN
+        this.attachmentUrls = {}; // Object URLs of decrypted attachments, by view ('timeline', 'admin')
+        this.mediaStreams = {}; // EncryptedMediaStreams playing in a view, closed with its URLs
+        this.autoLock = new AutoLock({
+            onLock: (reason) => this.lockParentSession(reason),
+            onWarning: (secondsLeft) => this.ui.showAutoLockWarning(secondsLeft),
+            onWarningEnd: () => this.ui.hideAutoLockWarning()
+        });
     }
 
     async init() {
@@ -33,23 +49,51 @@ class FamilyTimelineApp {
             this.setupEventListeners();
             await this.loadInitialData();
             this.ui.updateDisplay();
+            await this.refreshQuickUnlockDisplay();
             this.initialized = true;
             showStatus('App loaded successfully!', 'success');
             console.log('✅ App initialization complete');
         } catch (error) {
             console.error('❌ App initialization failed:', error);
+            if (error.name === 'MigrationError') {
+                this.showMigrationError(error);
+                return;
+            }
             showStatus('Failed to initialize app: ' + error.message, 'error');
         }
     }
 
+    // The app does not start on a half-known schema: the error screen offers a retry, and the pre-upgrade backup
+    // when one was taken (the upgrade goes ahead without it if the snapshot fails)
+    showMigrationError(error) {
+        this.ui.showMigrationError(error);
+        document.getElementById('retryMigrationBtn')?.addEventListener('click', () => window.location.reload());
+        if (!error.snapshotId) return;
+        document.getElementById('downloadMigrationSnapshotBtn')?.addEventListener('click', async () => {
+            try {
+                const backup = await this.db.getMigrationSnapshotBackup(error.snapshotId);
+                if (!backup) {
+                    showStatus('The backup could not be found.', 'error'); return;
+                }
+                downloadBlob(await createBackupBlob(backup), `family-timeline-before-upgrade-${backup.exportedAt.slice(0, 10)}.json`);
+            } catch (downloadError) {
+                console.error('Snapshot download error:', downloadError);
+                showStatus('Failed to download the backup: ' + downloadError.message, 'error');
+            }
+        });
+    }
+
     async loadInitialData() {
         try {
             const settings = await this.db.getAppSettings();
             if (settings) {
                 this.state.updateSettings(settings);
             }
+            this.crypto.setDefaultKdf(this.state.settings.kdfAlgorithm);
+            this.autoLock.configure(this.state.settings);
             const kids = await this.db.getKids();
             this.state.setKids(kids);
+            this.state.setTrustedAuthors(await this.db.getTrustedAuthors());
             console.log('📊 Initial data loaded');
         } catch (error) {
             console.error('Failed to load initial data:', error);
@@ -77,6 +121,11 @@ class FamilyTimelineApp {
         importParentButton?.addEventListener('click', () => {
             this.handleTriggerImportTimeline();
         });
+
+        const verifyViewButton = document.getElementById('verifyTimelineViewBtn');
+        verifyViewButton?.addEventListener('click', () => {
+            this.handleVerifyTimelines(this.getViewerSecret());
+        });
     }
 
     // NEW: Admin view event listeners
@@ -90,6 +139,11 @@ class FamilyTimelineApp {
         exportAllBtn?.addEventListener('click', () => {
             this.handleExportAllData();
         });
+
+        const verifyTimelinesBtn = document.getElementById('verifyTimelines');
+        verifyTimelinesBtn?.addEventListener('click', () => {
+            this.handleVerifyTimelines(this.state.parentSession.keys);
+        });
     }
 
     // NEW: DateTime event listeners
@@ -130,8 +184,26 @@ class FamilyTimelineApp {
         const loginBtn = document.getElementById('loginBtn');
         const logoutBtn = document.getElementById('logoutBtn');
         const switchModeBtn = document.getElementById('switchModeBtn');
+        const changeMasterPasswordBtn = document.getElementById('changeMasterPasswordBtn');
+        const shareAuthorKeyBtn = document.getElementById('shareAuthorKeyBtn');
+        const trustCoAuthorBtn = document.getElementById('trustCoAuthorBtn');
+        const createRecoverySharesBtn = document.getElementById('createRecoverySharesBtn');
+        const recoverWithSharesBtn = document.getElementById('recoverWithSharesBtn');
+        const createRecoveryKitBtn = document.getElementById('createRecoveryKitBtn');
+        const recoverWithKitBtn = document.getElementById('recoverWithKitBtn');
+        const pinLoginBtn = document.getElementById('pinLoginBtn');
+        const setupPinBtn = document.getElementById('setupPinBtn');
         loginBtn?.addEventListener('click', () => this.handleParentLogin());
+        pinLoginBtn?.addEventListener('click', () => this.handleParentPinLogin());
+        setupPinBtn?.addEventListener('click', () => this.handleSetupParentPin());
         logoutBtn?.addEventListener('click', () => this.handleParentLogout());
+        changeMasterPasswordBtn?.addEventListener('click', () => this.handleChangeMasterPassword());
+        shareAuthorKeyBtn?.addEventListener('click', () => this.handleShareAuthorKey());
+        trustCoAuthorBtn?.addEventListener('click', () => this.handleTrustCoAuthor());
+        createRecoverySharesBtn?.addEventListener('click', () => this.handleCreateRecoveryShares());
+        recoverWithSharesBtn?.addEventListener('click', () => this.handleRecoverWithShares());
+        createRecoveryKitBtn?.addEventListener('click', () => this.handleCreateRecoveryKit());
+        recoverWithKitBtn?.addEventListener('click', () => this.handleRecoverWithKit());
         switchModeBtn?.addEventListener('click', () => this.handleModeSwitch());
     }
 
@@ -159,6 +231,9 @@ class FamilyTimelineApp {
     setupSettingsListeners() {
         const saveSettingsBtn = document.getElementById('saveSettingsBtn');
         saveSettingsBtn?.addEventListener('click', () => this.handleSaveSettings());
+
+        const stayUnlockedBtn = document.getElementById('stayUnlockedBtn');
+        stayUnlockedBtn?.addEventListener('click', () => this.autoLock.recordActivity());
     }
 
     setupEntryListeners() {
@@ -171,14 +246,23 @@ class FamilyTimelineApp {
 
     setupTimelineListeners() {
         const viewerPasswordInput = document.getElementById('viewerPassword');
+        // Debounced: each distinct password costs one key derivation per principal
+        const loadTimelineDebounced = debounce((password) => this.handleLoadTimeline(password), CONSTANTS.DEBOUNCE_DELAY);
         viewerPasswordInput?.addEventListener('input', (e) => {
             const password = e.target.value;
+            this.viewerKeys = null; // Typing a password ends a PIN unlock
             if (password.length > 0) {
-                this.handleLoadTimeline(password);
+                loadTimelineDebounced(password);
             } else {
+                this.timelineLoadId++;
                 this.ui.clearTimeline();
+                this.revokeAttachmentUrls('timeline');
             }
         });
+        const viewerPinUnlockBtn = document.getElementById('viewerPinUnlockBtn');
+        viewerPinUnlockBtn?.addEventListener('click', () => this.handleViewerPinUnlock());
+        const viewerPinSetupBtn = document.getElementById('viewerPinSetupBtn');
+        viewerPinSetupBtn?.addEventListener('click', () => this.handleSetupViewerPin());
         document.addEventListener('timeline-entry-click', (e) => {
             this.handleTimelineEntryClick(e.detail.entryId);
         });
@@ -187,6 +271,11 @@ class FamilyTimelineApp {
     setupStateListeners() {
         this.state.on('modeChanged', () => this.ui.updateDisplay());
         this.state.on('parentSessionChanged', () => {
+            if (this.state.parentSession.active) {
+                this.autoLock.start();
+            } else {
+                this.autoLock.stop();
+            }
             this.ui.updateDisplay();
             this.ui.updateKidsDisplay();
             // NEW: Load admin view when parent logs in
@@ -211,12 +300,28 @@ class FamilyTimelineApp {
             showStatus('Please enter your master password', 'error'); return;
         }
         try {
-            const success = await this.state.startParentSession(password);
+            const isValid = await this.verifyMasterPassword(password);
+            if (!isValid) {
+                const pendingJob = await this.db.getRekeyJob();
+                if (pendingJob && pendingJob.type === 'masterPassword' && await this.crypto.checkMasterVerifier(password, pendingJob.newVerifier)) {
+                    showStatus('A master password change was interrupted. Log in with your previous master password to finish it.', 'warning', 10000);
+                } else {
+                    showStatus('Invalid master password', 'error');
+                }
+                return;
+            }
+
+            // The password is only used for the upgrades below; the session keeps the derived keys
+            const parentKeyParams = await this.ensurePrincipalKeyParams(password);
+            await this.db.upgradeLegacyParentSlots(password, parentKeyParams);
+            await this.db.upgradeRecoveryMethods(password, parentKeyParams);
+            const keys = await this.crypto.unlockPrincipal(password, parentKeyParams);
+            const success = await this.state.startParentSession(keys, parentKeyParams);
             if (success) {
-                const loadedCount = await this.loadKidPasswordsToSession();
+                const loadedCount = await this.upgradeKidRecords(password, parentKeyParams);
                 this.ui.updateKidsDisplay();
                 
-                // FIXED: Update target selection after loading passwords
+                // FIXED: Update target selection after kids got their keys
                 this.ui.updateTargetSelection();
                 
                 // NEW: Load admin view
@@ -239,6 +344,11 @@ class FamilyTimelineApp {
                 if (typeof passwordComponent.clearPassword === 'function') {
                     passwordComponent.clearPassword();
                 }
+                await this.resumePendingMasterPasswordChange(password);
+                if (this.offerRecoveryKitAfterLogin) {
+                    this.offerRecoveryKitAfterLogin = false;
+                    await this.handleCreateRecoveryKit({ firstRun: true, masterPassword: password });
+                }
             } else {
                 showStatus('Invalid master password', 'error');
             }
@@ -248,13 +358,714 @@ class FamilyTimelineApp {
         }
     }
 
+    // Parent login with this device's PIN. Upgrades that need the master password wait for the next password login.
+    async handleParentPinLogin() {
+        try {
+            const pendingJob = await this.db.getRekeyJob();
+            if (pendingJob && pendingJob.type === 'masterPassword') {
+                showStatus('A master password change was interrupted. Log in with your master password to finish it.', 'warning', 10000);
+                return;
+            }
+            const parentKeyParams = await this.db.getParentKeyParams();
+            const keys = await this.unlockWithPin('parent', parentKeyParams, 'the parent session');
+            if (!keys) return;
+            const success = await this.state.startParentSession(keys, parentKeyParams);
+            if (!success) {
+                showStatus('Could not start the parent session', 'error'); return;
+            }
+            await this.upgradeKidRecords(null, parentKeyParams);
+            this.ui.updateKidsDisplay();
+            this.ui.updateTargetSelection();
+            showStatus('Parent session unlocked with PIN', 'success');
+        } catch (error) {
+            console.error('PIN login error:', error);
+            showStatus('PIN login failed: ' + (error.message || 'Unknown error'), 'error');
+        }
+    }
+
+    // Checks the password against the stored verifier before a session is started
+    async verifyMasterPassword(password) {
+        const verifier = await this.db.getMasterVerifier();
+        if (verifier) {
+            return this.crypto.checkMasterVerifier(password, verifier);
+        }
+
+        // No verifier yet: either a first run or a database created before verifiers existed
+        const matchesExistingData = await this.checkPasswordAgainstExistingData(password);
+        if (matchesExistingData === false) {
+            return false;
+        }
+        if (matchesExistingData === null) {
+            this.state.validateParentPassword(password);
+            const confirmation = await this.ui.promptPassword('First login: re-enter your new master password to confirm it.');
+            if (confirmation !== password) {
+                throw new Error('Master password confirmation did not match');
+            }
+        }
+
+        const newVerifier = await this.crypto.createMasterVerifier(password);
+        await this.db.saveMasterVerifier(newVerifier);
+        this.offerRecoveryKitAfterLogin = matchesExistingData === null;
+        console.log(matchesExistingData ? '🔑 Master verifier created for existing data' : '🔑 Master verifier created on first run');
+        return true;
+    }
+
+    // Migration path for databases without a verifier.
+    // Returns true/false when there is encrypted data to check against, null when there is none (first run).
+    // Existing entries only count as a match once the password opens one: the newest entry with a master password
+    // slot decides, and entries without such a slot never let a new password through.
+    async checkPasswordAgainstExistingData(password) {
+        const kidsWithPasswords = this.state.kids.filter(k => k.encryptedPassword_base64);
+        for (const kid of kidsWithPasswords) {
+            if (await this.crypto.decryptKidPassword(kid, password)) {
+                return true;
+            }
+        }
+
+        let cursor = null;
+        let hasEntries = false;
+        do {
+            const page = await this.db.getEntriesPage(cursor);
+            hasEntries = hasEntries || page.entries.length > 0;
+            const entry = page.entries.find(e => e.encryptionInfo && (e.encryptionInfo.parent || e.encryptionInfo.general));
+            if (entry) {
+                return !!(await this.crypto.unwrapEntryDek(entry, password, ['parent', 'general']));
+            }
+            cursor = page.cursor;
+        } while (cursor);
+
+        return hasEntries || kidsWithPasswords.length > 0 ? false : null;
+    }
+
+    // Principal key params are public (key ID, salt, KDF, public key); created once per principal and reused by every slot.
+    // The parent gets a key pair and signing key here, while the master password is known. Returns the parent's key params.
+    async ensurePrincipalKeyParams(parentPassword) {
+        let parentKeyParams = await this.db.getParentKeyParams();
+        if (!parentKeyParams || !parentKeyParams.publicKey_base64) {
+            parentKeyParams = await this.crypto.createPrincipalKeyPair(parentPassword, parentKeyParams || this.crypto.createPrincipalKeyParams());
+            await this.db.saveParentKeyParams(parentKeyParams);
+            console.log('🔑 Parent key pair created');
+        }
+        if (!parentKeyParams.signingPublicKey_base64) {
+            parentKeyParams = await this.crypto.createPrincipalSigningKey(parentPassword, parentKeyParams);
+            await this.db.saveParentKeyParams(parentKeyParams);
+        }
+
+        // The parent is always a trusted author on their own device
+        const parentAuthor = await this.crypto.createAuthorRecord(this.state.settings.parentName, parentKeyParams.signingPublicKey_base64);
+        if (!this.state.trustedAuthors.some(author => author.keyId === parentAuthor.keyId)) {
+            this.state.setTrustedAuthors(await this.db.saveTrustedAuthor(parentAuthor));
+        }
+        return parentKeyParams;
+    }
+
+    // Legacy kid password records (encrypted under the master password) are re-sealed to the parent's public key,
+    // and kids without a key pair get one. Kid passwords only live inside this loop.
+    // Returns how many kid records could be opened.
+    async upgradeKidRecords(parentPassword, parentKeyParams) {
+        let openedCount = 0;
+        for (const kid of this.state.kids) {
+            if (!kid.encryptedPassword_base64) {
+                console.warn(`upgradeKidRecords: Kid ${kid.name} (ID: ${kid.id}) has no password record.`);
+                continue;
+            }
+            const sealed = this.crypto.isSealedKidPassword(kid);
+            const hasPublicKey = !!(kid.keyParams && kid.keyParams.publicKey_base64);
+            if (sealed && hasPublicKey) {
+                openedCount++;
+                continue;
+            }
+            try {
+                const kidPassword = await this.crypto.openKidPassword(kid, sealed ? this.state.parentSession.keys : parentPassword, parentKeyParams);
+                if (!kidPassword) {
+                    console.warn(`upgradeKidRecords: Could not open the password record of kid ${kid.name} (ID: ${kid.id}).`);
+                    continue;
+                }
+                openedCount++;
+                if (!hasPublicKey) {
+                    const keyParams = await this.crypto.createPrincipalKeyPair(kidPassword, kid.keyParams || this.crypto.createPrincipalKeyParams());
+                    await this.db.updateKidKeyParams(kid.id, keyParams);
+                    this.state.updateKidKeyParams(kid.id, keyParams);
+                }
+                if (!sealed) {
+                    const sealedData = await this.crypto.sealKidPassword(kidPassword, parentKeyParams);
+                    await this.db.updateKidPassword(kid.id, sealedData);
+                    this.state.updateKidPassword(kid.id, sealedData);
+                }
+            } catch (error) {
+                console.error(`upgradeKidRecords: Error for kid ${kid.name} (ID: ${kid.id}):`, error);
+            }
+        }
+        console.log(`upgradeKidRecords: ${openedCount}/${this.state.kids.length} kid records opened.`);
+        return openedCount;
+    }
+
+    // Kids are written to with their public key; older kids get one at the parent's next login
+    getKidTargetsMissingKeys(targets) {
+        return targets.filter(t => t.startsWith('kid')).filter(target => {
+            const kidNumericId = parseInt(target.replace('kid', ''));
+            const kid = this.state.kids.find(k => k.id === kidNumericId);
+            return !(kid && kid.keyParams && kid.keyParams.publicKey_base64);
+        });
+    }
+
+    getRecipientKeyParams(targets) {
+        const keyParams = { parent: this.state.parentSession.keyParams };
+        for (const target of targets.filter(t => t.startsWith('kid'))) {
+            const kidNumericId = parseInt(target.replace('kid', ''));
+            const kid = this.state.kids.find(k => k.id === kidNumericId);
+            keyParams[target] = kid ? kid.keyParams : null;
+        }
+        return keyParams;
+    }
+
+    // Hints of each known principal for every month with entries; only the principal the password (or session keys)
+    // belongs to yields hints that match stored slots
+    async getRecipientHintsForPassword(password) {
+        const parentKeyParams = await this.db.getParentKeyParams();
+        const keyParamsList = [parentKeyParams, ...this.state.kids.map(kid => kid.keyParams)];
+        const authorPublicKeys = parentKeyParams && parentKeyParams.publicKey_base64 ? [parentKeyParams.publicKey_base64] : [];
+        return this.crypto.getRecipientHints(password, keyParamsList, authorPublicKeys, await this.db.getHintEpochs());
+    }
+
+    // What the timeline viewer decrypts with: the typed password, or the keys of a PIN unlock
+    getViewerSecret() {
+        return document.getElementById('viewerPassword')?.value || this.viewerKeys;
+    }
+
+    // Quick-unlock PINs
+    // A PIN opens a principal's session keys on this device only; CONSTANTS.MAX_PIN_ATTEMPTS wrong PINs wipe it.
+    async refreshQuickUnlockDisplay() {
+        try {
+            this.ui.updateQuickUnlockDisplay(await this.db.getQuickUnlockIds());
+        } catch (error) {
+            console.error('Failed to read quick-unlock PINs:', error);
+        }
+    }
+
+    // Asks for a new PIN twice; '' when the user chose to remove the current one, null when cancelled or invalid
+    requestNewPin(message) {
+        const pin = prompt(message);
+        if (pin === null || pin === '') return pin;
+        this.state.validatePin(pin);
+        if (prompt('Enter the PIN again:') !== pin) {
+            showStatus('The PINs do not match.', 'error');
+            return null;
+        }
+        return pin;
+    }
+
+    // Returns session keys, or null (cancelled, wrong PIN, outdated or wiped PIN) after telling the user why
+    async unlockWithPin(id, keyParams, label) {
+        const record = await this.db.getQuickUnlock(id);
+        if (!record) {
+            showStatus(`No PIN is set up for ${label} on this device.`, 'error');
+            return null;
+        }
+        if (!keyParams || record.keyId !== keyParams.keyId) {
+            // The password changed after the PIN was set up
+            await this.db.deleteQuickUnlock(id);
+            await this.refreshQuickUnlockDisplay();
+            showStatus(`The PIN for ${label} no longer works because the password changed. Use the password and set up a new PIN.`, 'warning', 10000);
+            return null;
+        }
+        const pin = prompt(`Enter the PIN for ${label}:`);
+        if (!pin) return null;
+        const keys = await this.crypto.openQuickUnlock(record, pin, keyParams);
+        if (keys) {
+            if (record.failedAttempts) await this.db.resetQuickUnlockFailures(id);
+            return keys;
+        }
+        const attemptsLeft = await this.db.recordQuickUnlockFailure(id, CONSTANTS.MAX_PIN_ATTEMPTS);
+        if (attemptsLeft === 0) {
+            await this.refreshQuickUnlockDisplay();
+            showStatus(`Too many wrong PINs: the PIN for ${label} was removed from this device. Use the password.`, 'error', 10000);
+        } else {
+            showStatus(`Wrong PIN. ${attemptsLeft} attempt(s) left.`, 'error');
+        }
+        return null;
+    }
+
+    async handleSetupParentPin() {
+        if (!this.state.parentSession.active || !this.state.parentSession.keyParams) {
+            showStatus('Login as parent to set up a PIN.', 'error'); return;
+        }
+        try {
+            const existing = await this.db.getQuickUnlock('parent');
+            const pin = this.requestNewPin(existing
+                ? 'Enter a new 4-12 digit PIN for this device (leave empty to remove the current PIN):'
+                : 'Enter a 4-12 digit PIN to unlock the parent session on this device:');
+            if (pin === null) return;
+            if (pin === '') {
+                if (existing) {
+                    await this.db.deleteQuickUnlock('parent');
+                    await this.refreshQuickUnlockDisplay();
+                    showStatus('PIN removed from this device.', 'success');
+                }
+                return;
+            }
+            const password = await this.requestMasterPassword('Enter your master password to set up the PIN:');
+            if (password === null) return;
+            const record = await this.crypto.createQuickUnlock(password, this.state.parentSession.keyParams, pin);
+            await this.db.saveQuickUnlock('parent', record);
+            await this.refreshQuickUnlockDisplay();
+            showStatus(`PIN set up on this device. After ${CONSTANTS.MAX_PIN_ATTEMPTS} wrong PINs it is removed and the master password is needed.`, 'success', 8000);
+        } catch (error) {
+            console.error('Set up PIN error:', error);
+            showStatus('Failed to set up PIN: ' + error.message, 'error');
+        }
+    }
+
+    // The kid a password belongs to: their private key only unwraps with it
+    async findKidForPassword(password) {
+        const kids = this.state.kids.filter(kid => kid.isActive && kid.keyParams && kid.keyParams.encryptedPrivateKey);
+        for (const kid of kids) {
+            try {
+                await this.crypto.getPrincipalPrivateKey(password, kid.keyParams);
+                return kid;
+            } catch (error) {
+                // Not this kid's password
+            }
+        }
+        return null;
+    }
+
+    async handleSetupViewerPin() {
+        const password = document.getElementById('viewerPassword')?.value;
+        if (!password) {
+            showStatus('Enter your password first, then set up a PIN for this device.', 'error'); return;
+        }
+        try {
+            const kid = await this.findKidForPassword(password);
+            if (!kid) {
+                showStatus('This password does not belong to a kid timeline.', 'error'); return;
+            }
+            const pin = this.requestNewPin(`Enter a 4-12 digit PIN to open ${kid.name}'s timeline on this device:`);
+            if (!pin) return;
+            const record = await this.crypto.createQuickUnlock(password, kid.keyParams, pin);
+            await this.db.saveQuickUnlock(`kid${kid.id}`, record);
+            await this.refreshQuickUnlockDisplay();
+            showStatus(`PIN set up for ${kid.name} on this device.`, 'success');
+        } catch (error) {
+            console.error('Set up viewer PIN error:', error);
+            showStatus('Failed to set up PIN: ' + error.message, 'error');
+        }
+    }
+
+    async handleViewerPinUnlock() {
+        try {
+            const ids = await this.db.getQuickUnlockIds();
+            const kids = this.state.kids.filter(kid => kid.isActive && ids.includes(`kid${kid.id}`));
+            if (kids.length === 0) {
+                showStatus('No kid PIN is set up on this device.', 'error'); return;
+            }
+            let kid = kids[0];
+            if (kids.length > 1) {
+                const choice = prompt(`Whose timeline?\n${kids.map((k, i) => `${i + 1}. ${k.name}`).join('\n')}`);
+                if (choice === null) return;
+                kid = kids[parseInt(choice, 10) - 1];
+                if (!kid) {
+                    showStatus('Please enter one of the listed numbers.', 'error'); return;
+                }
+            }
+            const keys = await this.unlockWithPin(`kid${kid.id}`, kid.keyParams, kid.name);
+            if (!keys) return;
+            const viewerPasswordInput = document.getElementById('viewerPassword');
+            if (viewerPasswordInput) viewerPasswordInput.value = '';
+            this.viewerKeys = keys;
+            await this.handleLoadTimeline(keys);
+        } catch (error) {
+            console.error('Viewer PIN unlock error:', error);
+            showStatus('PIN unlock failed: ' + error.message, 'error');
+        }
+    }
+
+    // The session only holds derived keys, so actions that need the master password itself ask for it again
+    async requestMasterPassword(message) {
+        const password = await this.ui.promptPassword(message);
+        if (password === null) return null;
+        if (!(await this.crypto.checkMasterVerifier(password, await this.db.getMasterVerifier()))) {
+            showStatus('Master password is incorrect.', 'error');
+            return null;
+        }
+        return password;
+    }
+
+    async handleChangeMasterPassword() {
+        if (!this.state.parentSession.active || !this.state.parentSession.keys) {
+            showStatus('Login as parent to change the master password.', 'error'); return;
+        }
+        try {
+            const currentPassword = await this.requestMasterPassword('Enter your current master password:');
+            if (currentPassword === null) return;
+            const newPassword = await this.ui.promptPassword('Enter the new master password:');
+            if (newPassword === null) return;
+            this.state.validateParentPassword(newPassword);
+            if (newPassword === currentPassword) {
+                showStatus('The new master password must be different from the current one.', 'error'); return;
+            }
+            const confirmation = await this.ui.promptPassword('Re-enter the new master password to confirm:');
+            if (confirmation !== newPassword) {
+                showStatus('Master password confirmation did not match.', 'error'); return;
+            }
+            await this.runMasterPasswordChange(currentPassword, newPassword);
+        } catch (error) {
+            console.error('Change master password error:', error);
+            showStatus('Failed to change master password: ' + error.message, 'error');
+        }
+    }
+
+    // Offered right after login when a previous change did not finish (tab closed, crash...)
+    async resumePendingMasterPasswordChange(currentPassword) {
+        const pendingJob = await this.db.getRekeyJob();
+        if (!pendingJob || pendingJob.type !== 'masterPassword') return;
+
+        const resume = confirm(
+            `A master password change started on ${new Date(pendingJob.startedAt).toLocaleString()} did not finish.\n\n` +
+            `Resume it now? (Cancel discards it and keeps the current master password.)`
+        );
+        if (!resume) {
+            await this.db.discardRekeyJob();
+            showStatus('Interrupted master password change discarded.', 'info');
+            return;
+        }
+        const newPassword = await this.ui.promptPassword('Enter the new master password you chose when the change started:');
+        if (!newPassword) return;
+        try {
+            await this.runMasterPasswordChange(currentPassword, newPassword);
+        } catch (error) {
+            console.error('Resume master password change error:', error);
+            showStatus('Failed to resume master password change: ' + error.message, 'error');
+        }
+    }
+
+    async runMasterPasswordChange(oldPassword, newPassword) {
+        showStatus('Re-encrypting kid passwords and entries...', 'info', 0);
+        const releaseLock = this.autoLock.hold('master password change');
+        let result;
+        try {
+            result = await this.db.changeMasterPassword(oldPassword, newPassword, (done, total) => {
+                showStatus(`Re-encrypting kid passwords and entries... ${done}/${total}`, 'info', 0);
+            });
+        } finally {
+            releaseLock();
+        }
+
+        this.state.setParentSessionKeys(await this.crypto.unlockPrincipal(newPassword, result.parentKeyParams), result.parentKeyParams);
+        const kids = await this.db.getKids();
+        this.state.setKids(kids);
+
+        showStatus(`Master password changed: ${result.kidsUpdated} kid(s) and ${result.entriesUpdated} entries re-encrypted.`, 'success', 10000);
+    }
+
+    // Social recovery: a recovery secret split into N-of-M Shamir shares for trusted people
+    async handleCreateRecoveryShares() {
+        if (!this.state.parentSession.active) {
+            showStatus('Login as parent to create recovery shares.', 'error'); return;
+        }
+        try {
+            const holdersInput = prompt('Who will keep a recovery share? Enter 2 to 10 names separated by commas (e.g. Grandma, Grandpa, Alex):');
+            if (holdersInput === null) return;
+            const holders = holdersInput.split(',').map(name => name.trim()).filter(Boolean);
+            if (holders.length < 2 || holders.length > 10) {
+                showStatus('Enter between 2 and 10 share holders.', 'error'); return;
+            }
+            const suggested = Math.floor(holders.length / 2) + 1;
+            const thresholdInput = prompt(`How many of the ${holders.length} shares should be needed to recover? (2-${holders.length})`, String(suggested));
+            if (thresholdInput === null) return;
+            const threshold = parseInt(thresholdInput, 10);
+            if (!Number.isInteger(threshold) || threshold < 2 || threshold > holders.length) {
+                showStatus(`The number of shares needed must be between 2 and ${holders.length}.`, 'error'); return;
+            }
+            if (await this.db.getRecoveryMethod('shamir')) {
+                const replace = confirm('Recovery shares already exist. Creating new ones makes every old share useless. Continue?');
+                if (!replace) return;
+            }
+            // The shares open a recovery slot wrapping the parent's key material, which is derived from the master password
+            const parentPassword = await this.requestMasterPassword('Enter your master password to create the recovery shares:');
+            if (parentPassword === null) return;
+
+            const secret = this.crypto.generateRecoverySecret();
+            const record = await this.crypto.createRecoveryMethod(
+                'shamir', secret, parentPassword, this.state.parentSession.keyParams, { threshold, shareCount: holders.length, holders }
+            );
+            const shares = splitSecret(secret, holders.length, threshold).map((share, i) => ({
+                holder: holders[i],
+                index: share.index,
+                code: encodeShare({ setId: record.recoveryId, threshold, index: share.index, data: share.data })
+            }));
+            secret.fill(0);
+            await this.db.saveRecoveryMethod(record);
+
+            const details = { threshold, shareCount: holders.length, parentName: this.state.settings.parentName, createdAt: record.createdAt };
+            if (confirm(`${holders.length} recovery shares created (${threshold} needed to recover).\n\nOK: open a printable sheet for each holder.\nCancel: download one share file per holder.`)) {
+                const releaseLock = this.autoLock.holdWhileAway('printing recovery shares');
+                try {
+                    this.ui.printRecoveryShares(shares, details);
+                } catch (error) {
+                    releaseLock();
+                    throw error;
+                }
+            } else {
+                for (const share of shares) {
+                    const safeHolder = share.holder.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+                    downloadJSON({
+                        type: 'family-timeline-recovery-share',
+                        version: 1,
+                        holder: share.holder,
+                        index: share.index,
+                        threshold,
+                        shareCount: holders.length,
+                        createdAt: record.createdAt,
+                        share: share.code
+                    }, `recovery_share_${share.index}_${safeHolder}.json`);
+                }
+            }
+            showStatus(`Recovery shares created: any ${threshold} of ${holders.length} can reset the master password.`, 'success', 8000);
+        } catch (error) {
+            console.error('Create recovery shares error:', error);
+            showStatus('Failed to create recovery shares: ' + error.message, 'error');
+        }
+    }
+
+    // Recovery kit: a one-time random recovery key, printed as text and a QR code (offered at setup and from the menu)
+    // At setup the login passes the master password in; from the menu it is asked for again.
+    async handleCreateRecoveryKit({ firstRun = false, masterPassword = null } = {}) {
+        if (!this.state.parentSession.active) {
+            showStatus('Login as parent to create a recovery kit.', 'error'); return;
+        }
+        try {
+            const existing = await this.db.getRecoveryMethod('kit');
+            const question = firstRun
+                ? 'Create a printable recovery kit now? It lets you regain access if you ever forget the master password.'
+                : existing
+                    ? 'A recovery kit already exists. A new kit makes the old sheet useless. Continue?'
+                    : 'Create a printable recovery kit? It lets you regain access if you ever forget the master password.';
+            if (!confirm(question)) {
+                if (firstRun) showStatus('You can create a recovery kit later from the parent menu.', 'info');
+                return;
+            }
+            const parentPassword = masterPassword || await this.requestMasterPassword('Enter your master password to create the recovery kit:');
+            if (parentPassword === null) return;
+
+            const key = this.crypto.generateRecoverySecret();
+            const record = await this.crypto.createRecoveryMethod('kit', key, parentPassword, this.state.parentSession.keyParams);
+            const code = encodeRecoveryKey({ recoveryId: record.recoveryId, key });
+            key.fill(0);
+            await this.db.saveRecoveryMethod(record);
+            const releaseLock = this.autoLock.holdWhileAway('printing the recovery kit');
+            try {
+                this.ui.printRecoveryKit({ code, parentName: this.state.settings.parentName, createdAt: record.createdAt });
+            } catch (error) {
+                // Pop-up blocked: show the key once so the kit is not lost
+                prompt(`${error.message}\n\nOr write down your recovery key now:`, code);
+                releaseLock();
+            }
+            showStatus('Recovery kit created. Print it and keep it somewhere safe.', 'success', 8000);
+        } catch (error) {
+            console.error('Create recovery kit error:', error);
+            showStatus('Failed to create recovery kit: ' + error.message, 'error');
+        }
+    }
+
+    async handleRecoverWithKit() {
+        try {
+            const record = await this.db.getRecoveryMethod('kit');
+            if (!record) {
+                showStatus('No recovery kit was created on this device.', 'error'); return;
+            }
+            const code = prompt('Enter the recovery key from your recovery kit:');
+            if (code === null) return;
+            const { recoveryId, key } = decodeRecoveryKey(code);
+            if (recoveryId !== record.recoveryId) {
+                showStatus('This recovery key belongs to an older or different kit.', 'error'); return;
+            }
+            let recoveredKeys;
+            try {
+                recoveredKeys = await this.crypto.openRecoverySlot(record, key, await this.db.getParentKeyParams());
+            } finally {
+                key.fill(0);
+            }
+            await this.resetMasterPasswordWithRecovered(recoveredKeys);
+        } catch (error) {
+            console.error('Recovery with kit error:', error);
+            showStatus('Recovery failed: ' + error.message, 'error');
+        }
+    }
+
+    // Share codes are typed from printed sheets or read from share files
+    async collectRecoveryShares() {
+        const first = prompt('Enter a recovery share code, or leave this empty to choose share files:');
+        if (first === null) return null;
+        if (first.trim()) {
+            const shares = [decodeShare(first)];
+            while (shares.length < shares[0].threshold) {
+                const code = prompt(`Share ${shares.length} of ${shares[0].threshold} accepted. Enter the next share code:`);
+                if (code === null) return null;
+                shares.push(decodeShare(code));
+            }
+            return shares;
+        }
+        const files = await new Promise(resolve => {
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.json,.txt';
+            fileInput.multiple = true;
+            fileInput.onchange = (e) => resolve([...e.target.files]);
+            fileInput.click();
+        });
+        const shares = [];
+        for (const file of files) {
+            const text = await file.text();
+            let code = text;
+            try {
+                code = JSON.parse(text).share || '';
+            } catch (error) {
+                // Plain text file holding just the code
+            }
+            shares.push(decodeShare(code));
+        }
+        return shares;
+    }
+
+    async handleRecoverWithShares() {
+        try {
+            const record = await this.db.getRecoveryMethod('shamir');
+            if (!record) {
+                showStatus('No recovery shares were set up on this device.', 'error'); return;
+            }
+            const shares = await this.collectRecoveryShares();
+            if (!shares) return;
+            if (shares.some(share => share.setId !== record.recoveryId)) {
+                showStatus('Some shares belong to an older or different set of recovery shares.', 'error'); return;
+            }
+            if (shares.length < record.threshold) {
+                showStatus(`${record.threshold} different shares are needed, only ${shares.length} given.`, 'error'); return;
+            }
+
+            const secret = combineShares(shares);
+            let recoveredKeys;
+            try {
+                recoveredKeys = await this.crypto.openRecoverySlot(record, secret, await this.db.getParentKeyParams());
+            } finally {
+                secret.fill(0);
+            }
+            await this.resetMasterPasswordWithRecovered(recoveredKeys);
+        } catch (error) {
+            console.error('Recovery with shares error:', error);
+            showStatus('Recovery failed: ' + error.message, 'error');
+        }
+    }
+
+    // Sets a new master password once a recovery slot has given back the parent's keys: every parent slot,
+    // the key pair and the recovery slots are re-wrapped for the new password
+    async resetMasterPasswordWithRecovered(recoveredKeys) {
+        const newPassword = await this.ui.promptPassword('Recovery succeeded. Choose a new master password:');
+        if (newPassword === null) return;
+        this.state.validateParentPassword(newPassword);
+        const confirmation = await this.ui.promptPassword('Re-enter the new master password to confirm:');
+        if (confirmation !== newPassword) {
+            showStatus('Master password confirmation did not match.', 'error'); return;
+        }
+        showStatus('Re-encrypting kid passwords and entries...', 'info', 0);
+        const result = await this.db.changeMasterPassword(recoveredKeys, newPassword, (done, total) => {
+            showStatus(`Re-encrypting kid passwords and entries... ${done}/${total}`, 'info', 0);
+        });
+        showStatus(`Master password reset: ${result.kidsUpdated} kid(s) and ${result.entriesUpdated} entries re-encrypted. Log in with your new master password.`, 'success', 10000);
+    }
+
+    // Author keys: co-authors exchange author cards (name + public signing key) to trust each other's entries
+    async handleShareAuthorKey() {
+        const keyParams = this.state.parentSession.keyParams;
+        if (!this.state.parentSession.active || !keyParams || !keyParams.signingPublicKey_base64) {
+            showStatus('Parent session required to share your author key', 'error');
+            return;
+        }
+        const author = await this.crypto.createAuthorRecord(this.state.settings.parentName, keyParams.signingPublicKey_base64);
+        prompt(
+            `Your author card (fingerprint ${this.crypto.formatAuthorFingerprint(author.keyId)}). Copy it and give it to a co-author:`,
+            JSON.stringify({ name: author.name, signingPublicKey_base64: author.signingPublicKey_base64 })
+        );
+    }
+
+    async handleTrustCoAuthor() {
+        if (!this.state.parentSession.active) {
+            showStatus('Parent session required to trust a co-author', 'error');
+            return;
+        }
+        const card = prompt('Paste the co-author\'s author card:');
+        if (!card) return;
+        try {
+            const { name, signingPublicKey_base64 } = JSON.parse(card);
+            if (!name || !signingPublicKey_base64) {
+                throw new Error('The author card is missing a name or key');
+            }
+            const author = await this.crypto.createAuthorRecord(name, signingPublicKey_base64);
+            const confirmTrust = confirm(`Trust entries signed by "${author.name}" (fingerprint ${this.crypto.formatAuthorFingerprint(author.keyId)})?`);
+            if (!confirmTrust) return;
+            this.state.setTrustedAuthors(await this.db.saveTrustedAuthor(author));
+            await this.handleLoadAdminView();
+            showStatus(`${author.name} added as a trusted author`, 'success');
+        } catch (error) {
+            console.error('Trust co-author error:', error);
+            showStatus('Failed to add co-author: ' + error.message, 'error');
+        }
+    }
+
+    // Authors shipped with an imported timeline are only vouched for by the file itself, so one is pinned only
+    // when the fingerprint the author reads out from their own device (Share Author Key) is typed in here
+    async pinTimelineAuthors(authors = []) {
+        for (const fileAuthor of authors) {
+            if (!fileAuthor || !fileAuthor.signingPublicKey_base64) continue;
+            // The key ID is recomputed from the key, never taken from the file
+            const author = await this.crypto.createAuthorRecord(fileAuthor.name || 'Unknown author', fileAuthor.signingPublicKey_base64);
+            if (this.state.trustedAuthors.some(trusted => trusted.keyId === author.keyId)) continue;
+            const typed = prompt(
+                `This timeline was signed by "${author.name}", who is not trusted on this device yet.\n\n` +
+                `To trust them, ask ${author.name} for the fingerprint shown by "Share Author Key" on their device ` +
+                `(in person or by phone, not from this file) and type it here. Leave it empty to import without trusting them:`
+            );
+            if (!typed || !typed.trim()) continue;
+            const expected = this.crypto.formatAuthorFingerprint(author.keyId).replace(/ /g, '');
+            if (typed.replace(/\s/g, '').toLowerCase() !== expected) {
+                showStatus(`The fingerprint does not match the key in this file: ${author.name} was not trusted.`, 'warning', 8000);
+                continue;
+            }
+            this.state.setTrustedAuthors(await this.db.saveTrustedAuthor(author));
+            showStatus(`${author.name} added as a trusted author`, 'success');
+        }
+    }
+
     handleParentLogout() {
-        this.state.endParentSession();
+        this.closeParentSession('Parent session ended');
         showStatus('Parent session ended', 'success');
+    }
+
+    // Auto-lock (idle timeout, page hidden, device sleep): same as a logout, with the reason shown at the login
+    lockParentSession(reason) {
+        if (!this.state.parentSession.active) return;
+        const messages = {
+            idle: 'Parent session locked after inactivity.',
+            hidden: 'Parent session locked because the page was hidden.',
+            sleep: 'Parent session locked after the device slept.'
+        };
+        this.closeParentSession('Parent session locked');
+        showStatus(`${messages[reason] || 'Parent session locked.'} Log in again to continue.`, 'warning', 10000);
+    }
+
+    // Drops the session keys and everything that was decrypted with them
+    closeParentSession(reason) {
+        this.cancelViewLoads(reason);
+        this.state.endParentSession();
+        this.crypto.clearSensitiveData();
         const viewerPasswordInput = document.getElementById('viewerPassword');
         if (viewerPasswordInput) viewerPasswordInput.value = '';
+        this.viewerKeys = null;
         this.ui.clearTimeline();
         this.ui.clearAdminTimeline(); // NEW: Clear admin view
+        this.ui.clearEntryModal();
+        this.ui.clearPendingAttachments();
+        this.revokeAttachmentUrls();
     }
 
     handleModeSwitch() {
@@ -266,8 +1077,12 @@ class FamilyTimelineApp {
                 const confirmLogout = confirm('Logging out will end your parent session. Continue?');
                 if (!confirmLogout) return;
             }
+            this.cancelViewLoads('Switched to kid mode');
             this.state.setMode('kid');
             this.state.endParentSession();
+            this.crypto.clearSensitiveData();
+            this.ui.clearPendingAttachments();
+            this.revokeAttachmentUrls('admin');
             showStatus('Switched to Kid Mode', 'success');
         }
     }
@@ -282,18 +1097,19 @@ class FamilyTimelineApp {
             if (!name) { showStatus('Please enter a name for the kid', 'error'); return; }
             if (!password) { showStatus('Please set a password for the kid', 'error'); return; }
 
-            const parentPassword = this.state.parentSession.password;
-            if (!parentPassword) {
-                showStatus('Parent session not active or password missing. Cannot add kid.', 'error'); return;
+            const parentKeyParams = this.state.parentSession.keyParams;
+            if (!this.state.parentSession.active || !parentKeyParams) {
+                showStatus('Parent session not active. Cannot add kid.', 'error'); return;
             }
-            const encryptedData = await this.crypto.encryptKidPassword(password, parentPassword);
-            const kidId = await this.db.createKid({ name, ...encryptedData });
+            // Sealed to the parent's public key: no master password needed, and the session keeps nothing
+            const encryptedData = await this.crypto.sealKidPassword(password, parentKeyParams);
+            const keyParams = await this.crypto.createPrincipalKeyPair(password, this.crypto.createPrincipalKeyParams());
+            const kidId = await this.db.createKid({ name, ...encryptedData, keyParams });
             const newKidData = {
                 id: kidId, name, isActive: 1, createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString(), ...encryptedData
+                updatedAt: new Date().toISOString(), ...encryptedData, keyParams
             };
             this.state.addKid(newKidData);
-            this.state.setKidPasswordInSession(kidId, password);
             nameInput.value = '';
             passwordComponent.clearPassword();
             showStatus(`${name} added successfully!`, 'success');
@@ -313,6 +1129,7 @@ class FamilyTimelineApp {
             if (!confirmRemove) return;
             await this.db.removeKid(kidId);
             this.state.removeKid(kidId);
+            await this.refreshQuickUnlockDisplay();
             showStatus(`${kid.name} removed successfully`, 'success');
         } catch (error) {
             console.error('Remove kid error:', error);
@@ -327,15 +1144,26 @@ class FamilyTimelineApp {
             const newPassword = prompt(`Enter new password for ${kid.name}:`);
             if (!newPassword) return;
 
-            const parentPassword = this.state.parentSession.password;
-            if (!parentPassword) {
-                showStatus('Parent session not active or password missing. Cannot change kid password.', 'error'); return;
+            const { keys: parentKeys, keyParams: parentKeyParams } = this.state.parentSession;
+            if (!this.state.parentSession.active || !parentKeys) {
+                showStatus('Parent session not active. Cannot change kid password.', 'error'); return;
             }
-            const encryptedData = await this.crypto.encryptKidPassword(newPassword, parentPassword);
-            await this.db.updateKidPassword(kidId, encryptedData);
-            this.state.updateKidPassword(kidId, encryptedData);
-            this.state.setKidPasswordInSession(kidId, newPassword);
-            showStatus(`Password updated for ${kid.name}!`, 'success');
+            const encryptedData = await this.crypto.sealKidPassword(newPassword, parentKeyParams);
+            // A new password gets a new principal key and key pair, so old wraps cannot be opened with it
+            const keyParams = await this.crypto.createPrincipalKeyPair(newPassword, this.crypto.createPrincipalKeyParams());
+            const kidUpdate = { ...encryptedData, keyParams };
+            showStatus(`Re-encrypting ${kid.name}'s timeline...`, 'info', 0);
+            const releaseLock = this.autoLock.hold(`${kid.name}'s password change`);
+            let result;
+            try {
+                result = await this.db.changeKidPassword(kidId, kidUpdate, parentKeys, newPassword, (done, total) => {
+                    showStatus(`Re-encrypting ${kid.name}'s timeline... ${done}/${total}`, 'info', 0);
+                });
+            } finally {
+                releaseLock();
+            }
+            this.state.updateKidPassword(kidId, kidUpdate);
+            showStatus(`Password updated for ${kid.name}! ${result.entriesUpdated} entries re-encrypted.`, 'success');
         } catch (error) {
             console.error('Change password error:', error);
             showStatus('Failed to update password: ' + error.message, 'error');
@@ -346,10 +1174,18 @@ class FamilyTimelineApp {
         try {
             const parentName = document.getElementById('parentNameInput').value.trim();
             const timelineName = document.getElementById('timelineNameInput').value.trim();
+            const kdfAlgorithm = document.getElementById('kdfSelect')?.value || this.crypto.defaultKdf;
+            const autoLockMinutes = parseInt(document.getElementById('autoLockMinutesInput')?.value, 10);
             const settings = {
                 parentName: parentName || 'Parent',
-                generalTimelineName: timelineName || 'Family Timeline'
+                generalTimelineName: timelineName || 'Family Timeline',
+                kdfAlgorithm,
+                autoLockMinutes: Number.isInteger(autoLockMinutes) && autoLockMinutes >= 0 ? autoLockMinutes : this.state.settings.autoLockMinutes,
+                lockOnHide: !!document.getElementById('lockOnHideInput')?.checked,
+                lockOnSleep: !!document.getElementById('lockOnSleepInput')?.checked
             };
+            this.crypto.setDefaultKdf(kdfAlgorithm);
+            this.autoLock.configure(settings);
             await this.db.saveAppSettings(settings);
             this.state.updateSettings(settings);
             showStatus('Settings saved successfully!', 'success');
@@ -363,14 +1199,14 @@ class FamilyTimelineApp {
     async handleCreateEntry() {
         try {
             const text = document.getElementById('entryText').value;
-            const imageFile = document.getElementById('imageInput').files[0];
-            const audioFile = document.getElementById('audioInput').files[0];
+            const attachments = this.ui.getPendingAttachments();
             const targets = Array.from(document.querySelectorAll('input[name="target"]:checked')).map(cb => cb.value);
             
             // NEW: Get custom datetime
             const customDateTime = document.getElementById('entryDateTime').value;
+            const privateMetadata = !!document.getElementById('entryPrivateMetadata')?.checked;
             
-            if (!text && !imageFile && !audioFile) { 
+            if (!text && attachments.length === 0) { 
                 showStatus('Please provide some content for the entry', 'error'); 
                 return; 
             }
@@ -379,38 +1215,45 @@ class FamilyTimelineApp {
                 return; 
             }
 
-            const kidTargets = targets.filter(t => t.startsWith('kid'));
-            const missingPasswords = kidTargets.filter(target => {
-                const kidNumericId = parseInt(target.replace('kid', ''));
-                return !this.state.parentSession.kidPasswords[kidNumericId];
-            });
-
-            if (missingPasswords.length > 0) {
-                const missingNames = missingPasswords.map(target => {
+            const missingKeys = this.getKidTargetsMissingKeys(targets);
+            if (missingKeys.length > 0) {
+                const missingNames = missingKeys.map(target => {
                     const kidNumericId = parseInt(target.replace('kid', ''));
                     const kid = this.state.kids.find(k => k.id === kidNumericId);
                     return kid ? kid.name : target;
                 }).join(', ');
-                showStatus(`Cannot create entry: Missing passwords for ${missingNames}. Please re-login or update passwords.`, 'error', 8000);
+                showStatus(`Cannot create entry: No key for ${missingNames}. Please re-login or update their passwords.`, 'error', 8000);
                 return;
             }
 
             const content = { text };
-            if (imageFile) content.image = await this.crypto.fileToBase64(imageFile);
-            if (audioFile) content.audio = await this.crypto.fileToBase64(audioFile);
+            if (attachments.length > CONSTANTS.MAX_ATTACHMENTS) {
+                showStatus(`An entry can hold up to ${CONSTANTS.MAX_ATTACHMENTS} attachments`, 'error');
+                return;
+            }
+            for (const { kind, file } of attachments) {
+                const check = validateAttachmentFile(file, kind);
+                if (!check.valid) {
+                    showStatus(check.message, 'error');
+                    return;
+                }
+            }
 
+            // NEW: Use custom timestamp if provided (authenticated with the entry)
+            const customTimestamp = customDateTime ? new Date(customDateTime).toISOString() : null;
+            const { links: chainLinks, heads } = await this.db.getNextChainLinks(targets);
             const encryptedEntry = await this.crypto.encryptEntry(
-                content, targets, this.state.parentSession.password, this.state.parentSession.kidPasswords
+                content, targets, this.state.parentSession.keys,
+                this.getRecipientKeyParams(targets), { timestamp: customTimestamp, privateMetadata, chainLinks, attachments }
             );
-            
-            // NEW: Use custom timestamp if provided
-            if (customDateTime) {
-                const customTimestamp = new Date(customDateTime).toISOString();
+            if (customTimestamp) {
                 encryptedEntry.customTimestamp = customTimestamp;
             }
             
-            await this.db.createEntry(encryptedEntry);
+            const headUpdates = await this.buildChainHeadUpdates(heads, chainLinks, encryptedEntry.entryUid);
+            await this.db.createEntry(encryptedEntry, headUpdates);
             document.getElementById('entryForm').reset();
+            this.ui.clearPendingAttachments();
             document.querySelectorAll('input[name="target"]').forEach(cb => cb.checked = false);
             
             // NEW: Reset datetime to current time
@@ -430,22 +1273,176 @@ class FamilyTimelineApp {
         }
     }
 
+    // Attachments are decrypted only when a thumbnail scrolls into view or the entry modal shows them.
+    // Their object URLs are kept per view, so a thumbnail and the modal share one decryption, and revoked when the view reloads.
+    // Given the media element, chunked audio/video in a streamable container plays through MediaSource instead.
+    getAttachmentUrl(view, entry, ref, secret, hints = null, media = null) {
+        if (ref.inline) {
+            // Media stored inside older entries; its type and data come from decrypted (possibly imported) content
+            const supportedTypes = ref.kind === 'image' ? CONSTANTS.SUPPORTED_IMAGE_TYPES : CONSTANTS.SUPPORTED_AUDIO_TYPES;
+            if (!supportedTypes.includes(ref.type) || typeof ref.inline !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(ref.inline)) {
+                return Promise.reject(new Error(`${ref.name || 'Attachment'} has an unsupported type or malformed data`));
+            }
+            return Promise.resolve(`data:${ref.type};base64,${ref.inline}`);
+        }
+        if (media && ref.chunkSha256 && ref.kind !== 'image' && canStream(ref.type)) {
+            return this.streamAttachment(view, entry, ref, secret, hints, media);
+        }
+        const urls = this.attachmentUrls[view] || (this.attachmentUrls[view] = new Map());
+        if (!urls.has(ref.id)) {
+            const loading = (async () => {
+                const record = await this.db.getAttachment(ref.id);
+                if (!record) {
+                    throw new Error(`${ref.name || 'Attachment'} is not stored on this device`);
+                }
+                const blob = await this.crypto.decryptAttachment(entry, ref, record, secret, { hints });
+                return URL.createObjectURL(blob);
+            })();
+            urls.set(ref.id, loading);
+            loading.catch(() => urls.delete(ref.id));
+        }
+        return urls.get(ref.id);
+    }
+
+    // Segments are read and decrypted (in the crypto worker) only as far ahead as the player needs.
+    // Media the player cannot take in segments (plain MP4, or a failing stream) is decrypted into a Blob instead.
+    async streamAttachment(view, entry, ref, secret, hints, media) {
+        const record = await this.db.getAttachment(ref.id);
+        if (!record) {
+            throw new Error(`${ref.name || 'Attachment'} is not stored on this device`);
+        }
+        const dek = await this.crypto.openAttachmentKey(entry, ref, record, secret, { hints });
+        const readChunk = (index) => this.crypto.decryptAttachmentChunk(dek, entry.entryUid, record, index, ref.chunkSha256);
+        let firstChunk = null;
+        if (needsFragmentCheck(ref.type)) {
+            firstChunk = await readChunk(0);
+            if (!isFragmentedMp4(new Uint8Array(firstChunk))) {
+                console.log(`🎞️ ${ref.name || ref.id} is not a fragmented MP4, decrypting it whole`);
+                return this.getAttachmentUrl(view, entry, ref, secret, hints);
+            }
+        }
+        const stream = new EncryptedMediaStream({
+            type: ref.type,
+            chunkCount: record.chunkCount,
+            readChunk: (index) => {
+                if (index === 0 && firstChunk) { // Already decrypted for the fragment check
+                    const data = firstChunk;
+                    firstChunk = null;
+                    return Promise.resolve(data);
+                }
+                return readChunk(index);
+            },
+            onError: () => {
+                console.warn(`🎞️ Streaming ${ref.name || ref.id} failed, decrypting it whole`);
+                this.getAttachmentUrl(view, entry, ref, secret, hints)
+                    .then(url => { media.src = url; })
+                    .catch(error => console.error('Failed to load attachment:', error));
+            }
+        });
+        // Players of entries the modal showed before are no longer on the page
+        const streams = this.mediaStreams[view] || [];
+        streams.filter(playing => !playing.media.isConnected).forEach(playing => playing.close());
+        this.mediaStreams[view] = [...streams.filter(playing => playing.media.isConnected), stream];
+        console.log(`🎞️ Streaming ${ref.name || ref.id} (${record.chunkCount} segments)`);
+        return stream.attach(media);
+    }
+
+    // Without a view, every view's URLs are revoked
+    revokeAttachmentUrls(view = null) {
+        const views = view ? [view] : [...new Set([...Object.keys(this.attachmentUrls), ...Object.keys(this.mediaStreams)])];
+        for (const name of views) {
+            for (const loading of (this.attachmentUrls[name] || new Map()).values()) {
+                loading.then(url => URL.revokeObjectURL(url), () => {});
+            }
+            delete this.attachmentUrls[name];
+            (this.mediaStreams[name] || []).forEach(stream => stream.close());
+            delete this.mediaStreams[name];
+        }
+    }
+
+    // Aborts the previous load of a view and returns a crypto handle tied to the new one
+    startViewLoad(view) {
+        if (this.loadControllers[view]) {
+            this.loadControllers[view].abort();
+        }
+        const controller = new AbortController();
+        this.loadControllers[view] = controller;
+        return this.crypto.withSignal(controller.signal);
+    }
+
+    cancelViewLoads(reason) {
+        Object.values(this.loadControllers).forEach(controller => controller.abort());
+        this.loadControllers = {};
+        this.crypto.cancelAll(reason);
+    }
+
+    // Views show entries a database page at a time, newest first; the next page loads when the list is scrolled to its end.
+    // Pages where nothing can be opened are skipped, so a view is only empty when no entry is left.
+    // view: { isCurrent(), fetchPage(cursor) -> getEntryPage result, open(entry) -> display entry or null, display(entries, options) }
+    // Private entries are paged by month, so an unread one can be newer than entries already opened: those are
+    // held back (and passed on to the next load) until nothing unread can be newer, keeping the list in order.
+    async loadViewPage(view, cursor = null, held = []) {
+        let pending = [...held];
+        let shown = [];
+        let next = cursor;
+        do {
+            const page = await view.fetchPage(next);
+            next = page.cursor;
+            for (const entry of page.entries) {
+                if (!view.isCurrent()) return;
+                const opened = await view.open(entry);
+                if (opened) pending.push(opened);
+            }
+            const bound = page.unreadBound;
+            shown = bound ? pending.filter(entry => entry.timestamp >= bound) : pending;
+            pending = bound ? pending.filter(entry => entry.timestamp < bound) : [];
+        } while (shown.length === 0 && next);
+        if (!view.isCurrent()) return;
+        view.display(sortBy(shown, 'timestamp', 'desc'), {
+            append: cursor !== null,
+            loadMore: next ? () => this.loadViewPage(view, next, pending).catch(error => this.handleViewPageError(error)) : null
+        });
+    }
+
+    handleViewPageError(error) {
+        if (error.name === 'AbortError') return;
+        console.error('Load page error:', error);
+        showStatus('Failed to load older entries: ' + error.message, 'error');
+    }
+
     async handleLoadTimeline(password) {
+        const loadId = ++this.timelineLoadId;
+        const crypto = this.startViewLoad('timeline');
         try {
-            const entries = await this.db.getEntries();
-            const accessibleEntries = [];
-            for (const entry of entries) {
-                try {
-                    const decryptedContent = await this.crypto.decryptEntry(entry, password);
-                    if (decryptedContent) {
-                        accessibleEntries.push({ ...entry, decryptedContent });
+            const hints = await this.getRecipientHintsForPassword(password);
+            if (loadId !== this.timelineLoadId) return; // Superseded by newer input
+            let firstPage = true;
+            await this.loadViewPage({
+                isCurrent: () => loadId === this.timelineLoadId && !crypto.signal.aborted,
+                fetchPage: (cursor) => this.db.getEntriesForRecipientsPage([...hints], cursor),
+                open: async (entry) => {
+                    try {
+                        const decryptedContent = await crypto.decryptEntry(entry, password, { hints, authors: this.state.trustedAuthors });
+                        return decryptedContent ? this.withDecryptedMetadata(entry, decryptedContent) : null;
+                    } catch (error) {
+                        if (error.name === 'AbortError') throw error;
+                        console.warn(`Could not decrypt entry ID ${entry.id} with the provided password.`, error.message);
+                        return null;
                     }
-                } catch (error) {
-                    console.warn(`Could not decrypt entry ID ${entry.id} with the provided password.`, error.message);
+                },
+                display: (entries, options) => {
+                    if (firstPage) {
+                        this.revokeAttachmentUrls('timeline');
+                        firstPage = false;
+                    }
+                    this.ui.displayTimelineEntries(entries, {
+                        ...options,
+                        loadAttachment: (entry, ref) => this.getAttachmentUrl('timeline', entry, ref, password, hints)
+                    });
                 }
-            }
-            this.ui.displayTimelineEntries(accessibleEntries);
+            });
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Load timeline error:', error);
             showStatus('Failed to load timeline: ' + error.message, 'error');
         }
@@ -453,7 +1450,7 @@ class FamilyTimelineApp {
 
     async handleTimelineEntryClick(entryId) {
         try {
-            const password = document.getElementById('viewerPassword').value || this.state.parentSession.password;
+            const password = this.getViewerSecret() || this.state.parentSession.keys;
             if (!password) { 
                 showStatus('Password required to view entry details', 'error'); 
                 return; 
@@ -463,9 +1460,11 @@ class FamilyTimelineApp {
                 showStatus('Entry not found.', 'error'); 
                 return; 
             }
-            const decryptedContent = await this.crypto.decryptEntry(entry, password);
+            const decryptedContent = await this.crypto.decryptEntry(entry, password, { authors: this.state.trustedAuthors });
             if (decryptedContent) {
-                this.ui.showEntryModal(decryptedContent);
+                this.ui.showEntryModal(decryptedContent, {
+                    loadAttachment: (ref, media) => this.getAttachmentUrl('timeline', entry, ref, password, null, media)
+                });
             } else {
                 showStatus('Cannot decrypt this entry with the current password', 'error');
             }
@@ -475,36 +1474,269 @@ class FamilyTimelineApp {
         }
     }
 
+    // Admin entry details, with the option to share the entry with timelines it was not written for
+    async handleAdminEntryClick(entryId) {
+        if (!this.state.parentSession.active || !this.state.parentSession.keys) {
+            return this.handleTimelineEntryClick(entryId);
+        }
+        try {
+            const entry = await this.db.getEntry(entryId);
+            if (!entry) {
+                showStatus('Entry not found.', 'error');
+                return;
+            }
+            const decryptedContent = await this.crypto.decryptEntry(entry, this.state.parentSession.keys, { authors: this.state.trustedAuthors });
+            if (!decryptedContent) {
+                showStatus('Cannot decrypt this entry with the current password', 'error');
+                return;
+            }
+            const loadAttachment = (ref, media) => this.getAttachmentUrl('admin', entry, ref, this.state.parentSession.keys, null, media);
+            if (decryptedContent.integrity === 'mismatch') {
+                this.ui.showEntryModal(decryptedContent, { loadAttachment });
+                return;
+            }
+            const currentTargets = decryptedContent.targetTimelines || [];
+            const candidates = ['general', ...this.state.kids.filter(kid => kid.isActive).map(kid => `kid${kid.id}`)];
+            const missingKeys = this.getKidTargetsMissingKeys(candidates);
+            const shareTargets = candidates
+                .filter(target => !currentTargets.includes(target))
+                .map(target => ({ value: target, disabled: missingKeys.includes(target) }));
+            const revokeTargets = currentTargets.map(target => ({ value: target, disabled: false }));
+            this.ui.showEntryModal(decryptedContent, { entryId, shareTargets, revokeTargets, loadAttachment });
+        } catch (error) {
+            console.error('View admin entry error:', error);
+            showStatus('Failed to view entry: ' + error.message, 'error');
+        }
+    }
+
+    async handleAddEntryRecipients(entryId, targets) {
+        if (!this.state.parentSession.active || !this.state.parentSession.keys) {
+            showStatus('Parent session required to share entries', 'error');
+            return;
+        }
+        if (!targets || targets.length === 0) {
+            showStatus('Please select at least one timeline', 'error');
+            return;
+        }
+        try {
+            const entry = await this.db.getEntry(entryId);
+            if (!entry) {
+                showStatus('Entry not found.', 'error');
+                return;
+            }
+            const currentTargets = await this.crypto.getEntryTargets(entry, this.state.parentSession.keys);
+            const newTargets = targets.filter(target => !currentTargets.includes(target));
+            const missingKeys = this.getKidTargetsMissingKeys(newTargets);
+            if (missingKeys.length > 0) {
+                showStatus(`Cannot share: no key loaded for ${this.ui.formatTargetNames(missingKeys)}.`, 'error', 8000);
+                return;
+            }
+            // Entries from before entry IDs existed cannot be chained
+            const { links: chainLinks, heads } = entry.entryUid
+                ? await this.db.getNextChainLinks(newTargets)
+                : { links: null, heads: {} };
+            const { slots, metadataSeal } = await this.crypto.wrapEntryDekForNewTargets(
+                entry, newTargets, this.state.parentSession.keys,
+                this.getRecipientKeyParams(newTargets), { chainLinks }
+            );
+            const headUpdates = chainLinks ? await this.buildChainHeadUpdates(heads, chainLinks, entry.entryUid) : [];
+            await this.db.addEntryRecipients(entryId, slots, newTargets, metadataSeal, headUpdates);
+            this.ui.hideEntryModal();
+            await this.handleLoadAdminView();
+            showStatus(`Entry shared with ${this.ui.formatTargetNames(newTargets)}`, 'success');
+        } catch (error) {
+            console.error('Add recipients error:', error);
+            showStatus('Failed to share entry: ' + error.message, 'error');
+        }
+    }
+
+    // Revoking re-encrypts the content under a fresh key, so a removed kid's old key no longer opens it
+    async handleRevokeEntryRecipients(entryId, targets) {
+        if (!this.state.parentSession.active || !this.state.parentSession.keys) {
+            showStatus('Parent session required to revoke access', 'error');
+            return;
+        }
+        if (!targets || targets.length === 0) {
+            showStatus('Please select at least one timeline', 'error');
+            return;
+        }
+        try {
+            const entry = await this.db.getEntry(entryId);
+            if (!entry) {
+                showStatus('Entry not found.', 'error');
+                return;
+            }
+            const currentTargets = await this.crypto.getEntryTargets(entry, this.state.parentSession.keys);
+            const remainingTargets = currentTargets.filter(target => !targets.includes(target));
+            if (remainingTargets.length === 0) {
+                showStatus('An entry needs at least one timeline. Delete the entry instead.', 'error');
+                return;
+            }
+            const missingKeys = this.getKidTargetsMissingKeys(remainingTargets);
+            if (missingKeys.length > 0) {
+                showStatus(`Cannot revoke: no key loaded for ${this.ui.formatTargetNames(missingKeys)}, who keep access.`, 'error', 8000);
+                return;
+            }
+            const confirmRevoke = confirm(
+                `Remove this entry from ${this.ui.formatTargetNames(targets)}?\n\n` +
+                'The entry will be re-encrypted. Copies already exported to files are not affected.'
+            );
+            if (!confirmRevoke) return;
+
+            const reencrypted = await this.crypto.reencryptEntryForTargets(
+                entry, remainingTargets, this.state.parentSession.keys,
+                this.getRecipientKeyParams(remainingTargets), await this.db.getAttachmentsForEntries([entry.entryUid])
+            );
+            const headUpdates = await this.buildChainRemovalUpdates(reencrypted.revokedChainLinks, reencrypted.entryUid);
+            await this.db.revokeEntryRecipients(entryId, reencrypted, targets, entry.encryptedContent_base64, headUpdates);
+            this.ui.hideEntryModal();
+            await this.handleLoadAdminView();
+            showStatus(`Access revoked for ${this.ui.formatTargetNames(targets)}`, 'success');
+        } catch (error) {
+            console.error('Revoke recipients error:', error);
+            showStatus('Failed to revoke access: ' + error.message, 'error');
+        }
+    }
+
+    // Signed head updates for an entry joining the given timelines' hash chains
+    async buildChainHeadUpdates(heads, chainLinks, entryUid) {
+        const updates = [];
+        for (const [timeline, link] of Object.entries(chainLinks)) {
+            const head = await this.crypto.advanceTimelineHead(heads[timeline], timeline, link, entryUid);
+            updates.push({
+                head: await this.crypto.signTimelineHead(head, this.state.parentSession.keys, this.state.parentSession.keyParams),
+                previousSeq: heads[timeline] ? heads[timeline].seq : 0
+            });
+        }
+        return updates;
+    }
+
+    // Signed head updates recording links revoked from their timelines
+    async buildChainRemovalUpdates(revokedChainLinks, entryUid) {
+        if (!revokedChainLinks) return [];
+        const heads = await this.db.getTimelineHeads();
+        const updates = [];
+        for (const [timeline, link] of Object.entries(revokedChainLinks)) {
+            if (!heads[timeline]) continue;
+            const head = await this.crypto.removeFromTimelineHead(heads[timeline], timeline, link, entryUid);
+            updates.push({
+                head: await this.crypto.signTimelineHead(head, this.state.parentSession.keys, this.state.parentSession.keyParams),
+                previousSeq: heads[timeline].seq
+            });
+        }
+        return updates;
+    }
+
+    // Checks the hash chain of every timeline the password can see: all of them for the parent,
+    // the kid's own timeline for a kid password
+    async handleVerifyTimelines(password) {
+        if (!password) {
+            showStatus('Password required to verify a timeline', 'error');
+            return;
+        }
+        try {
+            showStatus('Verifying timeline...', 'info', 0);
+            const hints = await this.getRecipientHintsForPassword(password);
+            const linksByTimeline = new Map();
+            const addTimeline = timeline => {
+                if (!linksByTimeline.has(timeline)) linksByTimeline.set(timeline, []);
+            };
+            let cursor = null;
+            do { // Every entry counts for the chain, so all pages are read
+                const page = await this.db.getEntriesForRecipientsPage([...hints], cursor);
+                cursor = page.cursor;
+                for (const entry of page.entries) {
+                    const decrypted = await this.crypto.decryptEntry(entry, password, { hints, authors: this.state.trustedAuthors });
+                    if (!decrypted) continue;
+                    const timelines = ['parent', 'general'].includes(decrypted.decryptedBy)
+                        ? decrypted.targetTimelines
+                        : [decrypted.decryptedBy];
+                    for (const timeline of timelines) {
+                        addTimeline(timeline);
+                        const link = this.crypto.timelineLinkFromDecrypted(entry, decrypted, timeline);
+                        if (link) linksByTimeline.get(timeline).push(link);
+                    }
+                }
+            } while (cursor);
+
+            const heads = await this.db.getTimelineHeads();
+            const reports = [];
+            for (const [timeline, links] of linksByTimeline) {
+                if (links.length === 0 && !heads[timeline]) continue; // Nothing chained yet
+                reports.push(await this.crypto.verifyTimelineChain(timeline, links, heads[timeline] || null, this.state.trustedAuthors));
+            }
+            if (reports.length === 0) {
+                showStatus('No chained entries to verify yet.', 'info');
+                return;
+            }
+            const allOk = reports.every(report => report.ok);
+            showStatus(reports.map(report => this.ui.formatChainReport(report)).join(' · '), allOk ? 'success' : 'warning', 12000);
+        } catch (error) {
+            console.error('Verify timeline error:', error);
+            showStatus('Failed to verify timeline: ' + error.message, 'error');
+        }
+    }
+
+    // Private entries only carry a coarse timestamp and blinded targets; lists use the decrypted values
+    withDecryptedMetadata(entry, decryptedContent) {
+        return {
+            ...entry,
+            timestamp: decryptedContent.timestamp,
+            targetTimelines: decryptedContent.targetTimelines,
+            decryptedContent
+        };
+    }
+
+    // Blinded index value of a timeline, or null without a parent session (private entries are then not found)
+    async getTimelineTag(target) {
+        const keyParams = this.state.parentSession.keyParams;
+        if (!this.state.parentSession.keys || !keyParams || !keyParams.publicKey_base64) {
+            return null;
+        }
+        const indexKey = await this.crypto.getTimelineIndexKey(this.state.parentSession.keys, keyParams);
+        return this.crypto.blindTimelineTag(indexKey, target);
+    }
+
     // NEW: Admin view methods
     async handleLoadAdminView() {
-        if (!this.state.parentSession.active || !this.state.parentSession.password) {
+        if (!this.state.parentSession.active || !this.state.parentSession.keys) {
             console.warn('Admin view requires active parent session');
             return;
         }
 
+        const crypto = this.startViewLoad('admin');
+        const parentKeys = this.state.parentSession.keys;
         try {
             console.log('📋 Loading admin view - all entries');
-            const entries = await this.db.getEntries();
-            const adminEntries = [];
-            
-            for (const entry of entries) {
-                try {
-                    const decryptedContent = await this.crypto.decryptEntry(entry, this.state.parentSession.password);
-                    if (decryptedContent) {
-                        adminEntries.push({ 
-                            ...entry, 
-                            decryptedContent: decryptedContent,
-                            isAdminView: true 
-                        });
+            const hints = await crypto.getRecipientHints(parentKeys, [this.state.parentSession.keyParams], [], await this.db.getHintEpochs());
+            let firstPage = true;
+            await this.loadViewPage({
+                isCurrent: () => !crypto.signal.aborted && this.state.parentSession.keys === parentKeys,
+                fetchPage: (cursor) => this.db.getEntriesPage(cursor),
+                open: async (entry) => {
+                    try {
+                        const decryptedContent = await crypto.decryptEntry(entry, parentKeys, { hints, authors: this.state.trustedAuthors });
+                        return decryptedContent ? { ...this.withDecryptedMetadata(entry, decryptedContent), isAdminView: true } : null;
+                    } catch (error) {
+                        if (error.name === 'AbortError') throw error;
+                        console.warn(`Admin view: Could not decrypt entry ID ${entry.id}`, error.message);
+                        return null;
                     }
-                } catch (error) {
-                    console.warn(`Admin view: Could not decrypt entry ID ${entry.id}`, error.message);
+                },
+                display: (entries, options) => {
+                    console.log(`📋 Admin view loaded ${entries.length} entries${options.append ? ' more' : ''}`);
+                    if (firstPage) {
+                        this.revokeAttachmentUrls('admin');
+                        firstPage = false;
+                    }
+                    this.ui.displayAdminEntries(entries, {
+                        ...options,
+                        loadAttachment: (entry, ref) => this.getAttachmentUrl('admin', entry, ref, parentKeys, hints)
+                    });
                 }
-            }
-            
-            console.log(`📋 Admin view loaded ${adminEntries.length} entries`);
-            this.ui.displayAdminEntries(adminEntries);
+            });
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Load admin view error:', error);
             showStatus('Failed to load admin view: ' + error.message, 'error');
         }
@@ -520,8 +1752,7 @@ class FamilyTimelineApp {
         try {
             showStatus('Exporting all data...', 'info');
             const exportData = await this.db.exportData();
-            const jsonData = JSON.stringify(exportData, null, 2);
-            const blob = new Blob([jsonData], { type: 'application/json' });
+            const blob = await createBackupBlob(exportData);
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
@@ -558,53 +1789,12 @@ class FamilyTimelineApp {
         datetimeInput.value = `${year}-${month}-${day}T${hours}:${minutes}`;
     }
 
-    async loadKidPasswordsToSession() {
-        if (!this.state.parentSession.active || !this.state.parentSession.password) {
-            console.warn('loadKidPasswordsToSession: Parent session not active or master password not set.');
-            this.state.parentSession.kidPasswords = {};
-            return 0;
-        }
-        const parentPassword = this.state.parentSession.password;
-        const kidPasswords = {};
-        let successCount = 0;
-
-        if (!this.state.kids || this.state.kids.length === 0) {
-            console.log('loadKidPasswordsToSession: No kids found in state.');
-            this.state.parentSession.kidPasswords = kidPasswords;
-            return 0;
-        }
-        for (const kid of this.state.kids) {
-            if (!kid.encryptedPassword_base64 || !kid.salt_base64 || !kid.iv_base64) {
-                console.warn(`loadKidPasswordsToSession: Kid ${kid.name} (ID: ${kid.id}) missing encrypted fields.`);
-                continue;
-            }
-            try {
-                const decryptedPassword = await this.crypto.decryptKidPassword(kid, parentPassword);
-                if (decryptedPassword) {
-                    kidPasswords[kid.id] = decryptedPassword;
-                    successCount++;
-                } else {
-                    console.warn(`loadKidPasswordsToSession: Failed to decrypt password for kid ${kid.name} (ID: ${kid.id}).`);
-                }
-            } catch (error) {
-                console.error(`loadKidPasswordsToSession: Error for kid ${kid.name} (ID: ${kid.id}):`, error);
-            }
-        }
-        this.state.parentSession.kidPasswords = kidPasswords;
-        console.log(`loadKidPasswordsToSession: Loaded ${successCount}/${this.state.kids.length} kid passwords. IDs:`, Object.keys(this.state.parentSession.kidPasswords));
-        if (successCount < this.state.kids.length && this.state.kids.length > 0) {
-            console.warn("loadKidPasswordsToSession: Not all kid passwords could be loaded.");
-        }
-        return successCount;
-    }
-
     async handleTriggerExportKidTimeline(kidNumericId, kidName) {
         const kidIdKey = `kid${kidNumericId}`;
         try {
             showStatus(`Exporting timeline for ${kidName}...`, 'info');
-            const exportedData = await this.db.exportKidTimeline(kidIdKey, kidName);
-            const jsonData = JSON.stringify(exportedData, null, 2);
-            const blob = new Blob([jsonData], { type: 'application/json' });
+            const exportedData = await this.db.exportKidTimeline(kidIdKey, kidName, await this.getTimelineTag(kidIdKey));
+            const blob = await createBackupBlob(exportedData);
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
@@ -626,38 +1816,53 @@ class FamilyTimelineApp {
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
         fileInput.accept = '.json';
+        // The picker hides the page on phones; the import itself holds the lock until it is done
+        const releasePickerLock = this.autoLock.holdWhileAway('choosing a timeline file');
         fileInput.onchange = async (e) => {
             const file = e.target.files[0];
             if (!file) return;
-            const password = prompt('Enter the password for this timeline (kid\'s password or parent master password):');
-            if (password === null) return;
-            if (!password) {
-                showStatus('Password is required to import the timeline.', 'error'); return;
-            }
+            const releaseLock = this.autoLock.hold('importing a timeline');
+            releasePickerLock();
             try {
-                showStatus('Importing timeline...', 'info');
-                const fileContent = await file.text();
-                const dataToImport = JSON.parse(fileContent);
-                const result = await this.db.importKidTimeline(dataToImport, password);
-                showStatus(`Import complete: ${result.importedCount} entries imported, ${result.failedCount} failed. Refreshing data...`, 'success', 5000);
-                await this.loadInitialData();
-                const currentViewerPassword = document.getElementById('viewerPassword')?.value;
-                if (currentViewerPassword) {
-                    await this.handleLoadTimeline(currentViewerPassword);
-                } else {
-                     showStatus("Timeline imported. Enter password in viewer to see entries if in Kid Mode.", "info");
-                }
-                // NEW: Refresh admin view if active
-                if (this.state.parentSession.active && this.state.mode === 'parent') {
-                    await this.handleLoadAdminView();
-                }
-            } catch (error) {
-                console.error('Failed to import timeline:', error);
-                showStatus(`Import failed: ${error.message}`, 'error');
+                await this.importTimelineFile(file);
+            } finally {
+                releaseLock();
             }
         };
         fileInput.click();
     }
+
+    async importTimelineFile(file) {
+        const password = prompt('Enter the password for this timeline (kid\'s password or parent master password):');
+        if (password === null) return;
+        if (!password) {
+            showStatus('Password is required to import the timeline.', 'error'); return;
+        }
+        try {
+            showStatus('Importing timeline...', 'info');
+            const dataToImport = await readBackupFile(file);
+            await this.pinTimelineAuthors(dataToImport.authors);
+            const result = await this.db.importKidTimeline(dataToImport, password);
+            showStatus(`Import complete: ${result.importedCount} entries imported, ${result.failedCount} failed. Refreshing data...`, 'success', 5000);
+            await this.loadInitialData();
+            const currentViewerPassword = this.getViewerSecret();
+            if (currentViewerPassword) {
+                await this.handleLoadTimeline(currentViewerPassword);
+            } else {
+                 showStatus("Timeline imported. Enter password in viewer to see entries if in Kid Mode.", "info");
+            }
+            // NEW: Refresh admin view if active
+            if (this.state.parentSession.active && this.state.mode === 'parent') {
+                await this.handleLoadAdminView();
+            }
+            if (result.chainReport && !result.chainReport.ok) {
+                showStatus(`Imported timeline check: ${this.ui.formatChainReport(result.chainReport)}`, 'warning', 12000);
+            }
+        } catch (error) {
+            console.error('Failed to import timeline:', error);
+            showStatus(`Import failed: ${error.message}`, 'error');
+        }
+    }
 }
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -667,16 +1872,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('🐛 DEBUG APP STATE:');
         console.log('Mode:', app.state.mode);
         console.log('Parent Session Active:', app.state.parentSession.active);
-        console.log('Parent Master Password (length):', app.state.parentSession.password ? app.state.parentSession.password.length : 'null/undefined');
-        const kidsInState = app.state.kids.map(k => ({ id: k.id, name: k.name, keyInEncryptionInfo: `kid${k.id}`, hasEncryptedFields: !!k.encryptedPassword_base64 }));
+        console.log('Parent Session Keys:', app.state.parentSession.keys ? `key ID ${app.state.parentSession.keys.keyId.substring(0, 8)}... (non-extractable)` : 'none');
+        const kidsInState = app.state.kids.map(k => ({ id: k.id, name: k.name, keyInEncryptionInfo: `kid${k.id}`, hasEncryptedFields: !!k.encryptedPassword_base64, hasPublicKey: !!(k.keyParams && k.keyParams.publicKey_base64) }));
         console.log('Kids in State:', JSON.stringify(kidsInState, null, 2));
-        console.log('Session Kid Passwords (Numeric IDs as keys):', Object.keys(app.state.parentSession.kidPasswords));
         console.log('Database instance:', app.db.db ? 'Available' : 'Not available');
         console.log('Crypto instance in DB:', app.db.crypto ? 'Available' : 'Not available');
     };
     await app.init();
 });
 
+// Leaving the page: pending crypto work is cancelled instead of finishing in the background
+window.addEventListener('pagehide', () => {
+    window.familyApp?.cancelViewLoads('Page hidden');
+});
+
 window.addEventListener('error', (event) => {
     console.error('Unhandled error:', event.error, event.message);
     showStatus('An unexpected error occurred. Check console.', 'error');
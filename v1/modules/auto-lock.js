@@ -0,0 +1,173 @@
+/**
+ * Auto-Lock
+ * Locks the parent session after a period of inactivity, when the page is hidden, or when the device slept.
+ * An idle lock is announced by a countdown first; any activity during it keeps the session unlocked.
+ * Long operations and dialogs that leave the page (print window, file picker) hold the lock off while they run.
+ */
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart', 'scroll'];
+const TICK_MS = 1000;
+// A tick this late means timers were suspended: the device slept. prompt() and confirm() also hold timers back,
+// so the gap stays well above the time it takes to answer one.
+const SLEEP_GAP_MS = 120000;
+const WARNING_SECONDS = 30;
+const AWAY_HOLD_MAX_MS = 600000; // A dialog hold never outlives this, even if focus never comes back
+
+export class AutoLock {
+    /**
+     * onLock(reason): 'idle' | 'hidden' | 'sleep'
+     * onWarning(secondsLeft) is called every second of the countdown, onWarningEnd when it is cancelled or done.
+     */
+    constructor({ onLock, onWarning = () => {}, onWarningEnd = () => {} }) {
+        this.onLock = onLock;
+        this.onWarning = onWarning;
+        this.onWarningEnd = onWarningEnd;
+        this.idleMs = 0; // 0: no idle lock
+        this.lockOnHide = false;
+        this.lockOnSleep = false;
+        this.timer = null;
+        this.lastActivity = 0;
+        this.lastTick = 0;
+        this.warning = false;
+        this.listening = false;
+        this.holds = new Set();
+        this.handleActivity = () => this.recordActivity();
+        this.handleVisibilityChange = () => this.visibilityChanged();
+    }
+
+    // Reads autoLockMinutes, lockOnHide and lockOnSleep from the app settings
+    configure({ autoLockMinutes = 0, lockOnHide = false, lockOnSleep = false } = {}) {
+        this.idleMs = Math.max(0, Number(autoLockMinutes) || 0) * 60000;
+        this.lockOnHide = !!lockOnHide;
+        this.lockOnSleep = !!lockOnSleep;
+        console.log(`🔒 Auto-lock: ${this.idleMs ? `${autoLockMinutes} min idle` : 'no idle lock'}, on hide ${this.lockOnHide}, on sleep ${this.lockOnSleep}`);
+        if (this.running) {
+            this.recordActivity();
+        }
+    }
+
+    get running() {
+        return this.timer !== null;
+    }
+
+    get held() {
+        return this.holds.size > 0;
+    }
+
+    // Keeps the session unlocked until the returned release() is called; the idle clock restarts on release
+    hold(reason) {
+        const token = { reason };
+        this.holds.add(token);
+        this.endWarning();
+        console.log(`⏸️ Auto-lock held: ${reason}`);
+        return () => {
+            if (!this.holds.delete(token)) return;
+            console.log(`▶️ Auto-lock released: ${reason}`);
+            if (this.held || !this.running) return;
+            if (document.hidden && this.lockOnHide) {
+                this.lock('hidden');
+                return;
+            }
+            this.recordActivity();
+            this.lastTick = Date.now();
+        };
+    }
+
+    // For dialogs that take the user away from the page: released once the window has focus or is visible again
+    holdWhileAway(reason) {
+        const release = this.hold(reason);
+        let timer = null;
+        const finish = () => {
+            window.removeEventListener('focus', returned);
+            document.removeEventListener('visibilitychange', returned);
+            clearTimeout(timer);
+            release();
+        };
+        const returned = () => {
+            if (!document.hidden) finish();
+        };
+        window.addEventListener('focus', returned);
+        document.addEventListener('visibilitychange', returned);
+        timer = setTimeout(finish, AWAY_HOLD_MAX_MS);
+        return finish;
+    }
+
+    // Called when a parent session starts
+    start() {
+        if (this.running) return;
+        if (!this.listening) {
+            ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, this.handleActivity, { capture: true, passive: true }));
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+            this.listening = true;
+        }
+        this.lastActivity = Date.now();
+        this.lastTick = this.lastActivity;
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+    }
+
+    // Called when the parent session ends, for whatever reason
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.listening) {
+            ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, this.handleActivity, { capture: true }));
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            this.listening = false;
+        }
+        this.endWarning();
+    }
+
+    recordActivity() {
+        this.lastActivity = Date.now();
+        this.endWarning();
+    }
+
+    // Shorter idle timeouts get a proportionally shorter countdown
+    get warningMs() {
+        return Math.min(WARNING_SECONDS * 1000, this.idleMs / 2);
+    }
+
+    tick() {
+        const now = Date.now();
+        const gap = now - this.lastTick;
+        this.lastTick = now;
+        if (this.held) return;
+        if (this.lockOnSleep && gap > SLEEP_GAP_MS && !document.hidden) {
+            this.lock('sleep');
+            return;
+        }
+        if (!this.idleMs) return;
+
+        const remaining = this.lastActivity + this.idleMs - now;
+        if (remaining <= 0) {
+            this.lock('idle');
+        } else if (remaining <= this.warningMs) {
+            this.warning = true;
+            this.onWarning(Math.ceil(remaining / 1000));
+        }
+    }
+
+    visibilityChanged() {
+        if (document.hidden && this.lockOnHide && !this.held) {
+            this.lock('hidden');
+            return;
+        }
+        // Hidden tabs get throttled timers; that gap is not a device sleep (the idle timeout still applies)
+        this.lastTick = Date.now();
+    }
+
+    endWarning() {
+        if (this.warning) {
+            this.warning = false;
+            this.onWarningEnd();
+        }
+    }
+
+    lock(reason) {
+        console.log(`🔒 Auto-lock triggered (${reason})`);
+        this.stop();
+        this.onLock(reason);
+    }
+}
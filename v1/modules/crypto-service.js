@@ -0,0 +1,194 @@
+/**
+ * Crypto Service
+ * CryptoManager's API backed by a Web Worker (crypto-worker.js), so key derivation, media encoding and
+ * AES-GCM over large payloads never block rendering. Every async CryptoManager method is forwarded to the
+ * worker; sync helpers (formats, chain links, validation) still run in-thread.
+ * Falls back to in-thread execution when workers are unavailable or the worker fails.
+ */
+
+import { CryptoManager } from './crypto.js';
+
+const WORKER_METHODS = Object.getOwnPropertyNames(CryptoManager.prototype).filter(name => {
+    const descriptor = Object.getOwnPropertyDescriptor(CryptoManager.prototype, name);
+    return typeof descriptor.value === 'function' && descriptor.value.constructor.name === 'AsyncFunction';
+});
+
+// One counter for the service and all its withSignal() views: they share the pending map
+let nextTaskId = 1;
+
+export class CryptoService extends CryptoManager {
+    constructor({ useWorker = true } = {}) {
+        super();
+        this.local = new CryptoManager(); // In-thread fallback, with its own key caches
+        this.worker = null;
+        this.pending = new Map(); // task id -> { method, args, resolve, reject, signal, onAbort }
+        this.signal = null; // Set on views returned by withSignal()
+        if (useWorker) {
+            this.startWorker();
+        }
+    }
+
+    startWorker() {
+        if (typeof Worker === 'undefined') {
+            console.warn('⚠️ Web Workers not supported, running crypto in-thread');
+            return;
+        }
+        try {
+            this.worker = new Worker(new URL('./crypto-worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+            this.worker.addEventListener('error', (event) => this.handleWorkerFailure(event));
+            this.postConfig();
+            console.log('🧵 Crypto worker started');
+        } catch (error) {
+            console.warn('⚠️ Crypto worker unavailable, running crypto in-thread:', error.message);
+            this.worker = null;
+        }
+    }
+
+    get usingWorker() {
+        return !!this.worker;
+    }
+
+    /**
+     * Runs a CryptoManager method in the worker (or in-thread as a fallback).
+     * transfer: ArrayBuffers to move instead of copy (they are detached for the caller).
+     * signal: AbortSignal that cancels the task; defaults to the signal of a withSignal() view.
+     */
+    run(method, args = [], { transfer = [], signal = this.signal } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(this.abortError(signal));
+        }
+        if (!this.worker) {
+            return this.runInThread(method, args);
+        }
+        return new Promise((resolve, reject) => {
+            const id = nextTaskId++;
+            const task = { method, args, resolve, reject, signal };
+            if (signal) {
+                task.onAbort = () => this.cancelTasks([id], this.abortError(signal));
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+            this.pending.set(id, task);
+            try {
+                this.worker.postMessage({ type: 'run', id, method, args }, transfer);
+            } catch (error) {
+                // Arguments that cannot be cloned (DataCloneError) still work in-thread
+                console.warn(`Crypto worker: ${method} runs in-thread (${error.message})`);
+                this.settle(id);
+                this.runInThread(method, args).then(resolve, reject);
+            }
+        });
+    }
+
+    async runInThread(method, args) {
+        return this.local[method](...args);
+    }
+
+    // Same API, with every forwarded call tied to signal (e.g. one timeline load)
+    withSignal(signal) {
+        const view = Object.create(this);
+        view.signal = signal;
+        return view;
+    }
+
+    handleWorkerMessage(message) {
+        if (message.type === 'ready') {
+            console.log('🧵 Crypto worker ready');
+            return;
+        }
+        const task = this.pending.get(message.id);
+        if (!task) return; // Cancelled while running; the result is dropped
+        this.settle(message.id);
+        if (message.type === 'result') {
+            task.resolve(message.result);
+        } else {
+            const error = new Error(message.error.message);
+            error.name = message.error.name;
+            task.reject(error);
+        }
+    }
+
+    // The worker could not start or crashed: switch to in-thread and re-run what was in flight
+    handleWorkerFailure(event) {
+        console.error('❌ Crypto worker failed, falling back to in-thread crypto:', event.message || event);
+        if (event.preventDefault) event.preventDefault();
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        for (const [id, task] of [...this.pending]) {
+            this.settle(id);
+            this.runInThread(task.method, task.args).then(task.resolve, task.reject);
+        }
+    }
+
+    settle(id) {
+        const task = this.pending.get(id);
+        if (task && task.signal && task.onAbort) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+        this.pending.delete(id);
+    }
+
+    // Rejects the tasks and drops them from the worker queue if they have not started
+    cancelTasks(ids, error) {
+        const cancelled = ids.filter(id => this.pending.has(id));
+        for (const id of cancelled) {
+            const task = this.pending.get(id);
+            this.settle(id);
+            task.reject(error);
+        }
+        if (this.worker && cancelled.length > 0) {
+            this.worker.postMessage({ type: 'cancel', ids: cancelled });
+        }
+    }
+
+    // Used when the user navigates away (logout, mode switch, page hide). Only tasks tied to a signal (view loads)
+    // are cancelled; unsignalled work such as re-keying keeps running.
+    cancelAll(reason = 'Crypto tasks cancelled') {
+        const ids = [...this.pending].filter(([, task]) => task.signal).map(([id]) => id);
+        this.cancelTasks(ids, new DOMException(reason, 'AbortError'));
+        if (ids.length > 0) console.log(`🛑 ${ids.length} crypto task(s) cancelled: ${reason}`);
+    }
+
+    abortError(signal) {
+        return signal.reason instanceof Error ? signal.reason : new DOMException('Crypto task cancelled', 'AbortError');
+    }
+
+    // Config changes reach the in-thread fallback and the worker
+    postConfig() {
+        const config = { defaultKdf: this.defaultKdf, KDF_ITERATIONS: this.KDF_ITERATIONS, SCRYPT_PARAMS: this.SCRYPT_PARAMS };
+        this.local.setDefaultKdf(config.defaultKdf);
+        this.local.KDF_ITERATIONS = config.KDF_ITERATIONS;
+        this.local.SCRYPT_PARAMS = config.SCRYPT_PARAMS;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', config });
+        }
+    }
+
+    setDefaultKdf(name) {
+        const changed = super.setDefaultKdf(name);
+        this.postConfig();
+        return changed;
+    }
+
+    clearSensitiveData() {
+        super.clearSensitiveData();
+        this.local.clearSensitiveData();
+        if (this.worker) {
+            this.worker.postMessage({ type: 'clear' });
+        }
+    }
+
+    terminate() {
+        this.cancelTasks([...this.pending.keys()], new DOMException('Crypto service stopped', 'AbortError'));
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+for (const method of WORKER_METHODS) {
+    CryptoService.prototype[method] = function (...args) {
+        return this.run(method, args);
+    };
+}
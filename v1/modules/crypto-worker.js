@@ -0,0 +1,80 @@
+/**
+ * Crypto Worker
+ * Runs CryptoManager methods off the main thread for CryptoService.
+ * Messages: { type: 'run', id, method, args } | { type: 'cancel', ids } | { type: 'configure', config } | { type: 'clear' }
+ */
+
+import { CryptoManager } from './crypto.js';
+
+// CryptoManager reads window.crypto; in a worker the global scope is self
+self.window = self;
+
+const MAX_CONCURRENT_TASKS = 4;
+const manager = new CryptoManager();
+const queue = []; // Tasks not started yet; cancelling removes them here
+let running = 0;
+
+// ArrayBuffers in a result are transferred rather than copied (large decrypted payloads)
+function collectTransferables(value, found = new Set(), depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 4) return found;
+    if (value instanceof ArrayBuffer) {
+        found.add(value);
+    } else if (ArrayBuffer.isView(value)) {
+        if (value.byteOffset === 0 && value.byteLength === value.buffer.byteLength) found.add(value.buffer);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectTransferables(item, found, depth + 1));
+    } else if (Object.getPrototypeOf(value) === Object.prototype) {
+        Object.values(value).forEach(item => collectTransferables(item, found, depth + 1));
+    }
+    return found;
+}
+
+async function runTask({ id, method, args }) {
+    try {
+        if (typeof manager[method] !== 'function') {
+            throw new Error(`Unknown crypto method: ${method}`);
+        }
+        const result = await manager[method](...args);
+        self.postMessage({ type: 'result', id, result }, [...collectTransferables(result)]);
+    } catch (error) {
+        self.postMessage({ type: 'error', id, error: { name: error.name, message: error.message } });
+    }
+}
+
+function drainQueue() {
+    while (running < MAX_CONCURRENT_TASKS && queue.length > 0) {
+        running++;
+        runTask(queue.shift()).finally(() => {
+            running--;
+            drainQueue();
+        });
+    }
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case 'run':
+            queue.push(message);
+            drainQueue();
+            break;
+        case 'cancel':
+            for (const id of message.ids) {
+                const index = queue.findIndex(task => task.id === id);
+                if (index !== -1) queue.splice(index, 1);
+            }
+            break;
+        case 'configure':
+            if (message.config.defaultKdf) manager.setDefaultKdf(message.config.defaultKdf);
+            if (message.config.KDF_ITERATIONS) manager.KDF_ITERATIONS = message.config.KDF_ITERATIONS;
+            if (message.config.SCRYPT_PARAMS) manager.SCRYPT_PARAMS = message.config.SCRYPT_PARAMS;
+            break;
+        case 'clear':
+            manager.clearSensitiveData();
+            break;
+        default:
+            console.warn('Crypto worker: unknown message', message.type);
+    }
+});
+
+self.postMessage({ type: 'ready' });
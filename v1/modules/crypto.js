@@ -4,10 +4,68 @@
  * FIX: Ensures kid passwords are properly used for encryption
  */
 
+import { scrypt, validateScryptParams } from '../utils/scrypt.js';
+import { generatePassword, generatePassphrase } from '../utils/password-generator.js';
+
 export class CryptoManager {
     constructor() {
-        this.KDF_ITERATIONS = 300000; // PBKDF2 iterations
+        this.KDF_ITERATIONS = 300000; // PBKDF2 iterations for new records
+        this.LEGACY_KDF_ITERATIONS = 300000; // Records written before KDF metadata existed
+        this.SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 }; // ~32 MiB of memory per derivation
+        this.SCRYPT_MAX_PARAMS = { N: 131072, r: 16, p: 4 }; // Most a stored record may ask for (up to 256 MiB)
+        this.SLOT_FORMAT_KEK = 'kek-aeskw-v1'; // Per-principal KEK + AES-KW wrapped DEK
+        this.KEK_CACHE_SIZE = 32; // Derived principal KEKs kept for the session
+        this.SLOT_FORMAT_ECDH = 'ecdh-p256-v1'; // DEK wrapped to a principal's ECDH P-256 public key
+        this.SLOT_HINT_INFO = 'family-timeline:slot-hint:v1'; // HKDF info for recipient hints
+        this.ECDH_HINT_INFO = 'family-timeline:ecdh-hint:v1'; // HKDF info for hints on public-key slots
+        this.ECDH_SLOT_INFO = 'family-timeline:ecdh-slot:v1'; // HKDF info for public-key slot wrapping keys
+        this.PRIVATE_KEY_WRAP_INFO = 'family-timeline:private-key-wrap:v1'; // HKDF info for the key that wraps a principal's private key
+        this.SIGNATURE_FORMAT = 'ecdsa-p256-sha256-v1'; // Author signatures over the entry envelope
+        this.SLOT_HINT_BYTES = 16;
+        this.SLOT_PADDING_BUCKET = 4; // Private entries carry a multiple of this many slots, decoys included
+        this.LEGACY_SLOTS_HINT = 'legacy-slots'; // Indexed on entries with unhinted slots, so they are found without a scan
+        this.kekCache = new Map(); // cacheKey -> Promise<{ kek, hint, privateKeyWrapKey }> (all keys non-extractable)
+        this.kekCacheSecret = null; // HMAC key used to build cache keys, so passwords are never used as map keys
+        this.ENTRY_FORMAT_VERSION = 2; // 2: content bound to entry ID + version, metadata authenticated by a GMAC tag
+        this.ENTRY_FORMAT_PRIVATE = 3; // 3: timestamp and targets encrypted; indexes hold a month bucket and blinded timeline tags
+        this.TIMELINE_INDEX_INFO = 'family-timeline:timeline-index:v1'; // HKDF info for the key that blinds timeline names
+        this.timelineIndexKeys = new Map(); // parent public key -> Promise<HMAC CryptoKey>
+        this.VERIFIER_CHECK_VALUE = 'family-timeline:master-verifier:v1'; // Known plaintext sealed by the master verifier
+        this.RECOVERY_KEY_INFO = 'family-timeline:recovery-key:v1'; // HKDF info for the key a recovery secret unwraps
+        this.RECOVERY_ESCROW_INFO = 'family-timeline:recovery-escrow:v1'; // HKDF info for the key sealing a recovery slot
+        this.RECOVERY_SLOT_FORMAT = 'principal-bits-ecdh-p256-v1'; // Recovery slot: the parent's key material sealed to the recovery key
+        this.RECOVERY_SECRET_BYTES = 32;
+        this.SESSION_KEYS_TYPE = 'principal-session-keys-v1'; // Marks the object unlockPrincipal returns
+        this.KID_PASSWORD_FORMAT_SEALED = 'ecdh-p256-sealed-v1'; // Kid password records sealed to the parent's public key
+        this.KID_PASSWORD_SEAL_INFO = 'family-timeline:kid-password-seal:v1'; // HKDF info for the key sealing a kid password
+        this.QUICK_UNLOCK_FORMAT = 'pin-device-v1'; // Principal key material sealed by a PIN and a device key
+        this.ATTACHMENT_FORMAT_CHUNKED = 'chunked-gcm-v1'; // Attachments sealed in fixed-size segments, one AES-GCM nonce each
+        this.ATTACHMENT_CHUNK_SIZE = 1024 * 1024; // Plaintext bytes per segment (the last one may be shorter)
         this.initialized = false;
+
+        // KDF registry: every record stores its algorithm and parameters, decryption uses what the record says
+        this.kdfRegistry = new Map();
+        this.defaultKdf = 'PBKDF2-SHA256';
+        this.registerKdf('PBKDF2-SHA256', {
+            label: 'PBKDF2-SHA256 (fast, widely supported)',
+            defaultParams: () => ({ iterations: this.KDF_ITERATIONS }),
+            deriveBits: async (passwordBytes, salt, params, lengthBits) => {
+                const keyMaterial = await window.crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']);
+                return window.crypto.subtle.deriveBits(
+                    { name: 'PBKDF2', salt: salt, iterations: params.iterations, hash: 'SHA-256' },
+                    keyMaterial,
+                    lengthBits
+                );
+            }
+        });
+        this.registerKdf('scrypt', {
+            label: 'scrypt (memory-hard, slower)',
+            defaultParams: () => ({ ...this.SCRYPT_PARAMS }),
+            deriveBits: async (passwordBytes, salt, params, lengthBits) => {
+                const derived = await scrypt(passwordBytes, new Uint8Array(salt), params, lengthBits / 8);
+                return derived.buffer;
+            }
+        });
     }
 
     async init() {
@@ -44,36 +102,96 @@ export class CryptoManager {
         return bytes.buffer;
     }
 
+    bytesToHex(bytes) {
+        return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
     generateRandomBytes(length) {
         return window.crypto.getRandomValues(new Uint8Array(length));
     }
 
+    // KDF registry
+    registerKdf(name, definition) {
+        if (typeof definition.deriveBits !== 'function' || typeof definition.defaultParams !== 'function') {
+            throw new Error(`KDF ${name} must provide deriveBits and defaultParams`);
+        }
+        this.kdfRegistry.set(name, { label: name, ...definition });
+    }
+
+    getAvailableKdfs() {
+        return Array.from(this.kdfRegistry.entries()).map(([name, definition]) => ({ name, label: definition.label }));
+    }
+
+    setDefaultKdf(name) {
+        if (!this.kdfRegistry.has(name)) {
+            console.warn(`Unknown KDF "${name}", keeping ${this.defaultKdf}`);
+            return false;
+        }
+        this.defaultKdf = name;
+        console.log(`🔐 Default KDF for new keys: ${name}`);
+        return true;
+    }
+
+    // KDF spec used for records written now
+    getDefaultKdfSpec() {
+        const definition = this.kdfRegistry.get(this.defaultKdf);
+        return { kdf: this.defaultKdf, kdfParams: definition.defaultParams() };
+    }
+
+    // KDF spec recorded on a slot / kid password / verifier. Records without kdf metadata are legacy PBKDF2.
+    kdfSpecFromRecord(record) {
+        if (!record || !record.kdf) {
+            return {
+                kdf: 'PBKDF2-SHA256',
+                kdfParams: { iterations: (record && record.kdfIterations) || this.LEGACY_KDF_ITERATIONS }
+            };
+        }
+        if (record.kdf === 'PBKDF2-SHA256' && !record.kdfParams) {
+            return { kdf: record.kdf, kdfParams: { iterations: record.kdfIterations || this.LEGACY_KDF_ITERATIONS } };
+        }
+        // Records can come from an imported file, so their scrypt cost is capped before anything is allocated
+        if (record.kdf === 'scrypt') {
+            const params = record.kdfParams || {};
+            validateScryptParams(params);
+            const max = this.SCRYPT_MAX_PARAMS;
+            if (params.N > max.N || params.r > max.r || params.p > max.p) {
+                throw new Error(`scrypt parameters exceed the supported maximum (N ${max.N}, r ${max.r}, p ${max.p})`);
+            }
+        }
+        return { kdf: record.kdf, kdfParams: record.kdfParams };
+    }
+
+    // Fields stored alongside a record; kdfIterations is kept for PBKDF2 so older readers still work
+    kdfRecordFields(kdfSpec) {
+        const fields = { kdf: kdfSpec.kdf, kdfParams: kdfSpec.kdfParams };
+        if (kdfSpec.kdf === 'PBKDF2-SHA256') {
+            fields.kdfIterations = kdfSpec.kdfParams.iterations;
+        }
+        return fields;
+    }
+
     // Key derivation
-    async deriveKeyFromPassword(password, salt) {
+    async deriveBitsFromPassword(password, salt, kdfSpec, lengthBits = 256) {
+        const definition = this.kdfRegistry.get(kdfSpec.kdf);
+        if (!definition) {
+            throw new Error(`Unsupported key derivation function: ${kdfSpec.kdf}`);
+        }
         const encoder = new TextEncoder();
-        const keyMaterial = await window.crypto.subtle.importKey(
+        return definition.deriveBits(encoder.encode(password), salt, kdfSpec.kdfParams, lengthBits);
+    }
+
+    // kdfSpec comes from the record being decrypted; omit it only when creating a new record
+    async deriveKeyFromPassword(password, salt, kdfSpec = this.getDefaultKdfSpec()) {
+        const bits = await this.deriveBitsFromPassword(password, salt, kdfSpec, 256);
+        const key = await window.crypto.subtle.importKey(
             'raw',
-            encoder.encode(password),
-            'PBKDF2',
+            bits,
+            { name: 'AES-GCM', length: 256 },
             false,
-            ['deriveKey']
-        );
-
-        return window.crypto.subtle.deriveKey(
-            {
-                name: 'PBKDF2',
-                salt: salt,
-                iterations: this.KDF_ITERATIONS,
-                hash: 'SHA-256'
-            },
-            keyMaterial,
-            {
-                name: 'AES-GCM',
-                length: 256
-            },
-            true,
             ['encrypt', 'decrypt']
         );
+        new Uint8Array(bits).fill(0);
+        return key;
     }
 
     // Kid password encryption/decryption
@@ -83,9 +201,10 @@ export class CryptoManager {
             
             const salt = this.generateRandomBytes(16);
             const iv = this.generateRandomBytes(12);
+            const kdfSpec = this.getDefaultKdfSpec();
             
             // Derive key from parent password
-            const key = await this.deriveKeyFromPassword(parentPassword, salt);
+            const key = await this.deriveKeyFromPassword(parentPassword, salt, kdfSpec);
             
             // Encrypt kid password
             const encoder = new TextEncoder();
@@ -98,7 +217,8 @@ export class CryptoManager {
             const result = {
                 encryptedPassword_base64: this.arrayBufferToBase64(encryptedPassword),
                 salt_base64: this.arrayBufferToBase64(salt),
-                iv_base64: this.arrayBufferToBase64(iv)
+                iv_base64: this.arrayBufferToBase64(iv),
+                ...this.kdfRecordFields(kdfSpec)
             };
             
             console.log('✅ Kid password encrypted successfully');
@@ -139,8 +259,8 @@ export class CryptoManager {
             
             console.log('decryptKidPassword: Salt, IV, EncryptedPassword successfully converted from base64 to ArrayBuffer.');
     
-            // Derive key from parent password
-            const key = await this.deriveKeyFromPassword(parentPassword, salt);
+            // Derive key from parent password, with the KDF recorded on the kid record
+            const key = await this.deriveKeyFromPassword(parentPassword, salt, this.kdfSpecFromRecord(kidData));
             console.log('decryptKidPassword: Key derived from parent password successfully.');
             
             // Decrypt kid password
@@ -166,340 +286,1939 @@ export class CryptoManager {
         }
     }
 
-    // File handling
-    async fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => {
-                const arrayBuffer = reader.result;
-                resolve({
-                    name: file.name,
-                    type: file.type,
-                    size: file.size,
-                    data_base64: this.arrayBufferToBase64(arrayBuffer)
-                });
-            };
-            reader.onerror = reject;
-            reader.readAsArrayBuffer(file);
-        });
+    // Sealed kid password records
+    // New records are sealed to the parent's ECDH public key (ephemeral ECDH + AES-GCM): adding a kid needs no
+    // master password, and a master password change, which keeps the key pair, leaves them untouched.
+    isSealedKidPassword(kidData) {
+        return !!kidData && kidData.passwordFormat === this.KID_PASSWORD_FORMAT_SEALED;
     }
 
-    // FIXED: Entry encryption with proper kid password handling
-    async encryptEntry(content, targets, parentPassword, kidPasswords) {
-        try {
-            console.log('🔐 Starting entry encryption...');
-            console.log('🎯 Targets:', targets);
-            console.log('🔑 Available kid passwords:', Object.keys(kidPasswords || {}));
-            console.log('🔑 Kid passwords content:', kidPasswords);
+    async deriveKidPasswordSealKey(sharedBits, ephemeralPublicKey) {
+        const hkdfKey = await window.crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            this.hkdfParams(this.KID_PASSWORD_SEAL_INFO, ephemeralPublicKey),
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
 
-            // Validate inputs
-            if (!parentPassword) {
-                throw new Error('Parent password is required');
-            }
-            if (!targets || targets.length === 0) {
-                throw new Error('At least one target is required');
-            }
+    async sealKidPassword(kidPassword, parentKeyParams) {
+        if (!parentKeyParams || !parentKeyParams.publicKey_base64) {
+            throw new Error('Sealing a kid password requires the parent public key');
+        }
+        const ephemeral = await window.crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+        const ephemeralPublicKey = await window.crypto.subtle.exportKey('raw', ephemeral.publicKey);
+        const sharedBits = await this.deriveEcdhBits(ephemeral.privateKey, await this.importPublicKey(parentKeyParams.publicKey_base64));
+        const sealKey = await this.deriveKidPasswordSealKey(sharedBits, ephemeralPublicKey);
+        const iv = this.generateRandomBytes(12);
+        const encoder = new TextEncoder();
+        const encryptedPassword = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, sealKey, encoder.encode(kidPassword));
+        console.log('🔐 Kid password sealed to the parent public key');
+        return {
+            passwordFormat: this.KID_PASSWORD_FORMAT_SEALED,
+            encryptedPassword_base64: this.arrayBufferToBase64(encryptedPassword),
+            iv_base64: this.arrayBufferToBase64(iv),
+            ephemeralPublicKey_base64: this.arrayBufferToBase64(ephemeralPublicKey)
+        };
+    }
 
-            // Generate data encryption key (DEK)
-            const dek = await window.crypto.subtle.generateKey(
-                { name: 'AES-GCM', length: 256 },
-                true,
-                ['encrypt', 'decrypt']
+    // parentSecret: the parent's session keys or master password. Legacy records need the master password.
+    // Returns null when the record cannot be opened.
+    async openKidPassword(kidData, parentSecret, parentKeyParams) {
+        if (!this.isSealedKidPassword(kidData)) {
+            return typeof parentSecret === 'string' ? this.decryptKidPassword(kidData, parentSecret) : null;
+        }
+        try {
+            const privateKey = await this.getPrincipalPrivateKey(parentSecret, parentKeyParams);
+            const ephemeralPublicKey = this.base64ToArrayBuffer(kidData.ephemeralPublicKey_base64);
+            const sharedBits = await this.deriveEcdhBits(privateKey, await this.importPublicKey(kidData.ephemeralPublicKey_base64));
+            const sealKey = await this.deriveKidPasswordSealKey(sharedBits, ephemeralPublicKey);
+            const decrypted = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToArrayBuffer(kidData.iv_base64) },
+                sealKey,
+                this.base64ToArrayBuffer(kidData.encryptedPassword_base64)
             );
+            return new TextDecoder().decode(decrypted);
+        } catch (error) {
+            console.warn(`❌ Sealed password of kid ${kidData.id} could not be opened:`, error.message);
+            return null;
+        }
+    }
 
-            // Export DEK for key wrapping
-            const dekRaw = await window.crypto.subtle.exportKey('raw', dek);
+    // Master password verifier
+    // Seals a known value with the master password so a login can be checked without touching kids or entries
+    async createMasterVerifier(password) {
+        try {
+            console.log('🔐 Creating master password verifier');
+
+            const salt = this.generateRandomBytes(16);
+            const iv = this.generateRandomBytes(12);
+            const kdfSpec = this.getDefaultKdfSpec();
+            const key = await this.deriveKeyFromPassword(password, salt, kdfSpec);
 
-            // Encrypt content with DEK
-            const dataIv = this.generateRandomBytes(12);
             const encoder = new TextEncoder();
-            const encryptedContent = await window.crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv: dataIv },
-                dek,
-                encoder.encode(JSON.stringify(content))
+            const encryptedCheck = await window.crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: iv },
+                key,
+                encoder.encode(this.VERIFIER_CHECK_VALUE)
             );
 
-            // Prepare encryption info for each recipient
-            const encryptionInfo = {};
+            return {
+                encryptedCheck_base64: this.arrayBufferToBase64(encryptedCheck),
+                salt_base64: this.arrayBufferToBase64(salt),
+                iv_base64: this.arrayBufferToBase64(iv),
+                ...this.kdfRecordFields(kdfSpec)
+            };
+        } catch (error) {
+            console.error('❌ Failed to create master verifier:', error);
+            throw new Error('Master verifier creation failed');
+        }
+    }
 
-            // ALWAYS encrypt for parent (for management purposes)
-            console.log('🔐 Encrypting DEK for parent...');
-            const parentSalt = this.generateRandomBytes(16);
-            const parentIv = this.generateRandomBytes(12);
-            const parentKek = await this.deriveKeyFromPassword(parentPassword, parentSalt);
-            const parentWrappedDek = await window.crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv: parentIv },
-                parentKek,
-                dekRaw
+    async checkMasterVerifier(password, verifier) {
+        if (!password || !verifier) {
+            return false;
+        }
+        try {
+            const salt = this.base64ToArrayBuffer(verifier.salt_base64);
+            const iv = this.base64ToArrayBuffer(verifier.iv_base64);
+            const encryptedCheck = this.base64ToArrayBuffer(verifier.encryptedCheck_base64);
+
+            const key = await this.deriveKeyFromPassword(password, salt, this.kdfSpecFromRecord(verifier));
+            const decryptedBuffer = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: iv },
+                key,
+                encryptedCheck
             );
 
-            encryptionInfo.parent = {
-                encryptedDek_base64: this.arrayBufferToBase64(parentWrappedDek),
-                salt_base64: this.arrayBufferToBase64(parentSalt),
-                iv_base64: this.arrayBufferToBase64(parentIv),
-                kdfIterations: this.KDF_ITERATIONS
-            };
-            console.log('✅ Parent encryption completed');
+            const decoder = new TextDecoder();
+            const matches = decoder.decode(decryptedBuffer) === this.VERIFIER_CHECK_VALUE;
+            console.log(matches ? '✅ Master password verified' : '❌ Master verifier content mismatch');
+            return matches;
+        } catch (error) {
+            // AES-GCM authentication fails when the password is wrong
+            console.warn('❌ Master password rejected by verifier');
+            return false;
+        }
+    }
 
-            // Encrypt DEK for each target
-            for (const target of targets) {
-                let targetPassword;
-                let encryptionKey;
-
-                console.log(`🔐 Processing target: ${target}`);
-
-                if (target === 'general') {
-                    targetPassword = parentPassword;
-                    encryptionKey = 'general';
-                    console.log('📝 Using parent password for general timeline');
-                } else if (target.startsWith('kid')) {
-                    const kidId = parseInt(target.replace('kid', ''));
-                    console.log(`👶 Kid target detected: ID ${kidId}`);
-                    
-                    // CRITICAL FIX: Ensure we have kid passwords and the specific password
-                    if (!kidPasswords) {
-                        console.error('❌ Kid passwords object is null/undefined');
-                        throw new Error(`Kid passwords not available for encryption`);
-                    }
-                    
-                    targetPassword = kidPasswords[kidId];
-                    encryptionKey = target;
-                    
-                    console.log(`🔑 Kid ${kidId} password lookup:`, {
-                        passwordExists: !!targetPassword,
-                        passwordLength: targetPassword ? targetPassword.length : 0,
-                        allKidIds: Object.keys(kidPasswords)
-                    });
-                } else {
-                    console.warn(`❓ Unknown target type: ${target}`);
-                    continue;
-                }
+    // Account recovery
+    // A random recovery secret (split into Shamir shares, or printed) unwraps a recovery ECDH private key.
+    // The record holds a recovery slot for the parent principal: the key material the master password stretches into
+    // (the KEK and private-key wrapping key come from it), sealed to the recovery public key. Opening the slot gives
+    // session keys that open every parent slot, never the password; a password change re-seals it without the secret.
+    generateRecoverySecret() {
+        return this.generateRandomBytes(this.RECOVERY_SECRET_BYTES);
+    }
 
-                // CRITICAL: Validate password exists
-                if (!targetPassword) {
-                    const errorMsg = `No password available for target: ${target}`;
-                    console.error(`❌ ${errorMsg}`);
-                    throw new Error(errorMsg);
-                }
+    recoveryAad(record, purpose) {
+        const encoder = new TextEncoder();
+        return encoder.encode(`${record.method}:${record.recoveryId}:${purpose}`);
+    }
 
-                console.log(`🔐 Encrypting DEK for ${target} with password length: ${targetPassword.length}`);
-
-                // Generate unique salt and IV for this recipient
-                const targetSalt = this.generateRandomBytes(16);
-                const targetIv = this.generateRandomBytes(12);
-                
-                // Derive key from target password
-                const targetKek = await this.deriveKeyFromPassword(targetPassword, targetSalt);
-                
-                // Encrypt DEK with target's password
-                const targetWrappedDek = await window.crypto.subtle.encrypt(
-                    { name: 'AES-GCM', iv: targetIv },
-                    targetKek,
-                    dekRaw
-                );
+    async deriveRecoveryWrapKey(secret, recoveryId) {
+        const hkdfKey = await window.crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            this.hkdfParams(`${this.RECOVERY_KEY_INFO}:${recoveryId}`),
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
 
-                encryptionInfo[encryptionKey] = {
-                    encryptedDek_base64: this.arrayBufferToBase64(targetWrappedDek),
-                    salt_base64: this.arrayBufferToBase64(targetSalt),
-                    iv_base64: this.arrayBufferToBase64(targetIv),
-                    kdfIterations: this.KDF_ITERATIONS
-                };
-                
-                console.log(`✅ Encryption completed for ${target}`);
-            }
+    async deriveRecoveryEscrowKey(sharedBits, ephemeralPublicKey, recoveryId) {
+        const hkdfKey = await window.crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            this.hkdfParams(`${this.RECOVERY_ESCROW_INFO}:${recoveryId}`, ephemeralPublicKey),
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
 
-            const result = {
-                encryptedContent_base64: this.arrayBufferToBase64(encryptedContent),
-                data_iv_base64: this.arrayBufferToBase64(dataIv),
-                encryptionInfo: encryptionInfo,
-                targets: targets
+    // method: 'shamir' | 'kit'; details (threshold, holders...) are stored with the record and never secret
+    async createRecoveryMethod(method, secret, masterPassword, parentKeyParams, details = {}) {
+        try {
+            const keyPair = await window.crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+            const record = {
+                method,
+                recoveryId: this.bytesToHex(this.generateRandomBytes(4)),
+                createdAt: new Date().toISOString(),
+                ...details,
+                publicKey_base64: this.arrayBufferToBase64(await window.crypto.subtle.exportKey('raw', keyPair.publicKey))
             };
-
-            console.log('✅ Entry encryption completed successfully');
-            console.log('🔐 Encryption info keys:', Object.keys(encryptionInfo));
-            
-            return result;
+            const iv = this.generateRandomBytes(12);
+            const wrappedKey = await window.crypto.subtle.wrapKey(
+                'pkcs8',
+                keyPair.privateKey,
+                await this.deriveRecoveryWrapKey(secret, record.recoveryId),
+                { name: 'AES-GCM', iv: iv, additionalData: this.recoveryAad(record, 'private-key') }
+            );
+            record.encryptedPrivateKey = {
+                iv_base64: this.arrayBufferToBase64(iv),
+                wrappedKey_base64: this.arrayBufferToBase64(wrappedKey)
+            };
+            console.log(`🛟 Recovery method created (${method}, ${record.recoveryId})`);
+            const sealed = await this.sealRecoverySlots({ [method]: record }, masterPassword, parentKeyParams);
+            return sealed[method];
         } catch (error) {
-            console.error('❌ Entry encryption failed:', error);
-            throw new Error(`Entry encryption failed: ${error.message}`);
+            console.error('❌ Failed to create recovery method:', error);
+            throw new Error('Recovery method creation failed');
         }
     }
 
-    // IMPROVED: Entry decryption with better logging
-    async decryptEntry(entry, password) {
+    // Re-seals the recovery slot of every record (by method) for the parent principal's current key params.
+    // Needs only the recovery public keys; the key material is derived once for all of them.
+    // Records from before recovery slots lose the master password they held.
+    async sealRecoverySlots(records, password, parentKeyParams) {
+        const bits = await this.derivePrincipalBits(password, parentKeyParams);
         try {
-            console.log('🔓 Attempting to decrypt entry with password length:', password?.length || 0);
-            
-            if (!password) {
-                console.warn('❌ No password provided for decryption');
-                return null;
-            }
-
-            const encryptionInfo = entry.encryptionInfo;
-            if (!encryptionInfo) {
-                console.error('❌ No encryption info in entry');
-                return null;
-            }
-
-            console.log('🔍 Available encryption keys:', Object.keys(encryptionInfo));
-
-            let dekRaw = null;
-            let decryptedBy = null;
-
-            // Try to decrypt DEK with the provided password against each encryption entry
-            for (const [keyHolder, info] of Object.entries(encryptionInfo)) {
-                try {
-                    console.log(`🔓 Trying to decrypt DEK using ${keyHolder} encryption...`);
-                    
-                    const salt = this.base64ToArrayBuffer(info.salt_base64);
-                    const iv = this.base64ToArrayBuffer(info.iv_base64);
-                    const encryptedDek = this.base64ToArrayBuffer(info.encryptedDek_base64);
-
-                    const kek = await this.deriveKeyFromPassword(password, salt);
-                    dekRaw = await window.crypto.subtle.decrypt(
-                        { name: 'AES-GCM', iv: iv },
-                        kek,
-                        encryptedDek
-                    );
-
-                    decryptedBy = keyHolder;
-                    console.log(`✅ Successfully decrypted DEK using ${keyHolder} encryption`);
-                    break;
-                } catch (e) {
-                    console.log(`❌ Failed to decrypt using ${keyHolder} encryption:`, e.message);
-                    continue;
-                }
+            const sealed = {};
+            for (const [method, record] of Object.entries(records)) {
+                const { escrow, ...rest } = record;
+                const ephemeral = await window.crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+                const ephemeralPublicKey = await window.crypto.subtle.exportKey('raw', ephemeral.publicKey);
+                const sharedBits = await this.deriveEcdhBits(ephemeral.privateKey, await this.importPublicKey(record.publicKey_base64));
+                const slotKey = await this.deriveRecoveryEscrowKey(sharedBits, ephemeralPublicKey, record.recoveryId);
+                const iv = this.generateRandomBytes(12);
+                const sealedBits = await window.crypto.subtle.encrypt(
+                    { name: 'AES-GCM', iv: iv, additionalData: this.recoveryAad(record, `parent-slot:${parentKeyParams.keyId}`) },
+                    slotKey,
+                    bits
+                );
+                sealed[method] = {
+                    ...rest,
+                    parentSlot: {
+                        format: this.RECOVERY_SLOT_FORMAT,
+                        keyId: parentKeyParams.keyId,
+                        ephemeralPublicKey_base64: this.arrayBufferToBase64(ephemeralPublicKey),
+                        iv_base64: this.arrayBufferToBase64(iv),
+                        sealedBits_base64: this.arrayBufferToBase64(sealedBits),
+                        sealedAt: new Date().toISOString()
+                    }
+                };
             }
+            return sealed;
+        } finally {
+            new Uint8Array(bits).fill(0);
+        }
+    }
 
-            if (!dekRaw) {
-                console.warn('❌ Password does not match any encryption key in this entry');
-                return null; // Password doesn't match any encryption key
-            }
+    // True while a record still holds a sealed master password (written before recovery slots)
+    hasRecoveryEscrow(record) {
+        return !!record && !!record.escrow && !record.parentSlot;
+    }
 
-            // Import DEK
-            const dek = await window.crypto.subtle.importKey(
-                'raw',
-                dekRaw,
-                { name: 'AES-GCM' },
+    // Returns session keys for the parent principal (see unlockPrincipal).
+    // Throws if the secret does not belong to this record or the slot no longer matches the parent's key params.
+    async openRecoverySlot(record, secret, parentKeyParams) {
+        let privateKey;
+        try {
+            privateKey = await window.crypto.subtle.unwrapKey(
+                'pkcs8',
+                this.base64ToArrayBuffer(record.encryptedPrivateKey.wrappedKey_base64),
+                await this.deriveRecoveryWrapKey(secret, record.recoveryId),
+                { name: 'AES-GCM', iv: this.base64ToArrayBuffer(record.encryptedPrivateKey.iv_base64), additionalData: this.recoveryAad(record, 'private-key') },
+                { name: 'ECDH', namedCurve: 'P-256' },
                 false,
-                ['decrypt']
+                ['deriveBits']
             );
+        } catch (error) {
+            throw new Error('The recovery secret does not match this device');
+        }
+        const sealed = record.parentSlot || record.escrow;
+        const ephemeralPublicKey = this.base64ToArrayBuffer(sealed.ephemeralPublicKey_base64);
+        const sharedBits = await this.deriveEcdhBits(privateKey, await this.importPublicKey(sealed.ephemeralPublicKey_base64));
+        const slotKey = await this.deriveRecoveryEscrowKey(sharedBits, ephemeralPublicKey, record.recoveryId);
 
-            // Decrypt content
-            const encryptedContent = this.base64ToArrayBuffer(entry.encryptedContent_base64);
-            const dataIv = this.base64ToArrayBuffer(entry.data_iv_base64);
-            
-            const decryptedBuffer = await window.crypto.subtle.decrypt(
-                { name: 'AES-GCM', iv: dataIv },
-                dek,
-                encryptedContent
+        if (!record.parentSlot) {
+            // Older record: it sealed the master password, which is only used to derive the keys here
+            const decrypted = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToArrayBuffer(sealed.iv_base64), additionalData: this.recoveryAad(record, 'escrow') },
+                slotKey,
+                this.base64ToArrayBuffer(sealed.encryptedPassword_base64)
             );
+            const keys = await this.unlockPrincipal(new TextDecoder().decode(decrypted), parentKeyParams);
+            new Uint8Array(decrypted).fill(0);
+            await this.checkRecoveredKeys(keys, parentKeyParams);
+            return keys;
+        }
 
-            const decoder = new TextDecoder();
-            const content = JSON.parse(decoder.decode(decryptedBuffer));
+        if (sealed.keyId !== parentKeyParams.keyId) {
+            throw new Error('The recovered key no longer matches the master password on this device');
+        }
+        const bits = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToArrayBuffer(sealed.iv_base64), additionalData: this.recoveryAad(record, `parent-slot:${sealed.keyId}`) },
+            slotKey,
+            this.base64ToArrayBuffer(sealed.sealedBits_base64)
+        );
+        const { kek, hint, privateKeyWrapKey } = await this.principalKeysFromBits(bits, parentKeyParams);
+        new Uint8Array(bits).fill(0);
+        const keys = { type: this.SESSION_KEYS_TYPE, keyId: parentKeyParams.keyId, kek, hint, privateKeyWrapKey };
+        await this.checkRecoveredKeys(keys, parentKeyParams);
+        console.log(`🛟 Recovery slot opened (${record.method}, ${record.recoveryId})`);
+        return keys;
+    }
 
-            console.log('✅ Entry content decrypted successfully');
-            
-            return {
-                content: content,
-                decryptedBy: decryptedBy,
-                timestamp: entry.timestamp,
-                targetTimelines: entry.targetTimelines || entry.targets || []
-            };
+    // The parent's wrapped private key only opens with the principal's own keys
+    async checkRecoveredKeys(keys, parentKeyParams) {
+        try {
+            await this.getPrincipalPrivateKey(keys, parentKeyParams);
         } catch (error) {
-            console.error('❌ Entry decryption failed:', error);
-            return null;
+            throw new Error('The recovered key no longer matches the master password on this device');
         }
     }
 
-    // Password strength validation
-    validatePasswordStrength(password) {
-        const requirements = {
-            minLength: password.length >= 8,
-            hasUppercase: /[A-Z]/.test(password),
-            hasLowercase: /[a-z]/.test(password),
-            hasNumbers: /\d/.test(password),
-            hasSpecialChars: /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)
+    // Principal keys
+    // Each principal (parent, each kid) has stable key params: a key ID, a salt and a KDF spec.
+    // The password is stretched once per session into a non-extractable AES-KW KEK; entry slots are cheap AES-KW wraps.
+    createPrincipalKeyParams() {
+        return {
+            keyId: this.arrayBufferToBase64(this.generateRandomBytes(16)),
+            salt_base64: this.arrayBufferToBase64(this.generateRandomBytes(16)),
+            ...this.kdfRecordFields(this.getDefaultKdfSpec())
         };
+    }
 
-        const score = Object.values(requirements).filter(Boolean).length;
-        
-        let strength = 'weak';
-        if (score >= 4) strength = 'strong';
-        else if (score >= 3) strength = 'medium';
+    // Only the public parts of key params travel inside slots
+    principalParamsFromRecord(record) {
+        const params = { keyId: record.keyId, salt_base64: record.salt_base64, kdf: record.kdf, kdfParams: record.kdfParams };
+        if (record.kdfIterations !== undefined) {
+            params.kdfIterations = record.kdfIterations;
+        }
+        return params;
+    }
 
-        return {
-            score,
-            strength,
-            requirements,
-            isValid: score >= 3 // Require at least 3 criteria
-        };
+    async kekCacheKeyFor(password, keyParams) {
+        if (!this.kekCacheSecret) {
+            this.kekCacheSecret = await window.crypto.subtle.generateKey(
+                { name: 'HMAC', hash: 'SHA-256' },
+                false,
+                ['sign']
+            );
+        }
+        const encoder = new TextEncoder();
+        const material = JSON.stringify([password, keyParams.keyId, keyParams.salt_base64, this.kdfSpecFromRecord(keyParams)]);
+        const mac = await window.crypto.subtle.sign('HMAC', this.kekCacheSecret, encoder.encode(material));
+        return this.arrayBufferToBase64(mac);
     }
 
-    // Generate secure password
-    generateSecurePassword(length = 16) {
-        const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-        const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        const numbers = '0123456789';
-        const symbols = '!@#$%^&*()_+-=[]{}|;:,.<>?';
-        const allChars = lowercase + uppercase + numbers + symbols;
+    hkdfParams(info, salt = new Uint8Array(0)) {
+        const encoder = new TextEncoder();
+        return { name: 'HKDF', hash: 'SHA-256', salt: salt, info: encoder.encode(info) };
+    }
 
-        // Ensure at least one character from each category
-        let password = '';
-        password += lowercase[Math.floor(Math.random() * lowercase.length)];
-        password += uppercase[Math.floor(Math.random() * uppercase.length)];
-        password += numbers[Math.floor(Math.random() * numbers.length)];
-        password += symbols[Math.floor(Math.random() * symbols.length)];
+    // Derives (once per session) the principal's KEK, recipient hint and private-key wrapping key.
+    // The hint is HKDF(password-derived bits, key ID): stable for that principal, meaningless without the password.
+    // Session keys (see unlockPrincipal) are returned as they are.
+    async getPrincipalKeys(password, keyParams) {
+        if (this.isSessionKeys(password)) {
+            if (password.keyId !== keyParams.keyId) {
+                throw new Error('Session keys belong to another principal');
+            }
+            return password;
+        }
+        const cacheKey = await this.kekCacheKeyFor(password, keyParams);
+        if (this.kekCache.has(cacheKey)) {
+            const cached = this.kekCache.get(cacheKey);
+            // Refresh LRU position
+            this.kekCache.delete(cacheKey);
+            this.kekCache.set(cacheKey, cached);
+            return cached;
+        }
+
+        console.log(`🔐 Deriving principal KEK (key ID ${keyParams.keyId.substring(0, 8)}...)`);
+        const derivation = (async () => {
+            const bits = await this.derivePrincipalBits(password, keyParams);
+            const keys = await this.principalKeysFromBits(bits, keyParams);
+            new Uint8Array(bits).fill(0);
+            return keys;
+        })();
 
-        // Fill remaining length with random characters
-        for (let i = password.length; i < length; i++) {
-            password += allChars[Math.floor(Math.random() * allChars.length)];
+        this.kekCache.set(cacheKey, derivation);
+        derivation.catch(() => this.kekCache.delete(cacheKey));
+        while (this.kekCache.size > this.KEK_CACHE_SIZE) {
+            this.kekCache.delete(this.kekCache.keys().next().value);
         }
+        return derivation;
+    }
 
-        // Shuffle the password
-        return password.split('').sort(() => 0.5 - Math.random()).join('');
+    async derivePrincipalBits(password, keyParams) {
+        const salt = this.base64ToArrayBuffer(keyParams.salt_base64);
+        return this.deriveBitsFromPassword(password, salt, this.kdfSpecFromRecord(keyParams), 256);
     }
 
-    // Hash functions (for verification, not storage)
-    async hashPassword(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
-        return this.arrayBufferToBase64(hashBuffer);
+    async principalKeysFromBits(bits, keyParams) {
+        const kek = await window.crypto.subtle.importKey('raw', bits, { name: 'AES-KW' }, false, ['wrapKey', 'unwrapKey']);
+        const hkdfKey = await window.crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveBits', 'deriveKey']);
+        const hintBits = await window.crypto.subtle.deriveBits(
+            this.hkdfParams(`${this.SLOT_HINT_INFO}:${keyParams.keyId}`),
+            hkdfKey,
+            this.SLOT_HINT_BYTES * 8
+        );
+        const privateKeyWrapKey = await window.crypto.subtle.deriveKey(
+            this.hkdfParams(`${this.PRIVATE_KEY_WRAP_INFO}:${keyParams.keyId}`),
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+        return { kek, hint: this.arrayBufferToBase64(hintBits), privateKeyWrapKey };
     }
 
-    // Secure comparison
-    async verifyPassword(password, expectedHash) {
-        const passwordHash = await this.hashPassword(password);
-        return passwordHash === expectedHash;
+    async getPrincipalKek(password, keyParams) {
+        const { kek } = await this.getPrincipalKeys(password, keyParams);
+        return kek;
     }
 
-    // Key derivation for master password (for future use)
-    async deriveMasterKey(password, salt) {
+    // Session keys
+    // A login stretches the password once into the principal's non-extractable keys, and the session keeps those
+    // instead of the password. Every method that takes a principal's password also accepts them for that principal;
+    // only legacy per-slot wraps and legacy kid password records still need the password itself.
+    async unlockPrincipal(password, keyParams) {
+        const { kek, hint, privateKeyWrapKey } = await this.getPrincipalKeys(password, keyParams);
+        console.log(`🔐 Session keys ready (key ID ${keyParams.keyId.substring(0, 8)}...)`);
+        return { type: this.SESSION_KEYS_TYPE, keyId: keyParams.keyId, kek, hint, privateKeyWrapKey };
+    }
+
+    isSessionKeys(secret) {
+        return !!secret && typeof secret === 'object' && secret.type === this.SESSION_KEYS_TYPE;
+    }
+
+    // Quick unlock (PIN per device)
+    // The principal's password-derived bits are sealed by a PIN-derived key, then by a random non-extractable device key
+    // that never leaves this browser's IndexedDB: a copied database cannot be brute-forced elsewhere. On the device,
+    // the short PIN is only protected by the attempt limit the app enforces.
+    quickUnlockAad(keyId) {
         const encoder = new TextEncoder();
-        const keyMaterial = await window.crypto.subtle.importKey(
-            'raw',
-            encoder.encode(password),
-            'PBKDF2',
-            false,
-            ['deriveKey']
-        );
+        return encoder.encode(`${this.QUICK_UNLOCK_FORMAT}:${keyId}`);
+    }
 
-        return window.crypto.subtle.deriveKey(
-            {
-                name: 'PBKDF2',
-                salt: salt,
-                iterations: this.KDF_ITERATIONS,
-                hash: 'SHA-256'
-            },
-            keyMaterial,
-            {
-                name: 'AES-GCM',
-                length: 256
-            },
+    // The caller checks that password belongs to the principal first
+    async createQuickUnlock(password, keyParams, pin) {
+        try {
+            console.log(`🔐 Creating quick-unlock PIN (key ID ${keyParams.keyId.substring(0, 8)}...)`);
+            const aad = this.quickUnlockAad(keyParams.keyId);
+            const pinSalt = this.generateRandomBytes(16);
+            const pinIv = this.generateRandomBytes(12);
+            const deviceIv = this.generateRandomBytes(12);
+            const kdfSpec = this.getDefaultKdfSpec();
+            const pinKey = await this.deriveKeyFromPassword(pin, pinSalt, kdfSpec);
+            const deviceKey = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+            const bits = await this.derivePrincipalBits(password, keyParams);
+            const pinSealed = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv: pinIv, additionalData: aad }, pinKey, bits);
+            new Uint8Array(bits).fill(0);
+            const sealed = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv: deviceIv, additionalData: aad }, deviceKey, pinSealed);
+
+            return {
+                format: this.QUICK_UNLOCK_FORMAT,
+                keyId: keyParams.keyId,
+                deviceKey: deviceKey,
+                sealedBits_base64: this.arrayBufferToBase64(sealed),
+                deviceIv_base64: this.arrayBufferToBase64(deviceIv),
+                pinIv_base64: this.arrayBufferToBase64(pinIv),
+                pinSalt_base64: this.arrayBufferToBase64(pinSalt),
+                ...this.kdfRecordFields(kdfSpec),
+                failedAttempts: 0
+            };
+        } catch (error) {
+            console.error('❌ Failed to create quick-unlock PIN:', error);
+            throw new Error('Quick-unlock PIN creation failed');
+        }
+    }
+
+    // Session keys for the principal, or null when the PIN is wrong
+    async openQuickUnlock(record, pin, keyParams) {
+        if (record.format !== this.QUICK_UNLOCK_FORMAT || record.keyId !== keyParams.keyId) {
+            throw new Error('Quick-unlock PIN belongs to another key');
+        }
+        const aad = this.quickUnlockAad(record.keyId);
+        let pinSealed;
+        try {
+            pinSealed = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToArrayBuffer(record.deviceIv_base64), additionalData: aad },
+                record.deviceKey,
+                this.base64ToArrayBuffer(record.sealedBits_base64)
+            );
+        } catch (error) {
+            throw new Error('Quick-unlock record is damaged');
+        }
+
+        const pinKey = await this.deriveKeyFromPassword(pin, this.base64ToArrayBuffer(record.pinSalt_base64), this.kdfSpecFromRecord(record));
+        let bits;
+        try {
+            bits = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToArrayBuffer(record.pinIv_base64), additionalData: aad },
+                pinKey,
+                pinSealed
+            );
+        } catch (error) {
+            console.warn('❌ Quick-unlock PIN rejected');
+            return null;
+        }
+        const keys = await this.principalKeysFromBits(bits, keyParams);
+        new Uint8Array(bits).fill(0);
+        console.log(`🔐 Session keys ready from PIN (key ID ${keyParams.keyId.substring(0, 8)}...)`);
+        return { type: this.SESSION_KEYS_TYPE, keyId: keyParams.keyId, ...keys };
+    }
+
+    // Public-key principals
+    // A principal may also own an ECDH P-256 key pair. The public key sits in its key params; the private key is
+    // wrapped (AES-GCM, bound to the key ID) by a key derived from the principal's password.
+    async createPrincipalKeyPair(password, keyParams) {
+        const keyPair = await window.crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            true,
+            ['deriveBits']
+        );
+        const publicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+        console.log(`🔐 Key pair created for principal ${keyParams.keyId.substring(0, 8)}...`);
+        return {
+            ...keyParams,
+            publicKey_base64: this.arrayBufferToBase64(publicKey),
+            encryptedPrivateKey: await this.wrapPrivateKey(keyPair.privateKey, password, keyParams)
+        };
+    }
+
+    // The AAD ties a wrapped private key to its principal and purpose ('ecdh' keeps the original key-ID-only AAD)
+    privateKeyAad(keyParams, purpose = 'ecdh') {
+        const encoder = new TextEncoder();
+        return encoder.encode(purpose === 'ecdh' ? keyParams.keyId : `${keyParams.keyId}:${purpose}`);
+    }
+
+    async wrapPrivateKey(privateKey, password, keyParams, purpose = 'ecdh') {
+        const { privateKeyWrapKey } = await this.getPrincipalKeys(password, keyParams);
+        const iv = this.generateRandomBytes(12);
+        const wrappedKey = await window.crypto.subtle.wrapKey(
+            'pkcs8',
+            privateKey,
+            privateKeyWrapKey,
+            { name: 'AES-GCM', iv: iv, additionalData: this.privateKeyAad(keyParams, purpose) }
+        );
+        return {
+            iv_base64: this.arrayBufferToBase64(iv),
+            wrappedKey_base64: this.arrayBufferToBase64(wrappedKey)
+        };
+    }
+
+    // Throws if the password does not belong to this principal
+    async getPrincipalPrivateKey(password, keyParams, extractable = false) {
+        if (!keyParams || !keyParams.encryptedPrivateKey) {
+            throw new Error('Principal has no key pair');
+        }
+        const { privateKeyWrapKey } = await this.getPrincipalKeys(password, keyParams);
+        return window.crypto.subtle.unwrapKey(
+            'pkcs8',
+            this.base64ToArrayBuffer(keyParams.encryptedPrivateKey.wrappedKey_base64),
+            privateKeyWrapKey,
+            { name: 'AES-GCM', iv: this.base64ToArrayBuffer(keyParams.encryptedPrivateKey.iv_base64), additionalData: this.privateKeyAad(keyParams) },
+            { name: 'ECDH', namedCurve: 'P-256' },
+            extractable,
+            ['deriveBits']
+        );
+    }
+
+    // Authors (the parent, and co-authors on their own devices) also own an ECDSA P-256 signing key,
+    // wrapped like the ECDH private key but under a separate AAD purpose.
+    async createPrincipalSigningKey(password, keyParams) {
+        const keyPair = await window.crypto.subtle.generateKey(
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            true,
+            ['sign', 'verify']
+        );
+        const publicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+        console.log(`✍️ Signing key created for principal ${keyParams.keyId.substring(0, 8)}...`);
+        return {
+            ...keyParams,
+            signingPublicKey_base64: this.arrayBufferToBase64(publicKey),
+            encryptedSigningKey: await this.wrapPrivateKey(keyPair.privateKey, password, keyParams, 'signing')
+        };
+    }
+
+    async getPrincipalSigningKey(password, keyParams, extractable = false) {
+        if (!keyParams || !keyParams.encryptedSigningKey) {
+            throw new Error('Principal has no signing key');
+        }
+        const { privateKeyWrapKey } = await this.getPrincipalKeys(password, keyParams);
+        return window.crypto.subtle.unwrapKey(
+            'pkcs8',
+            this.base64ToArrayBuffer(keyParams.encryptedSigningKey.wrappedKey_base64),
+            privateKeyWrapKey,
+            { name: 'AES-GCM', iv: this.base64ToArrayBuffer(keyParams.encryptedSigningKey.iv_base64), additionalData: this.privateKeyAad(keyParams, 'signing') },
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            extractable,
+            ['sign']
+        );
+    }
+
+    // Moves an existing key pair to new password-derived key params (master password change keeps the parent's key pair)
+    async carryPrincipalKeyPair(oldPassword, oldKeyParams, newPassword, newKeyParams) {
+        if (!oldKeyParams || !oldKeyParams.encryptedPrivateKey) {
+            return this.createPrincipalKeyPair(newPassword, newKeyParams);
+        }
+        const privateKey = await this.getPrincipalPrivateKey(oldPassword, oldKeyParams, true);
+        const carried = {
+            ...newKeyParams,
+            publicKey_base64: oldKeyParams.publicKey_base64,
+            encryptedPrivateKey: await this.wrapPrivateKey(privateKey, newPassword, newKeyParams)
+        };
+        // The signing key is kept too, so existing signatures still name the same author
+        if (oldKeyParams.encryptedSigningKey) {
+            const signingKey = await this.getPrincipalSigningKey(oldPassword, oldKeyParams, true);
+            carried.signingPublicKey_base64 = oldKeyParams.signingPublicKey_base64;
+            carried.encryptedSigningKey = await this.wrapPrivateKey(signingKey, newPassword, newKeyParams, 'signing');
+        }
+        return carried;
+    }
+
+    async importPublicKey(publicKey_base64) {
+        return window.crypto.subtle.importKey(
+            'raw',
+            this.base64ToArrayBuffer(publicKey_base64),
+            { name: 'ECDH', namedCurve: 'P-256' },
+            true,
+            []
+        );
+    }
+
+    async deriveEcdhBits(privateKey, publicKey) {
+        return window.crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    }
+
+    async deriveEcdhSlotKey(sharedBits, ephemeralPublicKey, keyId) {
+        const hkdfKey = await window.crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            this.hkdfParams(`${this.ECDH_SLOT_INFO}:${keyId}`, ephemeralPublicKey),
+            hkdfKey,
+            { name: 'AES-KW', length: 256 },
             false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    // Hint shared by the author (parent) and a public-key recipient: HKDF(ECDH(author, recipient), recipient key ID)
+    async getPairwiseHint(privateKey, otherPublicKey_base64, keyId) {
+        const sharedBits = await this.deriveEcdhBits(privateKey, await this.importPublicKey(otherPublicKey_base64));
+        const hkdfKey = await window.crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveBits']);
+        const hintBits = await window.crypto.subtle.deriveBits(
+            this.hkdfParams(`${this.ECDH_HINT_INFO}:${keyId}`),
+            hkdfKey,
+            this.SLOT_HINT_BYTES * 8
+        );
+        return this.arrayBufferToBase64(hintBits);
+    }
+
+    // Public-key slot: ephemeral ECDH with the recipient's public key, DEK wrapped with AES-KW.
+    // The slot carries the recipient's key params and wrapped private key so exported timelines stay self-contained.
+    async wrapDekForPublicKey(dek, recipientKeyParams, senderPrivateKey = null, epoch = null) {
+        const recipientPublicKey = await this.importPublicKey(recipientKeyParams.publicKey_base64);
+        const ephemeral = await window.crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            ['deriveBits']
+        );
+        const ephemeralPublicKey = await window.crypto.subtle.exportKey('raw', ephemeral.publicKey);
+        const sharedBits = await this.deriveEcdhBits(ephemeral.privateKey, recipientPublicKey);
+        const slotKey = await this.deriveEcdhSlotKey(sharedBits, ephemeralPublicKey, recipientKeyParams.keyId);
+        const wrappedDek = await window.crypto.subtle.wrapKey('raw', dek, slotKey, { name: 'AES-KW' });
+
+        const slot = {
+            format: this.SLOT_FORMAT_ECDH,
+            ...this.principalParamsFromRecord(recipientKeyParams),
+            encryptedPrivateKey: recipientKeyParams.encryptedPrivateKey,
+            ephemeralPublicKey_base64: this.arrayBufferToBase64(ephemeralPublicKey),
+            wrappedDek_base64: this.arrayBufferToBase64(wrappedDek)
+        };
+        if (senderPrivateKey) {
+            const hint = await this.getPairwiseHint(senderPrivateKey, recipientKeyParams.publicKey_base64, recipientKeyParams.keyId);
+            slot.hint = await this.epochHint(hint, epoch);
+        }
+        return slot;
+    }
+
+    // Wraps a DEK to the recipient's public key when they have one, otherwise under their password
+    async wrapDekForRecipient(dek, keyParams, password, senderPrivateKey, epoch) {
+        if (keyParams && keyParams.publicKey_base64) {
+            return this.wrapDekForPublicKey(dek, keyParams, senderPrivateKey, epoch);
+        }
+        if (!password) {
+            throw new Error('Recipient has neither a public key nor a password available');
+        }
+        return this.wrapDekForPrincipal(dek, password, keyParams, epoch);
+    }
+
+    async getAuthorPrivateKey(parentPassword, parentKeyParams) {
+        return parentKeyParams && parentKeyParams.encryptedPrivateKey
+            ? this.getPrincipalPrivateKey(parentPassword, parentKeyParams)
+            : null;
+    }
+
+    // Recipient hints
+    // Every slot carries its principal's hint for the month of the entry (HMAC(hint, month)) and entries index
+    // the set, so a password finds its entries and the right slot in each without the same value linking them all.
+    // authorPublicKeys (the parent's) yield the pairwise hints used on public-key slots; epochs (months, see
+    // hintEpoch) are those the entries span. The unrotated hints stay in the set for entries written before rotation.
+    async getRecipientHints(password, keyParamsList, authorPublicKeys = [], epochs = []) {
+        const hints = new Set();
+        const addHint = async (hint) => {
+            hints.add(hint);
+            for (const rotated of await this.rotateHint(hint, epochs)) {
+                hints.add(rotated);
+            }
+        };
+        for (const keyParams of keyParamsList) {
+            if (!keyParams || !keyParams.keyId || !keyParams.salt_base64) {
+                continue;
+            }
+            if (this.isSessionKeys(password) && password.keyId !== keyParams.keyId) {
+                continue;
+            }
+            const { hint } = await this.getPrincipalKeys(password, keyParams);
+            await addHint(hint);
+            if (keyParams.encryptedPrivateKey && authorPublicKeys.length > 0) {
+                try {
+                    const privateKey = await this.getPrincipalPrivateKey(password, keyParams);
+                    for (const authorPublicKey of authorPublicKeys) {
+                        await addHint(await this.getPairwiseHint(privateKey, authorPublicKey, keyParams.keyId));
+                    }
+                } catch (error) {
+                    // Not this principal's password
+                }
+            }
+        }
+        return hints;
+    }
+
+    // Month a slot hint rotates with: that of the entry's timestamp, which private entries index at month start
+    hintEpoch(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 7);
+    }
+
+    // A principal's hint for each epoch (one HMAC key, so a whole range of months stays cheap)
+    async rotateHint(hint, epochs) {
+        const hintKey = await window.crypto.subtle.importKey(
+            'raw',
+            this.base64ToArrayBuffer(hint),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const encoder = new TextEncoder();
+        const rotated = [];
+        for (const epoch of epochs) {
+            const mac = await window.crypto.subtle.sign('HMAC', hintKey, encoder.encode(epoch));
+            rotated.push(this.arrayBufferToBase64(mac.slice(0, this.SLOT_HINT_BYTES)));
+        }
+        return rotated;
+    }
+
+    async epochHint(hint, epoch) {
+        const [rotated] = await this.rotateHint(hint, [epoch]);
+        return rotated;
+    }
+
+    // Slot padding
+    // A private entry's slot count would give away how many timelines it was shared with, so decoy slots fill it up
+    // to the next multiple of SLOT_PADDING_BUCKET. A decoy copies the key params of one of the real slots and holds
+    // random bytes where the wrapped DEK and hint go; its random hint matches no password, so it is never tried.
+    async padSlots(slots) {
+        const real = Object.values(slots);
+        const padded = { ...slots };
+        const missing = (this.SLOT_PADDING_BUCKET - (real.length % this.SLOT_PADDING_BUCKET)) % this.SLOT_PADDING_BUCKET;
+        for (let i = 0; i < missing; i++) {
+            const template = real[window.crypto.getRandomValues(new Uint32Array(1))[0] % real.length];
+            padded[this.arrayBufferToBase64(this.generateRandomBytes(this.SLOT_HINT_BYTES))] = await this.decoySlot(template);
+        }
+        return padded;
+    }
+
+    async decoySlot(template) {
+        const decoy = {
+            ...template,
+            hint: this.arrayBufferToBase64(this.generateRandomBytes(this.SLOT_HINT_BYTES)),
+            wrappedDek_base64: this.arrayBufferToBase64(this.generateRandomBytes(40)) // Size of an AES-KW wrapped 256-bit key
+        };
+        if (template.format === this.SLOT_FORMAT_ECDH) {
+            const ephemeral = await window.crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+            decoy.ephemeralPublicKey_base64 = this.arrayBufferToBase64(await window.crypto.subtle.exportKey('raw', ephemeral.publicKey));
+        }
+        return decoy;
+    }
+
+    collectRecipientHints(encryptionInfo) {
+        const hints = Object.values(encryptionInfo || {})
+            .map(info => info && info.hint)
+            .filter(Boolean);
+        if (this.hasUnhintedSlots({ encryptionInfo })) {
+            hints.push(this.LEGACY_SLOTS_HINT);
+        }
+        return [...new Set(hints)];
+    }
+
+    // Legacy and pre-hint slots can only be found by trial
+    hasUnhintedSlots(entry) {
+        return Object.values(entry.encryptionInfo || {}).some(info => !info || !info.hint);
+    }
+
+    // epoch (see hintEpoch) is the month of the entry the slot belongs to
+    async wrapDekForPrincipal(dek, password, keyParams, epoch) {
+        if (!keyParams || !keyParams.keyId || !keyParams.salt_base64) {
+            throw new Error('Principal key params are required to wrap a DEK');
+        }
+        const { kek, hint } = await this.getPrincipalKeys(password, keyParams);
+        const wrappedDek = await window.crypto.subtle.wrapKey('raw', dek, kek, { name: 'AES-KW' });
+        return {
+            format: this.SLOT_FORMAT_KEK,
+            ...this.principalParamsFromRecord(keyParams),
+            hint: await this.epochHint(hint, epoch),
+            wrappedDek_base64: this.arrayBufferToBase64(wrappedDek)
+        };
+    }
+
+    // Unwraps the DEK held in a single encryptionInfo slot as an extractable AES-GCM key.
+    // Throws if the password does not open it.
+    async unwrapDekFromSlot(info, password) {
+        if (info.format === this.SLOT_FORMAT_KEK) {
+            const kek = await this.getPrincipalKek(password, info);
+            return window.crypto.subtle.unwrapKey(
+                'raw',
+                this.base64ToArrayBuffer(info.wrappedDek_base64),
+                kek,
+                { name: 'AES-KW' },
+                { name: 'AES-GCM', length: 256 },
+                true,
+                ['encrypt', 'decrypt']
+            );
+        }
+        if (info.format === this.SLOT_FORMAT_ECDH) {
+            const privateKey = await this.getPrincipalPrivateKey(password, info);
+            const ephemeralPublicKey = this.base64ToArrayBuffer(info.ephemeralPublicKey_base64);
+            const sharedBits = await this.deriveEcdhBits(privateKey, await this.importPublicKey(info.ephemeralPublicKey_base64));
+            const slotKey = await this.deriveEcdhSlotKey(sharedBits, ephemeralPublicKey, info.keyId);
+            return window.crypto.subtle.unwrapKey(
+                'raw',
+                this.base64ToArrayBuffer(info.wrappedDek_base64),
+                slotKey,
+                { name: 'AES-KW' },
+                { name: 'AES-GCM', length: 256 },
+                true,
+                ['encrypt', 'decrypt']
+            );
+        }
+        if (info.format) {
+            throw new Error(`Unsupported slot format: ${info.format}`);
+        }
+
+        // Legacy slots: one password derivation per slot
+        const dekRaw = await this.decryptDekFromSlot(info, password);
+        return window.crypto.subtle.importKey('raw', dekRaw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+    }
+
+    // Legacy slot format (per-slot salt, AES-GCM wrapped DEK). Returns the raw DEK; throws on a wrong password.
+    async decryptDekFromSlot(info, password) {
+        if (typeof password !== 'string') {
+            throw new Error('Legacy slots can only be opened with a password');
+        }
+        const salt = this.base64ToArrayBuffer(info.salt_base64);
+        const iv = this.base64ToArrayBuffer(info.iv_base64);
+        const encryptedDek = this.base64ToArrayBuffer(info.encryptedDek_base64);
+
+        const kek = await this.deriveKeyFromPassword(password, salt, this.kdfSpecFromRecord(info));
+        return window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: iv },
+            kek,
+            encryptedDek
+        );
+    }
+
+    // Re-keying: move a slot (any format) to a new password and principal key params
+    async rewrapSlot(info, oldPassword, newPassword, newKeyParams, epoch) {
+        const dek = await this.unwrapDekFromSlot(info, oldPassword);
+        return this.wrapDekForPrincipal(dek, newPassword, newKeyParams, epoch);
+    }
+
+    async rewrapKidPassword(kidData, oldPassword, newPassword) {
+        const kidPassword = await this.decryptKidPassword(kidData, oldPassword);
+        if (!kidPassword) {
+            throw new Error(`Kid password record ${kidData.id} cannot be opened with the current master password`);
+        }
+        return this.encryptKidPassword(kidPassword, newPassword);
+    }
+
+    // File handling
+    // Attachments
+    // Media is stored in the attachments table as AES-GCM ciphertext Blobs under the entry's DEK, bound to the entry ID
+    // and attachment ID. The entry content only lists them (content.attachments: [{ id, kind, name, type, size, ... }]),
+    // so a timeline renders without decrypting any media. Plaintext hashes in the ref tie each Blob to the signed content.
+    // Older entries carry media inline (content.image/audio); the first attachments were sealed whole (sha256_base64 in the ref).
+    generateAttachmentId() {
+        return this.bytesToHex(this.generateRandomBytes(16));
+    }
+
+    attachmentAad(entryUid, attachmentId) {
+        const encoder = new TextEncoder();
+        return encoder.encode(JSON.stringify(['family-timeline:entry-attachment', entryUid, attachmentId]));
+    }
+
+    // data: Blob or ArrayBuffer. Returns the attachments table record.
+    async encryptAttachment(dek, entryUid, attachmentId, data) {
+        const iv = this.generateRandomBytes(12);
+        const plaintext = data instanceof ArrayBuffer ? data : await data.arrayBuffer();
+        const ciphertext = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: this.attachmentAad(entryUid, attachmentId) },
+            dek,
+            plaintext
+        );
+        return {
+            id: attachmentId,
+            entryUid: entryUid,
+            iv_base64: this.arrayBufferToBase64(iv),
+            data: new Blob([ciphertext], { type: 'application/octet-stream' })
+        };
+    }
+
+    // Chunked attachments are read from File.stream() in fixed-size segments, each sealed with its own nonce:
+    // 7-byte random prefix || 4-byte segment index || final flag (the STREAM construction), so segments cannot be
+    // reordered, dropped or cut off at the end without failing to decrypt. Segment i of the ciphertext Blob starts at
+    // i * (chunkSize + 16), so playback reads and decrypts one segment at a time. The ref lists a SHA-256 per plaintext
+    // segment (chunkSha256), which stays valid when the attachment is re-encrypted under a new DEK.
+    attachmentChunkNonce(noncePrefix, index, final) {
+        const nonce = new Uint8Array(12);
+        nonce.set(new Uint8Array(noncePrefix), 0);
+        new DataView(nonce.buffer).setUint32(7, index);
+        nonce[11] = final ? 1 : 0;
+        return nonce;
+    }
+
+    // Yields { data: Uint8Array, final } segments of exactly segmentSize bytes, except the final one
+    async *readFixedSegments(stream, segmentSize) {
+        const reader = stream.getReader();
+        let pending = [];
+        let pendingBytes = 0;
+        const take = (length) => {
+            const segment = new Uint8Array(length);
+            let offset = 0;
+            while (offset < length) {
+                const piece = pending[0];
+                const used = Math.min(piece.length, length - offset);
+                segment.set(piece.subarray(0, used), offset);
+                offset += used;
+                if (used === piece.length) {
+                    pending.shift();
+                } else {
+                    pending[0] = piece.subarray(used);
+                }
+            }
+            pendingBytes -= length;
+            return segment;
+        };
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                pending.push(value);
+                pendingBytes += value.length;
+                // A full segment is only emitted once more data follows it, so the last one is known to be final
+                while (pendingBytes > segmentSize) {
+                    yield { data: take(segmentSize), final: false };
+                }
+            }
+            yield { data: take(pendingBytes), final: true };
+        } finally {
+            reader.releaseLock();
+            pending = [];
+        }
+    }
+
+    // source: File or Blob. Returns { record, chunkSha256 } for the attachments table and the entry's ref.
+    async encryptChunkedAttachment(dek, entryUid, attachmentId, source, chunkSize = this.ATTACHMENT_CHUNK_SIZE) {
+        const noncePrefix = this.generateRandomBytes(7);
+        const additionalData = this.attachmentAad(entryUid, attachmentId);
+        const parts = [];
+        const chunkSha256 = [];
+        for await (const { data, final } of this.readFixedSegments(source.stream(), chunkSize)) {
+            chunkSha256.push(this.arrayBufferToBase64(await window.crypto.subtle.digest('SHA-256', data)));
+            const ciphertext = await window.crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: this.attachmentChunkNonce(noncePrefix, parts.length, final), additionalData },
+                dek,
+                data
+            );
+            data.fill(0);
+            parts.push(new Blob([ciphertext])); // Large Blobs can be paged out by the browser; the file is never held whole
+        }
+        return {
+            record: {
+                id: attachmentId,
+                entryUid: entryUid,
+                format: this.ATTACHMENT_FORMAT_CHUNKED,
+                chunkSize: chunkSize,
+                chunkCount: parts.length,
+                noncePrefix_base64: this.arrayBufferToBase64(noncePrefix),
+                data: new Blob(parts, { type: 'application/octet-stream' })
+            },
+            chunkSha256
+        };
+    }
+
+    isChunkedAttachment(record) {
+        return !!record && record.format === this.ATTACHMENT_FORMAT_CHUNKED;
+    }
+
+    // Checks the record belongs to the entry and its ref, and returns the entry's DEK for decryptAttachmentChunk
+    async openAttachmentKey(entry, ref, record, password, options = {}) {
+        if (!record || record.id !== ref.id || record.entryUid !== entry.entryUid) {
+            throw new Error('Attachment does not belong to this entry');
+        }
+        if (this.isChunkedAttachment(record) && (!Array.isArray(ref.chunkSha256) || ref.chunkSha256.length !== record.chunkCount)) {
+            throw new Error('Attachment does not match its entry');
+        }
+        const unwrapped = await this.unwrapEntryDek(entry, password, options.slots, options.hints);
+        if (!unwrapped) {
+            throw new Error('This password cannot open the entry');
+        }
+        return unwrapped.dek;
+    }
+
+    // Decrypts one segment of a chunked attachment; ref.chunkSha256 is checked when given
+    async decryptAttachmentChunk(dek, entryUid, record, index, chunkSha256 = null) {
+        if (index < 0 || index >= record.chunkCount) {
+            throw new Error(`Attachment segment ${index} out of range`);
+        }
+        const start = index * (record.chunkSize + 16);
+        const ciphertext = await record.data.slice(start, start + record.chunkSize + 16).arrayBuffer();
+        const plaintext = await window.crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: this.attachmentChunkNonce(this.base64ToArrayBuffer(record.noncePrefix_base64), index, index === record.chunkCount - 1),
+                additionalData: this.attachmentAad(entryUid, record.id)
+            },
+            dek,
+            ciphertext
+        );
+        if (chunkSha256) {
+            const digest = await window.crypto.subtle.digest('SHA-256', plaintext);
+            if (this.arrayBufferToBase64(digest) !== chunkSha256[index]) {
+                throw new Error('Attachment does not match its entry');
+            }
+        }
+        return plaintext;
+    }
+
+    // ref is the attachment as listed in the decrypted content (its type is authenticated there)
+    async decryptAttachment(entry, ref, record, password, options = {}) {
+        const dek = await this.openAttachmentKey(entry, ref, record, password, options);
+        if (this.isChunkedAttachment(record)) {
+            const parts = [];
+            for (let index = 0; index < record.chunkCount; index++) {
+                parts.push(new Blob([await this.decryptAttachmentChunk(dek, entry.entryUid, record, index, ref.chunkSha256)]));
+            }
+            return new Blob(parts, { type: ref.type || 'application/octet-stream' });
+        }
+        const plaintext = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToArrayBuffer(record.iv_base64), additionalData: this.attachmentAad(entry.entryUid, ref.id) },
+            dek,
+            await record.data.arrayBuffer()
+        );
+        const digest = await window.crypto.subtle.digest('SHA-256', plaintext);
+        if (this.arrayBufferToBase64(digest) !== ref.sha256_base64) {
+            throw new Error('Attachment does not match its entry');
+        }
+        return new Blob([plaintext], { type: ref.type || 'application/octet-stream' });
+    }
+
+    async reencryptAttachment(record, entryUid, oldDek, newDek) {
+        if (this.isChunkedAttachment(record)) {
+            // Segment by segment under a new nonce prefix; the plaintext hashes in the ref stay valid
+            const noncePrefix = this.generateRandomBytes(7);
+            const parts = [];
+            for (let index = 0; index < record.chunkCount; index++) {
+                const plaintext = await this.decryptAttachmentChunk(oldDek, entryUid, record, index);
+                parts.push(new Blob([await window.crypto.subtle.encrypt(
+                    { name: 'AES-GCM', iv: this.attachmentChunkNonce(noncePrefix, index, index === record.chunkCount - 1), additionalData: this.attachmentAad(entryUid, record.id) },
+                    newDek,
+                    plaintext
+                )]));
+                new Uint8Array(plaintext).fill(0);
+            }
+            return { ...record, entryUid, noncePrefix_base64: this.arrayBufferToBase64(noncePrefix), data: new Blob(parts, { type: 'application/octet-stream' }) };
+        }
+        const plaintext = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToArrayBuffer(record.iv_base64), additionalData: this.attachmentAad(entryUid, record.id) },
+            oldDek,
+            await record.data.arrayBuffer()
+        );
+        const reencrypted = await this.encryptAttachment(newDek, entryUid, record.id, plaintext);
+        new Uint8Array(plaintext).fill(0);
+        return reencrypted;
+    }
+
+    // FIXED: Entry encryption with proper kid password handling
+    // parentKeys are the parent's session keys (or the master password). keyParams maps 'parent' and each 'kidN'
+    // target to that principal's key params; kid targets are written to their public key.
+    // options.timestamp sets the (authenticated) entry timestamp; defaults to now.
+    // options.privateMetadata writes the private format: timestamp and targets only exist inside the encrypted metadata.
+    // options.chainLinks ({ target: { seq, prev } }) links the entry into each target's hash chain.
+    // options.attachments ([{ kind: 'image' | 'audio' | 'video', file }]) are streamed into chunked Blobs, returned as result.attachments.
+    async encryptEntry(content, targets, parentKeys, keyParams = {}, options = {}) {
+        try {
+            console.log('🔐 Starting entry encryption...');
+            console.log('🎯 Targets:', targets);
+
+            // Validate inputs
+            if (!parentKeys) {
+                throw new Error('Parent session keys are required');
+            }
+            if (!targets || targets.length === 0) {
+                throw new Error('At least one target is required');
+            }
+
+            // Generate data encryption key (DEK)
+            const dek = await window.crypto.subtle.generateKey(
+                { name: 'AES-GCM', length: 256 },
+                true,
+                ['encrypt', 'decrypt']
+            );
+
+            const metadata = {
+                formatVersion: options.privateMetadata ? this.ENTRY_FORMAT_PRIVATE : this.ENTRY_FORMAT_VERSION,
+                entryUid: this.generateEntryUid(),
+                timestamp: options.timestamp || new Date().toISOString(),
+                targets: targets
+            };
+            const indexKey = options.privateMetadata
+                ? await this.getTimelineIndexKey(parentKeys, keyParams.parent)
+                : null;
+
+            const attachmentRecords = [];
+            if (options.attachments && options.attachments.length > 0) {
+                const refs = [];
+                for (const { kind, file } of options.attachments) {
+                    const { record, chunkSha256 } = await this.encryptChunkedAttachment(dek, metadata.entryUid, this.generateAttachmentId(), file);
+                    attachmentRecords.push(record);
+                    refs.push({ id: record.id, kind: kind, name: file.name, type: file.type, size: file.size, chunkSha256 });
+                }
+                content = { ...content, attachments: [...(content.attachments || []), ...refs] };
+                console.log(`🔐 ${attachmentRecords.length} attachment(s) encrypted`);
+            }
+
+            // Encrypt content with DEK, bound to the entry ID and format version
+            const dataIv = this.generateRandomBytes(12);
+            const encoder = new TextEncoder();
+            const encryptedContent = await window.crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: dataIv, additionalData: this.entryContentAad(metadata) },
+                dek,
+                encoder.encode(JSON.stringify(content))
+            );
+
+            // Prepare encryption info for each recipient
+            let encryptionInfo = {};
+
+            // ALWAYS encrypt for parent (for management purposes)
+            console.log('🔐 Encrypting DEK for parent...');
+            const epoch = this.hintEpoch(metadata.timestamp);
+            encryptionInfo.parent = await this.wrapDekForPrincipal(dek, parentKeys, keyParams.parent, epoch);
+            console.log('✅ Parent encryption completed');
+
+            // Encrypt DEK for each target (slots are named by blinded tags and padded in the private format)
+            const targetSlots = await this.wrapDekForTargets(dek, targets, parentKeys, keyParams, epoch);
+            Object.assign(encryptionInfo, indexKey ? (await this.blindSlotNames(targetSlots, indexKey)).slots : targetSlots);
+            if (indexKey) {
+                encryptionInfo = await this.padSlots(encryptionInfo);
+            }
+
+            const result = {
+                encryptedContent_base64: this.arrayBufferToBase64(encryptedContent),
+                data_iv_base64: this.arrayBufferToBase64(dataIv),
+                encryptionInfo: encryptionInfo,
+                recipientHints: this.collectRecipientHints(encryptionInfo),
+                entryUid: metadata.entryUid,
+                formatVersion: metadata.formatVersion,
+                ...(indexKey
+                    ? await this.sealPrivateEntryMetadata(dek, metadata, indexKey)
+                    : { targets: targets, timestamp: metadata.timestamp, ...(await this.sealEntryMetadata(dek, metadata)) })
+            };
+            if (options.chainLinks) {
+                result.chainLinks = await this.storedChainLinks(options.chainLinks, indexKey);
+            }
+            Object.assign(result, await this.signEntry(result, parentKeys, keyParams.parent));
+            result.attachments = attachmentRecords; // Stored in their own table, not on the entry
+
+            console.log('✅ Entry encryption completed successfully');
+            console.log('🔐 Encryption info keys:', Object.keys(encryptionInfo));
+            
+            return result;
+        } catch (error) {
+            console.error('❌ Entry encryption failed:', error);
+            throw new Error(`Entry encryption failed: ${error.message}`);
+        }
+    }
+
+    // Entry integrity
+    // The content is encrypted with AAD = (format version, entry ID), so it cannot be moved to another entry.
+    // Timestamp and targets are authenticated by a GMAC tag (AES-GCM over empty plaintext) under the DEK,
+    // which sharing can re-issue without touching the content ciphertext.
+    contentAadParams(metadata) {
+        return metadata.formatVersion >= 2 ? { additionalData: this.entryContentAad(metadata) } : {};
+    }
+
+    generateEntryUid() {
+        return this.arrayBufferToBase64(this.generateRandomBytes(16));
+    }
+
+    entryContentAad({ formatVersion, entryUid }) {
+        const encoder = new TextEncoder();
+        return encoder.encode(JSON.stringify(['family-timeline:entry-content', formatVersion, entryUid]));
+    }
+
+    entryMetadataAad({ formatVersion, entryUid, timestamp, targets }) {
+        const encoder = new TextEncoder();
+        return encoder.encode(JSON.stringify(['family-timeline:entry-metadata', formatVersion, entryUid, timestamp, [...targets].sort()]));
+    }
+
+    // Reads the authenticated fields from a stored (or exported) entry
+    entryMetadataFromRecord(entry) {
+        return {
+            formatVersion: entry.formatVersion || 1,
+            entryUid: entry.entryUid,
+            timestamp: entry.timestamp,
+            targets: entry.targetTimelines || entry.targets || []
+        };
+    }
+
+    async sealEntryMetadata(dek, metadata) {
+        const iv = this.generateRandomBytes(12);
+        const tag = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: this.entryMetadataAad(metadata) },
+            dek,
+            new Uint8Array(0)
+        );
+        return {
+            metadataIv_base64: this.arrayBufferToBase64(iv),
+            metadataTag_base64: this.arrayBufferToBase64(tag)
+        };
+    }
+
+    // 'verified', 'mismatch', or 'unverified' for entries written before format 2
+    async checkEntryMetadata(dek, entry) {
+        const { integrity } = await this.openEntryMetadata(dek, entry);
+        return integrity;
+    }
+
+    // Returns the entry's real timestamp and targets with their integrity status.
+    // slotTargets maps blinded slot names back to targets (private format only).
+    async openEntryMetadata(dek, entry) {
+        const metadata = this.entryMetadataFromRecord(entry);
+        if (metadata.formatVersion < 2) {
+            return { integrity: 'unverified', timestamp: metadata.timestamp, targets: metadata.targets };
+        }
+        if (metadata.formatVersion >= this.ENTRY_FORMAT_PRIVATE) {
+            return this.openPrivateEntryMetadata(dek, entry, metadata);
+        }
+        const result = { integrity: 'mismatch', timestamp: metadata.timestamp, targets: metadata.targets };
+        if (!entry.metadataTag_base64 || !entry.metadataIv_base64) {
+            return result;
+        }
+        try {
+            await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToArrayBuffer(entry.metadataIv_base64), additionalData: this.entryMetadataAad(metadata) },
+                dek,
+                this.base64ToArrayBuffer(entry.metadataTag_base64)
+            );
+            return { ...result, integrity: 'verified' };
+        } catch (error) {
+            console.warn(`⚠️ Entry ${entry.id} metadata does not match its authentication tag`);
+            return result;
+        }
+    }
+
+    isPrivateEntry(entry) {
+        return (entry.formatVersion || 1) >= this.ENTRY_FORMAT_PRIVATE;
+    }
+
+    // Private metadata
+    // The stored timestamp is the start of the UTC month and targetTimelines holds HMAC tags of the target names,
+    // keyed by a secret only the parent can compute. The real values are encrypted under the DEK with the
+    // stored (coarse, blinded) values as additional data, so relabelling the indexes is detected.
+    coarseTimestamp(timestamp) {
+        return `${new Date(timestamp).toISOString().slice(0, 7)}-01T00:00:00.000Z`;
+    }
+
+    // HKDF of ECDH(parent private key, parent public key): survives master password changes, which keep the key pair
+    async getTimelineIndexKey(parentPassword, parentKeyParams) {
+        if (!parentKeyParams || !parentKeyParams.publicKey_base64) {
+            throw new Error('Private metadata requires the parent key pair');
+        }
+        const cacheKey = parentKeyParams.publicKey_base64;
+        if (!this.timelineIndexKeys.has(cacheKey)) {
+            const derivation = (async () => {
+                const privateKey = await this.getPrincipalPrivateKey(parentPassword, parentKeyParams);
+                const sharedBits = await this.deriveEcdhBits(privateKey, await this.importPublicKey(parentKeyParams.publicKey_base64));
+                const hkdfKey = await window.crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+                return window.crypto.subtle.deriveKey(
+                    this.hkdfParams(this.TIMELINE_INDEX_INFO),
+                    hkdfKey,
+                    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+                    false,
+                    ['sign']
+                );
+            })();
+            this.timelineIndexKeys.set(cacheKey, derivation);
+            derivation.catch(() => this.timelineIndexKeys.delete(cacheKey));
+        }
+        return this.timelineIndexKeys.get(cacheKey);
+    }
+
+    async blindTimelineTag(indexKey, target) {
+        const encoder = new TextEncoder();
+        const mac = await window.crypto.subtle.sign('HMAC', indexKey, encoder.encode(target));
+        return this.arrayBufferToBase64(mac.slice(0, this.SLOT_HINT_BYTES));
+    }
+
+    // Renames target-keyed slots to their blinded tags; slotTargets maps each tag back to its target
+    async blindSlotNames(targetSlots, indexKey) {
+        const slots = {};
+        const slotTargets = {};
+        for (const [target, slot] of Object.entries(targetSlots)) {
+            const tag = await this.blindTimelineTag(indexKey, target);
+            slots[tag] = slot;
+            slotTargets[tag] = target;
+        }
+        return { slots, slotTargets };
+    }
+
+    // Returns the stored fields of a private entry: coarse timestamp, blinded targets and the encrypted metadata
+    async sealPrivateEntryMetadata(dek, metadata, indexKey) {
+        const { slotTargets } = await this.blindSlotNames(Object.fromEntries(metadata.targets.map(target => [target, null])), indexKey);
+        const stored = {
+            formatVersion: metadata.formatVersion,
+            entryUid: metadata.entryUid,
+            timestamp: this.coarseTimestamp(metadata.timestamp),
+            targets: Object.keys(slotTargets)
+        };
+        const iv = this.generateRandomBytes(12);
+        const encoder = new TextEncoder();
+        const encryptedMetadata = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: this.entryMetadataAad(stored) },
+            dek,
+            encoder.encode(JSON.stringify({ timestamp: metadata.timestamp, targets: metadata.targets, slotTargets }))
+        );
+        return {
+            timestamp: stored.timestamp,
+            targets: stored.targets,
+            encryptedMetadata_base64: this.arrayBufferToBase64(encryptedMetadata),
+            metadataIv_base64: this.arrayBufferToBase64(iv)
+        };
+    }
+
+    async openPrivateEntryMetadata(dek, entry, metadata) {
+        try {
+            const decrypted = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToArrayBuffer(entry.metadataIv_base64), additionalData: this.entryMetadataAad(metadata) },
+                dek,
+                this.base64ToArrayBuffer(entry.encryptedMetadata_base64)
+            );
+            const decoder = new TextDecoder();
+            const { timestamp, targets, slotTargets } = JSON.parse(decoder.decode(decrypted));
+            return { integrity: 'verified', timestamp, targets, slotTargets };
+        } catch (error) {
+            console.warn(`⚠️ Entry ${entry.id} private metadata does not match its indexes`);
+            return { integrity: 'mismatch', timestamp: metadata.timestamp, targets: [], slotTargets: {} };
+        }
+    }
+
+    // Real targets of an entry, opening private metadata through the parent slot when needed
+    async getEntryTargets(entry, parentPassword) {
+        if (!this.isPrivateEntry(entry)) {
+            return entry.targetTimelines || [];
+        }
+        const unwrapped = await this.unwrapEntryDek(entry, parentPassword, ['parent']);
+        if (!unwrapped) {
+            throw new Error(`Parent slot of entry ${entry.id} cannot be opened with the current master password`);
+        }
+        const { integrity, targets } = await this.openEntryMetadata(unwrapped.dek, entry);
+        if (integrity === 'mismatch') {
+            throw new Error(`Entry ${entry.id} metadata was altered`);
+        }
+        return targets;
+    }
+
+    // Author signatures
+    // The author signs the stored envelope: format, entry ID, stored timestamp and targets, content IV and hash, and
+    // the metadata seal. Slots are not covered, so password changes keep signatures valid; sharing and revoking
+    // change the envelope and are re-signed by the parent performing them.
+    async getSigningKeyId(signingPublicKey_base64) {
+        const digest = await window.crypto.subtle.digest('SHA-256', this.base64ToArrayBuffer(signingPublicKey_base64));
+        return this.arrayBufferToBase64(digest.slice(0, this.SLOT_HINT_BYTES));
+    }
+
+    // The key ID as 20 hex digits in groups of four: short enough to read out or type when checking a key in person
+    formatAuthorFingerprint(keyId) {
+        const hex = Array.from(new Uint8Array(this.base64ToArrayBuffer(keyId)).slice(0, 10), byte => byte.toString(16).padStart(2, '0')).join('');
+        return hex.match(/.{4}/g).join(' ');
+    }
+
+    // Public author record, kept in the trusted authors list and shipped with exported timelines
+    async createAuthorRecord(name, signingPublicKey_base64) {
+        return {
+            keyId: await this.getSigningKeyId(signingPublicKey_base64),
+            name: name,
+            signingPublicKey_base64: signingPublicKey_base64
+        };
+    }
+
+    async entrySignaturePayload(entry) {
+        const metadata = this.entryMetadataFromRecord(entry);
+        const contentHash = await window.crypto.subtle.digest('SHA-256', this.base64ToArrayBuffer(entry.encryptedContent_base64));
+        const encoder = new TextEncoder();
+        return encoder.encode(JSON.stringify([
+            'family-timeline:entry-signature', this.SIGNATURE_FORMAT,
+            metadata.formatVersion, metadata.entryUid || null, metadata.timestamp, [...metadata.targets].sort(),
+            entry.data_iv_base64, this.arrayBufferToBase64(contentHash),
+            entry.metadataIv_base64 || null, entry.metadataTag_base64 || null, entry.encryptedMetadata_base64 || null,
+            ...(entry.chainLinks ? [this.canonicalChainLinks(entry.chainLinks)] : [])
+        ]));
+    }
+
+    // Signature fields for an entry as it will be stored; empty when the author has no signing key
+    async signEntry(entry, password, keyParams) {
+        if (!keyParams || !keyParams.encryptedSigningKey) {
+            console.warn('✍️ No signing key available; entry left unsigned');
+            return {};
+        }
+        return this.signPayload(await this.entrySignaturePayload(entry), password, keyParams);
+    }
+
+    // { status: 'verified' | 'unsigned' | 'unknown-author' | 'invalid', authorName }
+    async verifyEntrySignature(entry, trustedAuthors = []) {
+        return this.verifySignedRecord(entry, await this.entrySignaturePayload(entry), trustedAuthors, `Entry ${entry.id}`);
+    }
+
+    async signPayload(payload, password, keyParams) {
+        const signingKey = await this.getPrincipalSigningKey(password, keyParams);
+        const signature = await window.crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            signingKey,
+            payload
+        );
+        return {
+            authorKeyId: await this.getSigningKeyId(keyParams.signingPublicKey_base64),
+            signature_base64: this.arrayBufferToBase64(signature)
+        };
+    }
+
+    // Checks a record's { authorKeyId, signature_base64 } over payload against the trusted authors
+    async verifySignedRecord(record, payload, trustedAuthors, label) {
+        if (!record.signature_base64 || !record.authorKeyId) {
+            return { status: 'unsigned', authorName: null };
+        }
+        const author = trustedAuthors.find(a => a.keyId === record.authorKeyId);
+        if (!author) {
+            return { status: 'unknown-author', authorName: null };
+        }
+        try {
+            const publicKey = await window.crypto.subtle.importKey(
+                'raw',
+                this.base64ToArrayBuffer(author.signingPublicKey_base64),
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['verify']
+            );
+            const valid = await window.crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                publicKey,
+                this.base64ToArrayBuffer(record.signature_base64),
+                payload
+            );
+            if (!valid) {
+                console.warn(`⚠️ ${label} signature does not match author ${author.name}`);
+            }
+            return { status: valid ? 'verified' : 'invalid', authorName: author.name };
+        } catch (error) {
+            console.warn(`⚠️ ${label} signature could not be checked:`, error.message);
+            return { status: 'invalid', authorName: author.name };
+        }
+    }
+
+    // Timeline hash chain
+    // Each entry carries chainLinks: { timeline: { seq, prev } } (keyed like its slots, so blinded for private
+    // entries) covered by its signature. A link's hash is H(timeline, seq, entry ID, prev), which survives sharing
+    // and revocation. The signed head of each timeline records the latest seq and hash plus the links that were
+    // revoked from it, so a verifier can tell legitimate removals from gaps, forks and missing entries.
+    async chainLinkHash(timeline, seq, entryUid, prev) {
+        const encoder = new TextEncoder();
+        const digest = await window.crypto.subtle.digest(
+            'SHA-256',
+            encoder.encode(JSON.stringify(['family-timeline:chain-link', timeline, seq, entryUid, prev || null]))
+        );
+        return this.arrayBufferToBase64(digest);
+    }
+
+    nextChainLink(head) {
+        return { seq: head ? head.seq + 1 : 1, prev: head ? head.hash : null };
+    }
+
+    canonicalChainLinks(chainLinks) {
+        return Object.keys(chainLinks).sort().map(key => [key, chainLinks[key].seq, chainLinks[key].prev || null]);
+    }
+
+    // Chain links as stored on the entry: keyed by blinded tags when indexKey is given (private entries),
+    // by timeline name otherwise. mapChainLinks() turns them back into timeline names.
+    async storedChainLinks(chainLinks, indexKey) {
+        if (!indexKey) {
+            return { ...chainLinks };
+        }
+        const stored = {};
+        for (const [timeline, link] of Object.entries(chainLinks)) {
+            stored[await this.blindTimelineTag(indexKey, timeline)] = link;
+        }
+        return stored;
+    }
+
+    // Stored chain links keyed by real timeline names (slotTargets maps blinded keys back)
+    mapChainLinks(chainLinks, slotTargets = {}) {
+        const mapped = {};
+        for (const [key, link] of Object.entries(chainLinks || {})) {
+            mapped[slotTargets[key] || key] = link;
+        }
+        return mapped;
+    }
+
+    // The entry's link in a timeline, from a decryptEntry result; only links under a verified signature count
+    timelineLinkFromDecrypted(entry, decrypted, timeline) {
+        const link = decrypted && decrypted.chainLinks && decrypted.chainLinks[timeline];
+        if (!link || !decrypted.authorship || decrypted.authorship.status !== 'verified') {
+            return null;
+        }
+        return { entryId: entry.id, entryUid: entry.entryUid, seq: link.seq, prev: link.prev };
+    }
+
+    async advanceTimelineHead(head, timeline, link, entryUid) {
+        return {
+            timeline: timeline,
+            seq: link.seq,
+            hash: await this.chainLinkHash(timeline, link.seq, entryUid, link.prev),
+            removed: head ? head.removed || [] : []
+        };
+    }
+
+    // A revoked link stays accountable: its seq and hash are kept in the head
+    async removeFromTimelineHead(head, timeline, link, entryUid) {
+        return {
+            ...head,
+            removed: [...(head.removed || []), { seq: link.seq, hash: await this.chainLinkHash(timeline, link.seq, entryUid, link.prev) }]
+        };
+    }
+
+    timelineHeadPayload(head) {
+        const encoder = new TextEncoder();
+        return encoder.encode(JSON.stringify([
+            'family-timeline:timeline-head', this.SIGNATURE_FORMAT, head.timeline, head.seq, head.hash,
+            [...(head.removed || [])].sort((a, b) => a.seq - b.seq).map(r => [r.seq, r.hash])
+        ]));
+    }
+
+    async signTimelineHead(head, password, keyParams) {
+        const signed = { ...head, updatedAt: new Date().toISOString() };
+        if (!keyParams || !keyParams.encryptedSigningKey) {
+            console.warn(`✍️ No signing key available; head of ${head.timeline} left unsigned`);
+            return signed;
+        }
+        return { ...signed, ...(await this.signPayload(this.timelineHeadPayload(head), password, keyParams)) };
+    }
+
+    // Status of a head's signature against the trusted authors (see verifySignedRecord)
+    async verifyTimelineHead(head, trustedAuthors = []) {
+        return (await this.verifySignedRecord(head, this.timelineHeadPayload(head), trustedAuthors, `Head of ${head.timeline}`)).status;
+    }
+
+    // links: [{ entryUid, seq, prev }] of the timeline's entries. Returns { ok, checked, gaps, forks, missing, head }:
+    // gaps are unaccounted seqs before the newest entry, forks are seqs with competing entries or broken links,
+    // missing are unaccounted seqs between the newest entry and the signed head.
+    async verifyTimelineChain(timeline, links, head, trustedAuthors = []) {
+        const headStatus = head ? await this.verifyTimelineHead(head, trustedAuthors) : 'missing';
+        const removed = new Map(((head && head.removed) || []).map(r => [r.seq, r.hash]));
+
+        const bySeq = new Map();
+        for (const link of links) {
+            if (!bySeq.has(link.seq)) bySeq.set(link.seq, new Map());
+            bySeq.get(link.seq).set(link.entryUid, link);
+        }
+        const forks = new Set();
+        const hashes = new Map(removed);
+        for (const [seq, candidates] of bySeq) {
+            if (candidates.size > 1) {
+                forks.add(seq);
+            }
+            const [link] = candidates.values();
+            hashes.set(seq, await this.chainLinkHash(timeline, seq, link.entryUid, link.prev));
+        }
+
+        const newestSeq = Math.max(0, ...bySeq.keys());
+        const lastSeq = Math.max(newestSeq, head ? head.seq : 0);
+        const gaps = [];
+        const missing = [];
+        for (let seq = 1; seq <= lastSeq; seq++) {
+            if (bySeq.has(seq)) {
+                // A link's prev must be the hash of the link before it (unknown when that one is a gap)
+                const expectedPrev = seq === 1 ? null : hashes.get(seq - 1);
+                for (const link of bySeq.get(seq).values()) {
+                    if (expectedPrev !== undefined && (link.prev || null) !== expectedPrev) {
+                        forks.add(seq);
+                    }
+                }
+            } else if (!removed.has(seq)) {
+                (seq < newestSeq ? gaps : missing).push(seq);
+            }
+        }
+        // The head must commit to the same chain
+        if (head && hashes.has(head.seq) && hashes.get(head.seq) !== head.hash) {
+            forks.add(head.seq);
+        }
+
+        const report = {
+            timeline,
+            ok: headStatus === 'verified' && gaps.length === 0 && forks.size === 0 && missing.length === 0,
+            checked: bySeq.size,
+            gaps,
+            forks: [...forks].sort((a, b) => a - b),
+            missing,
+            beyondHead: head ? [...bySeq.keys()].filter(seq => seq > head.seq) : [],
+            head: headStatus
+        };
+        console.log(`⛓️ Timeline ${timeline} chain check:`, report);
+        return report;
+    }
+
+    // Wraps a DEK for each target timeline. Used when an entry is written and when recipients are added later.
+    // 'general' belongs to the parent principal and uses the parent's KEK; kids are written to their public key.
+    async wrapDekForTargets(dek, targets, parentKeys, keyParams, epoch) {
+        const slots = {};
+
+        // The parent's private key computes the hints on public-key slots
+        const authorPrivateKey = await this.getAuthorPrivateKey(parentKeys, keyParams.parent);
+
+        for (const target of targets) {
+            console.log(`🔐 Processing target: ${target}`);
+
+            if (target === 'general') {
+                slots.general = await this.wrapDekForPrincipal(dek, parentKeys, keyParams.parent, epoch);
+            } else if (target.startsWith('kid')) {
+                const targetKeyParams = keyParams[target];
+                // CRITICAL: Validate a public key exists
+                if (!targetKeyParams || !targetKeyParams.publicKey_base64) {
+                    const errorMsg = `No public key available for target: ${target}`;
+                    console.error(`❌ ${errorMsg}`);
+                    throw new Error(errorMsg);
+                }
+                slots[target] = await this.wrapDekForPublicKey(dek, targetKeyParams, authorPrivateKey, epoch);
+            } else {
+                console.warn(`❓ Unknown target type: ${target}`);
+                continue;
+            }
+
+            console.log(`✅ Encryption completed for ${target}`);
+        }
+        return slots;
+    }
+
+    // Finds the slot the password opens and returns the DEK (extractable AES-GCM key), or null.
+    // slotNames restricts the search (e.g. ['parent'] when re-keying through the parent slot).
+    // hints (a Set from getRecipientHints) skips hinted slots that belong to someone else; unhinted slots are still tried.
+    async unwrapEntryDek(entry, password, slotNames = null, hints = null) {
+        const encryptionInfo = entry.encryptionInfo || {};
+        const candidates = Object.entries(encryptionInfo)
+            .filter(([keyHolder]) => !slotNames || slotNames.includes(keyHolder))
+            .filter(([, info]) => !hints || !info.hint || hints.has(info.hint));
+
+        // Try to decrypt DEK with the provided password against each encryption entry
+        for (const [keyHolder, info] of candidates) {
+            try {
+                console.log(`🔓 Trying to decrypt DEK using ${keyHolder} encryption...`);
+                const dek = await this.unwrapDekFromSlot(info, password);
+                console.log(`✅ Successfully decrypted DEK using ${keyHolder} encryption`);
+                return { dek, decryptedBy: keyHolder };
+            } catch (e) {
+                console.log(`❌ Failed to decrypt using ${keyHolder} encryption:`, e.message);
+            }
+        }
+        return null;
+    }
+
+    // Re-wraps one recipient slot of an entry for new key params, unwrapping the DEK through the parent slot
+    async rewrapEntrySlotViaParent(entry, slotKey, parentPassword, newPassword, newKeyParams, parentKeyParams = null) {
+        const unwrapped = await this.unwrapEntryDek(entry, parentPassword, ['parent']);
+        if (!unwrapped) {
+            throw new Error(`Parent slot of entry ${entry.id} cannot be opened with the current master password`);
+        }
+        console.log(`🔐 Re-wrapping ${slotKey} slot of entry ${entry.id}`);
+        const authorPrivateKey = await this.getAuthorPrivateKey(parentPassword, parentKeyParams);
+        return this.wrapDekForRecipient(unwrapped.dek, newKeyParams, newPassword, authorPrivateKey, this.hintEpoch(entry.timestamp));
+    }
+
+    // Sharing: wraps the entry's existing DEK (opened through the parent slot) for more targets; the content is untouched
+    // Returns the new slots and, for format 2 entries, a metadata tag covering the extended target list
+    // (for private entries also the whole padded slot set, as metadataSeal.encryptionInfo).
+    // options.chainLinks links the entry into the new targets' hash chains.
+    async wrapEntryDekForNewTargets(entry, newTargets, parentKeys, keyParams = {}, options = {}) {
+        const unwrapped = await this.unwrapEntryDek(entry, parentKeys, ['parent']);
+        if (!unwrapped) {
+            throw new Error(`Parent slot of entry ${entry.id} cannot be opened with the current master password`);
+        }
+        // Re-tagging altered metadata would launder it
+        const opened = await this.openEntryMetadata(unwrapped.dek, entry);
+        if (opened.integrity === 'mismatch') {
+            throw new Error(`Entry ${entry.id} metadata was altered; it cannot be shared`);
+        }
+        console.log(`🔐 Adding recipients to entry ${entry.id}:`, newTargets);
+        const slots = await this.wrapDekForTargets(unwrapped.dek, newTargets, parentKeys, keyParams, this.hintEpoch(entry.timestamp));
+
+        const metadata = { ...this.entryMetadataFromRecord(entry), timestamp: opened.timestamp, targets: [...new Set([...opened.targets, ...newTargets])] };
+        let newSlots = slots;
+        let metadataSeal;
+        const indexKey = metadata.formatVersion >= this.ENTRY_FORMAT_PRIVATE
+            ? await this.getTimelineIndexKey(parentKeys, keyParams.parent)
+            : null;
+        if (indexKey) {
+            // Private entries get blinded slot names, and the new target list goes back into the encrypted metadata.
+            // Their slot set is rebuilt without the old decoys and padded again.
+            const sealed = await this.sealPrivateEntryMetadata(unwrapped.dek, metadata, indexKey);
+            newSlots = (await this.blindSlotNames(slots, indexKey)).slots;
+            const realSlots = Object.fromEntries(Object.entries(entry.encryptionInfo)
+                .filter(([name]) => name === 'parent' || opened.slotTargets[name]));
+            metadataSeal = {
+                encryptionInfo: await this.padSlots({ ...realSlots, ...newSlots }),
+                targetTimelines: sealed.targets,
+                encryptedMetadata_base64: sealed.encryptedMetadata_base64,
+                metadataIv_base64: sealed.metadataIv_base64
+            };
+        } else {
+            metadataSeal = {
+                targetTimelines: metadata.targets,
+                ...(metadata.formatVersion >= 2 ? await this.sealEntryMetadata(unwrapped.dek, metadata) : {})
+            };
+        }
+        if (options.chainLinks) {
+            metadataSeal.chainLinks = { ...(entry.chainLinks || {}), ...(await this.storedChainLinks(options.chainLinks, indexKey)) };
+        }
+        Object.assign(metadataSeal, await this.signEntry({ ...entry, ...metadataSeal }, parentKeys, keyParams.parent));
+        return { slots: newSlots, metadataSeal };
+    }
+
+    // Revocation: a removed recipient may still hold the old DEK, so the content is re-encrypted under a fresh DEK
+    // wrapped only for the parent and the remaining targets. Chain links of revoked targets are dropped.
+    // attachments: the entry's attachment records; they are re-encrypted under the new DEK and returned as result.attachments
+    async reencryptEntryForTargets(entry, remainingTargets, parentKeys, keyParams = {}, attachments = []) {
+        const unwrapped = await this.unwrapEntryDek(entry, parentKeys, ['parent']);
+        if (!unwrapped) {
+            throw new Error(`Parent slot of entry ${entry.id} cannot be opened with the current master password`);
+        }
+        const opened = await this.openEntryMetadata(unwrapped.dek, entry);
+        if (opened.integrity === 'mismatch') {
+            throw new Error(`Entry ${entry.id} metadata was altered; it cannot be re-encrypted`);
+        }
+        const oldMetadata = this.entryMetadataFromRecord(entry);
+        const indexKey = this.isPrivateEntry(entry)
+            ? await this.getTimelineIndexKey(parentKeys, keyParams.parent)
+            : null;
+        const plaintext = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToArrayBuffer(entry.data_iv_base64), ...this.contentAadParams(oldMetadata) },
+            unwrapped.dek,
+            this.base64ToArrayBuffer(entry.encryptedContent_base64)
+        );
+
+        // Older entries are upgraded to the current format while they are re-encrypted anyway
+        const metadata = {
+            formatVersion: indexKey ? this.ENTRY_FORMAT_PRIVATE : this.ENTRY_FORMAT_VERSION,
+            entryUid: oldMetadata.entryUid || this.generateEntryUid(),
+            timestamp: opened.timestamp,
+            targets: remainingTargets
+        };
+
+        const dek = await window.crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
             ['encrypt', 'decrypt']
         );
+        const dataIv = this.generateRandomBytes(12);
+        const encryptedContent = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: dataIv, additionalData: this.entryContentAad(metadata) },
+            dek,
+            plaintext
+        );
+        new Uint8Array(plaintext).fill(0);
+        const reencryptedAttachments = [];
+        for (const record of attachments) {
+            reencryptedAttachments.push(await this.reencryptAttachment(record, metadata.entryUid, unwrapped.dek, dek));
+        }
+
+        const epoch = this.hintEpoch(metadata.timestamp);
+        const targetSlots = await this.wrapDekForTargets(dek, remainingTargets, parentKeys, keyParams, epoch);
+        let encryptionInfo = {
+            parent: await this.wrapDekForPrincipal(dek, parentKeys, keyParams.parent, epoch),
+            ...(indexKey ? (await this.blindSlotNames(targetSlots, indexKey)).slots : targetSlots)
+        };
+        if (indexKey) {
+            encryptionInfo = await this.padSlots(encryptionInfo);
+        }
+        // Revoked targets are recorded on the entry, blinded like its other indexes for private entries
+        const revokedTargets = opened.targets.filter(target => !remainingTargets.includes(target));
+        console.log(`🔐 Entry ${entry.id} re-encrypted for:`, remainingTargets);
+        const result = {
+            encryptedContent_base64: this.arrayBufferToBase64(encryptedContent),
+            data_iv_base64: this.arrayBufferToBase64(dataIv),
+            encryptionInfo: encryptionInfo,
+            recipientHints: this.collectRecipientHints(encryptionInfo),
+            entryUid: metadata.entryUid,
+            formatVersion: metadata.formatVersion,
+            revokedTimelines: indexKey
+                ? await Promise.all(revokedTargets.map(target => this.blindTimelineTag(indexKey, target)))
+                : revokedTargets,
+            ...(indexKey
+                ? await this.sealPrivateEntryMetadata(dek, metadata, indexKey)
+                : { targets: remainingTargets, timestamp: metadata.timestamp, ...(await this.sealEntryMetadata(dek, metadata)) })
+        };
+        if (entry.chainLinks) {
+            const chainLinks = this.mapChainLinks(entry.chainLinks, opened.slotTargets);
+            const remainingLinks = Object.fromEntries(Object.entries(chainLinks).filter(([timeline]) => remainingTargets.includes(timeline)));
+            result.chainLinks = await this.storedChainLinks(remainingLinks, indexKey);
+            // The revoked links are recorded in their timelines' heads by the caller
+            result.revokedChainLinks = Object.fromEntries(Object.entries(chainLinks).filter(([timeline]) => !remainingTargets.includes(timeline)));
+        }
+        return { ...result, ...(await this.signEntry(result, parentKeys, keyParams.parent)), attachments: reencryptedAttachments };
+    }
+
+    // IMPROVED: Entry decryption with better logging
+    // options.slots limits which encryptionInfo slots are tried, options.hints skips slots meant for other recipients,
+    // options.authors (trusted author records) adds the signature status as `authorship`
+    async decryptEntry(entry, password, options = {}) {
+        try {
+            console.log(`🔓 Attempting to decrypt entry with ${this.isSessionKeys(password) ? 'session keys' : 'a password'}`);
+            
+            if (!password) {
+                console.warn('❌ No password or session keys provided for decryption');
+                return null;
+            }
+
+            const encryptionInfo = entry.encryptionInfo;
+            if (!encryptionInfo) {
+                console.error('❌ No encryption info in entry');
+                return null;
+            }
+
+            console.log('🔍 Available encryption keys:', Object.keys(encryptionInfo));
+
+            const unwrapped = await this.unwrapEntryDek(entry, password, options.slots, options.hints);
+            if (!unwrapped) {
+                console.warn('❌ Password does not match any encryption key in this entry');
+                return null; // Password doesn't match any encryption key
+            }
+            const { dek, decryptedBy } = unwrapped;
+            const metadata = this.entryMetadataFromRecord(entry);
+
+            // Decrypt content
+            const encryptedContent = this.base64ToArrayBuffer(entry.encryptedContent_base64);
+            const dataIv = this.base64ToArrayBuffer(entry.data_iv_base64);
+            
+            let decryptedBuffer;
+            try {
+                decryptedBuffer = await window.crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: dataIv, ...this.contentAadParams(metadata) },
+                    dek,
+                    encryptedContent
+                );
+            } catch (error) {
+                if (metadata.formatVersion < 2) {
+                    throw error;
+                }
+                // The key opened but the content does not authenticate: ciphertext, entry ID or version was altered
+                console.warn(`⚠️ Entry ${entry.id} content failed authentication`);
+                return {
+                    content: null,
+                    decryptedBy: decryptedBy,
+                    timestamp: entry.timestamp,
+                    targetTimelines: this.isPrivateEntry(entry) ? [] : metadata.targets,
+                    integrity: 'mismatch',
+                    authorship: options.authors ? await this.verifyEntrySignature(entry, options.authors) : null
+                };
+            }
+
+            const decoder = new TextDecoder();
+            const content = JSON.parse(decoder.decode(decryptedBuffer));
+
+            console.log('✅ Entry content decrypted successfully');
+            
+            const opened = await this.openEntryMetadata(dek, entry);
+            return {
+                content: content,
+                decryptedBy: (opened.slotTargets && opened.slotTargets[decryptedBy]) || decryptedBy,
+                timestamp: opened.timestamp,
+                targetTimelines: opened.targets,
+                integrity: opened.integrity,
+                chainLinks: this.mapChainLinks(entry.chainLinks, opened.slotTargets),
+                authorship: options.authors ? await this.verifyEntrySignature(entry, options.authors) : null
+            };
+        } catch (error) {
+            console.error('❌ Entry decryption failed:', error);
+            return null;
+        }
+    }
+
+    // Password strength validation
+    validatePasswordStrength(password) {
+        const requirements = {
+            minLength: password.length >= 8,
+            hasUppercase: /[A-Z]/.test(password),
+            hasLowercase: /[a-z]/.test(password),
+            hasNumbers: /\d/.test(password),
+            hasSpecialChars: /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)
+        };
+
+        const score = Object.values(requirements).filter(Boolean).length;
+        
+        let strength = 'weak';
+        if (score >= 4) strength = 'strong';
+        else if (score >= 3) strength = 'medium';
+
+        return {
+            score,
+            strength,
+            requirements,
+            isValid: score >= 3 // Require at least 3 criteria
+        };
+    }
+
+    // Generate secure password (crypto.getRandomValues with rejection sampling, Fisher-Yates shuffle)
+    generateSecurePassword(length = 16) {
+        return generatePassword(length);
+    }
+
+    // Diceware-style passphrase from the bundled EFF wordlist
+    generateSecurePassphrase(wordCount = 6) {
+        return generatePassphrase(wordCount);
+    }
+
+    // Hash functions (for verification, not storage)
+    async hashPassword(password) {
+        const encoder = new TextEncoder();
+        const data = encoder.encode(password);
+        const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
+        return this.arrayBufferToBase64(hashBuffer);
+    }
+
+    // Secure comparison
+    async verifyPassword(password, expectedHash) {
+        const passwordHash = await this.hashPassword(password);
+        return passwordHash === expectedHash;
+    }
+
+    // Key derivation for master password (for future use)
+    async deriveMasterKey(password, salt, kdfSpec = this.getDefaultKdfSpec()) {
+        return this.deriveKeyFromPassword(password, salt, kdfSpec);
     }
 
     // Utility method to check if crypto is available
@@ -509,8 +2228,11 @@ export class CryptoManager {
 
     // Clean up sensitive data from memory (best effort)
     clearSensitiveData() {
-        // In JavaScript, we can't truly clear memory, but we can overwrite variables
-        // This is more of a symbolic gesture for security awareness
+        // In JavaScript, we can't truly clear memory, but we can drop references
+        // Derived KEKs are non-extractable; forgetting them ends their use in this session
+        this.kekCache.clear();
+        this.kekCacheSecret = null;
+        this.timelineIndexKeys.clear();
         console.log('🧹 Clearing sensitive data from memory');
     }
 }
\ No newline at end of file
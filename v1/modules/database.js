@@ -1,8 +1,18 @@
 /**
  * Enhanced Database Management - Added Custom Timestamp Support
  * Handles all IndexedDB operations using Dexie
+ * Schema versions and their upgrade functions live in migrations.js
  */
 
+import { DB_NAME, LATEST_VERSION, MigrationError, applyMigrations } from './migrations.js';
+
+const SNAPSHOTS_KEPT = 3;
+const SNAPSHOT_SKIPPED_TABLES = ['attachments'];
+const PAGE_SIZE = 25; // Entries per page of the cursor queries
+
+// [timestamp, id] order of the entries index, newest first
+const newestFirst = (a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : b.id - a.id);
+
 export class DatabaseManager {
     constructor(cryptoManager) {
         this.db = null;
@@ -14,23 +24,101 @@ export class DatabaseManager {
     }
 
     async init() {
+        console.log('🗃️ Initializing database...');
+        const installedVersion = await this.getInstalledVersion();
+        const migrating = installedVersion > 0 && installedVersion < LATEST_VERSION;
+        let snapshotId = null;
+        if (migrating) {
+            // A failed upgrade rolls back; the copy also covers one that completes but transforms rows wrongly
+            snapshotId = await this.snapshotBeforeMigration(installedVersion);
+        }
+
+        this.db = new Dexie(DB_NAME);
+        applyMigrations(this.db, { crypto: this.crypto });
         try {
-            console.log('🗃️ Initializing database...');
-            this.db = new Dexie('FamilyTimelineDB');
-            this.db.version(2.1).stores({
-                settings: 'id',
-                kids: '++id, name, isActive',
-                entries: '++id, timestamp, *targetTimelines'
-            });
             await this.db.open();
             this.initialized = true;
+            if (migrating) {
+                console.log(`✅ Database migrated from ${installedVersion} to ${LATEST_VERSION}`);
+            }
             console.log('✅ Database initialized successfully');
         } catch (error) {
             console.error('❌ Database initialization failed:', error);
+            if (migrating) {
+                throw new MigrationError(`Database upgrade from ${installedVersion} to ${LATEST_VERSION} failed: ${error.message}`, {
+                    fromVersion: installedVersion, toVersion: LATEST_VERSION, snapshotId, cause: error
+                });
+            }
             throw new Error(`Database initialization failed: ${error.message}`);
         }
     }
 
+    // Schema version on disk (Dexie version numbers), or 0 for a new database. Opening without a schema changes nothing.
+    async getInstalledVersion() {
+        if (!(await Dexie.exists(DB_NAME))) return 0;
+        const existing = new Dexie(DB_NAME);
+        try {
+            await existing.open();
+            return existing.verno;
+        } finally {
+            existing.close();
+        }
+    }
+
+    // Pre-migration snapshots
+    // A copy of every table but attachments, taken before the schema is upgraded and kept in a separate database
+    // (last SNAPSHOTS_KEPT). Media Blobs are left out so a snapshot stays small next to the storage quota.
+    getSnapshotDb() {
+        const snapshotDb = new Dexie(`${DB_NAME}-snapshots`);
+        snapshotDb.version(1).stores({ snapshots: '++id, createdAt' });
+        return snapshotDb;
+    }
+
+    async snapshotBeforeMigration(fromVersion) {
+        const source = new Dexie(DB_NAME);
+        const snapshotDb = this.getSnapshotDb();
+        try {
+            await source.open();
+            const tables = {};
+            for (const table of source.tables.filter(table => !SNAPSHOT_SKIPPED_TABLES.includes(table.name))) {
+                tables[table.name] = await table.toArray();
+            }
+            const id = await snapshotDb.snapshots.add({
+                fromVersion, toVersion: LATEST_VERSION, createdAt: new Date().toISOString(), tables
+            });
+            const ids = await snapshotDb.snapshots.orderBy('createdAt').primaryKeys();
+            await snapshotDb.snapshots.bulkDelete(ids.slice(0, Math.max(0, ids.length - SNAPSHOTS_KEPT)));
+            console.log(`📸 Pre-migration snapshot ${id} taken (version ${fromVersion}, ${Object.keys(tables).length} tables)`);
+            return id;
+        } catch (error) {
+            // The upgrade itself still rolls back on failure, so it goes ahead without the extra copy
+            console.warn('⚠️ Pre-migration snapshot failed, upgrading without one:', error);
+            return null;
+        } finally {
+            source.close();
+            snapshotDb.close();
+        }
+    }
+
+    // The snapshot as a backup file (importData format), without media. Quick-unlock PINs are device-bound and left out.
+    async getMigrationSnapshotBackup(snapshotId) {
+        const snapshotDb = this.getSnapshotDb();
+        try {
+            const snapshot = await snapshotDb.snapshots.get(snapshotId);
+            if (!snapshot) return null;
+            return {
+                version: 1,
+                exportedAt: snapshot.createdAt,
+                migrationSnapshot: { fromVersion: snapshot.fromVersion, toVersion: snapshot.toVersion },
+                settings: snapshot.tables.settings || [],
+                kids: snapshot.tables.kids || [],
+                entries: snapshot.tables.entries || []
+            };
+        } finally {
+            snapshotDb.close();
+        }
+    }
+
     ensureInitialized() {
         if (!this.initialized || !this.db) {
             throw new Error('Database not initialized. Call init() first.');
@@ -64,6 +152,403 @@ export class DatabaseManager {
         }
     }
 
+    // Master password verifier (kept in the settings table next to the app settings)
+    async getMasterVerifier() {
+        // Errors are rethrown: treating a failed read as "no verifier" would look like a first run
+        this.ensureInitialized();
+        const record = await this.db.settings.get('masterVerifier');
+        return record ? record.data : null;
+    }
+
+    async saveMasterVerifier(verifier) {
+        try {
+            this.ensureInitialized();
+            await this.db.settings.put({
+                id: 'masterVerifier',
+                data: verifier,
+                updatedAt: new Date().toISOString()
+            });
+            console.log('💾 Master verifier saved');
+        } catch (error) {
+            console.error('Failed to save master verifier:', error);
+            throw error;
+        }
+    }
+
+    // Parent principal key params (key ID, salt, KDF) - public values shared by all parent/general slots
+    async getParentKeyParams() {
+        this.ensureInitialized();
+        const record = await this.db.settings.get('parentKey');
+        return record ? record.data : null;
+    }
+
+    async saveParentKeyParams(keyParams) {
+        try {
+            this.ensureInitialized();
+            await this.db.settings.put({
+                id: 'parentKey',
+                data: keyParams,
+                updatedAt: new Date().toISOString()
+            });
+            console.log('💾 Parent key params saved');
+        } catch (error) {
+            console.error('Failed to save parent key params:', error);
+            throw error;
+        }
+    }
+
+    // Recovery methods (by method name): recovery public key, wrapped private key and the parent's recovery slot
+    async getRecoveryMethods() {
+        this.ensureInitialized();
+        const record = await this.db.settings.get('recovery');
+        return record ? record.data : {};
+    }
+
+    async getRecoveryMethod(method) {
+        const methods = await this.getRecoveryMethods();
+        return methods[method] || null;
+    }
+
+    // Replaces any earlier record of the same method (older shares or kits stop working)
+    async saveRecoveryMethod(record) {
+        try {
+            this.ensureInitialized();
+            await this.db.transaction('rw', this.db.settings, async () => {
+                const methods = await this.getRecoveryMethods();
+                methods[record.method] = record;
+                await this.db.settings.put({ id: 'recovery', data: methods, updatedAt: new Date().toISOString() });
+            });
+            console.log(`💾 Recovery method saved: ${record.method}`);
+        } catch (error) {
+            console.error('Failed to save recovery method:', error);
+            throw error;
+        }
+    }
+
+    // Records from before recovery slots hold a sealed master password; at login it is replaced by a recovery slot
+    async upgradeRecoveryMethods(masterPassword, parentKeyParams) {
+        this.ensureInitialized();
+        const methods = await this.getRecoveryMethods();
+        const legacy = Object.fromEntries(Object.entries(methods).filter(([, record]) => this.crypto.hasRecoveryEscrow(record)));
+        if (Object.keys(legacy).length === 0) {
+            return 0;
+        }
+        const upgraded = await this.crypto.sealRecoverySlots(legacy, masterPassword, parentKeyParams);
+        await this.db.settings.put({ id: 'recovery', data: { ...methods, ...upgraded }, updatedAt: new Date().toISOString() });
+        console.log(`🛟 ${Object.keys(upgraded).length} recovery method(s) moved from a sealed password to a recovery slot`);
+        return Object.keys(upgraded).length;
+    }
+
+    // Trusted authors: public signing keys whose entry signatures are shown as verified
+    async getTrustedAuthors() {
+        try {
+            this.ensureInitialized();
+            const record = await this.db.settings.get('trustedAuthors');
+            return record ? record.data : [];
+        } catch (error) {
+            console.error('Failed to get trusted authors:', error);
+            return [];
+        }
+    }
+
+    // Adds or renames an author (matched by signing key ID) and returns the updated list
+    async saveTrustedAuthor(author) {
+        try {
+            this.ensureInitialized();
+            const authors = await this.getTrustedAuthors();
+            const existing = authors.find(a => a.keyId === author.keyId);
+            const updated = existing
+                ? authors.map(a => (a.keyId === author.keyId ? { ...a, name: author.name } : a))
+                : [...authors, { ...author, trustedAt: new Date().toISOString() }];
+            await this.db.settings.put({
+                id: 'trustedAuthors',
+                data: updated,
+                updatedAt: new Date().toISOString()
+            });
+            console.log(`✍️ Trusted author saved: ${author.name} (${author.keyId.substring(0, 8)}...)`);
+            return updated;
+        } catch (error) {
+            console.error('Failed to save trusted author:', error);
+            throw error;
+        }
+    }
+
+    // Timeline heads: the signed latest link of each timeline's hash chain (see CryptoManager timeline hash chain)
+    async getTimelineHeads() {
+        this.ensureInitialized();
+        const record = await this.db.settings.get('timelineHeads');
+        return record ? record.data : {};
+    }
+
+    // Next chain link for each target, with the head seq it was built from
+    async getNextChainLinks(targets) {
+        const heads = await this.getTimelineHeads();
+        const links = {};
+        for (const target of targets) {
+            links[target] = this.crypto.nextChainLink(heads[target]);
+        }
+        return { links, heads };
+    }
+
+    // Writes head updates ([{ head, previousSeq }]); must run inside a transaction that includes settings.
+    // Fails if another write moved a head since the update was built.
+    async applyTimelineHeads(headUpdates) {
+        if (!headUpdates || headUpdates.length === 0) return;
+        const heads = await this.getTimelineHeads();
+        for (const { head, previousSeq } of headUpdates) {
+            const currentSeq = heads[head.timeline] ? heads[head.timeline].seq : 0;
+            if (currentSeq !== previousSeq) {
+                throw new Error(`Timeline ${head.timeline} changed while this entry was being written. Please try again.`);
+            }
+            heads[head.timeline] = head;
+        }
+        await this.db.settings.put({ id: 'timelineHeads', data: heads, updatedAt: new Date().toISOString() });
+    }
+
+    // Keeps an imported head when it is newer than the one on this device
+    async saveImportedTimelineHead(head) {
+        try {
+            this.ensureInitialized();
+            await this.db.transaction('rw', this.db.settings, async () => {
+                const heads = await this.getTimelineHeads();
+                const current = heads[head.timeline];
+                if (!current || head.seq > current.seq || (head.seq === current.seq && (head.removed || []).length > (current.removed || []).length)) {
+                    heads[head.timeline] = head;
+                    await this.db.settings.put({ id: 'timelineHeads', data: heads, updatedAt: new Date().toISOString() });
+                    console.log(`⛓️ Imported head saved for ${head.timeline} (seq ${head.seq})`);
+                }
+            });
+        } catch (error) {
+            console.error('Failed to save imported timeline head:', error);
+            throw error;
+        }
+    }
+
+    // Heads from a full backup are kept like a timeline import's: only when signed by an author trusted on this
+    // device and newer than the local head. Returns how many were kept.
+    async importTimelineHeads(heads) {
+        const trustedAuthors = await this.getTrustedAuthors();
+        let kept = 0;
+        for (const [timeline, head] of Object.entries(heads || {})) {
+            if (!head || head.timeline !== timeline) continue;
+            if ((await this.crypto.verifyTimelineHead(head, trustedAuthors)) !== 'verified') {
+                console.warn(`⛓️ Imported head of ${timeline} is not signed by a trusted author; the local head is kept`);
+                continue;
+            }
+            await this.saveImportedTimelineHead(head);
+            kept++;
+        }
+        return kept;
+    }
+
+    // Quick-unlock PINs by principal ('parent' or 'kid<id>')
+    async getQuickUnlock(id) {
+        this.ensureInitialized();
+        const record = await this.db.quickUnlock.get(id);
+        return record || null;
+    }
+
+    async getQuickUnlockIds() {
+        this.ensureInitialized();
+        return this.db.quickUnlock.toCollection().primaryKeys();
+    }
+
+    async saveQuickUnlock(id, record) {
+        try {
+            this.ensureInitialized();
+            await this.db.quickUnlock.put({ ...record, id, updatedAt: new Date().toISOString() });
+            console.log(`💾 Quick-unlock PIN saved: ${id}`);
+        } catch (error) {
+            console.error('Failed to save quick-unlock PIN:', error);
+            throw error;
+        }
+    }
+
+    async deleteQuickUnlock(id) {
+        this.ensureInitialized();
+        await this.db.quickUnlock.delete(id);
+        console.log(`🗑️ Quick-unlock PIN removed: ${id}`);
+    }
+
+    // Counts a wrong PIN and wipes the record once maxAttempts is reached. Returns the attempts left.
+    async recordQuickUnlockFailure(id, maxAttempts) {
+        this.ensureInitialized();
+        return this.db.transaction('rw', this.db.quickUnlock, async () => {
+            const record = await this.db.quickUnlock.get(id);
+            if (!record) return 0;
+            const failedAttempts = (record.failedAttempts || 0) + 1;
+            if (failedAttempts >= maxAttempts) {
+                await this.db.quickUnlock.delete(id);
+                console.warn(`🗑️ Quick-unlock PIN wiped after ${failedAttempts} wrong attempts: ${id}`);
+                return 0;
+            }
+            await this.db.quickUnlock.update(id, { failedAttempts });
+            return maxAttempts - failedAttempts;
+        });
+    }
+
+    async resetQuickUnlockFailures(id) {
+        this.ensureInitialized();
+        await this.db.quickUnlock.update(id, { failedAttempts: 0 });
+    }
+
+    // Master password change
+    // Phase 1 re-wraps every kid record and parent/general slot into rekeyJournal (resumable after a crash),
+    // phase 2 applies the staged changes to kids, entries and the verifier in a single transaction.
+    // oldPassword may also be the parent's session keys from a recovery slot (only legacy kid records need the password).
+    async getRekeyJob() {
+        this.ensureInitialized();
+        const job = await this.db.rekeyJournal.get('job');
+        return job || null;
+    }
+
+    async discardRekeyJob() {
+        this.ensureInitialized();
+        await this.db.rekeyJournal.clear();
+        console.log('🧹 Pending re-key job discarded');
+    }
+
+    async changeMasterPassword(oldPassword, newPassword, onProgress = () => {}) {
+        this.ensureInitialized();
+        if (!this.crypto) {
+            throw new Error("CryptoManager not available for master password change.");
+        }
+
+        let job = await this.getRekeyJob();
+        if (job && job.type !== 'masterPassword') {
+            throw new Error(`Another re-key job (${job.type}) is pending.`);
+        }
+        if (!job) {
+            job = {
+                id: 'job',
+                type: 'masterPassword',
+                status: 'preparing',
+                startedAt: new Date().toISOString(),
+                newVerifier: await this.crypto.createMasterVerifier(newPassword),
+                // The parent's key pair is kept so public-key slot hints stay valid
+                newParentKeyParams: await this.crypto.carryPrincipalKeyPair(
+                    oldPassword, await this.getParentKeyParams(), newPassword, this.crypto.createPrincipalKeyParams()
+                )
+            };
+            await this.db.rekeyJournal.put(job);
+            console.log('🔑 Master password change started');
+        } else if (!(await this.crypto.checkMasterVerifier(newPassword, job.newVerifier))) {
+            throw new Error('The new password does not match the interrupted master password change. Enter the same new password to resume.');
+        } else {
+            console.log(`🔑 Resuming master password change started at ${job.startedAt}`);
+        }
+
+        const staged = new Set(await this.db.rekeyJournal.toCollection().primaryKeys());
+        const kids = await this.db.kids.toArray();
+        const entries = await this.db.entries.toArray();
+        const total = kids.length + entries.length;
+        // Private entries name the general slot by its blinded tag; the tag survives the change with the parent's key pair
+        const generalTag = entries.some(entry => this.crypto.isPrivateEntry(entry))
+            ? await this.crypto.blindTimelineTag(await this.crypto.getTimelineIndexKey(oldPassword, await this.getParentKeyParams()), 'general')
+            : null;
+        let done = 0;
+        let skipped = 0;
+
+        // Sealed kid password records follow the parent's key pair, which the change keeps; only legacy ones are re-wrapped
+        for (const kid of kids) {
+            const journalId = `kid:${kid.id}`;
+            if (!staged.has(journalId) && kid.encryptedPassword_base64 && !this.crypto.isSealedKidPassword(kid)) {
+                try {
+                    const encryptedData = await this.crypto.rewrapKidPassword(kid, oldPassword, newPassword);
+                    await this.db.rekeyJournal.put({ id: journalId, table: 'kids', key: kid.id, changes: encryptedData });
+                } catch (error) {
+                    console.warn(`Master password change: kid ${kid.id} skipped.`, error.message);
+                    skipped++;
+                }
+            }
+            onProgress(++done, total);
+        }
+
+        for (const entry of entries) {
+            const journalId = `entry:${entry.id}`;
+            if (!staged.has(journalId) && entry.encryptionInfo) {
+                try {
+                    const encryptionInfo = { ...entry.encryptionInfo };
+                    const slotNames = ['parent', this.crypto.isPrivateEntry(entry) ? generalTag : 'general'];
+                    for (const slotName of slotNames) {
+                        if (encryptionInfo[slotName]) {
+                            encryptionInfo[slotName] = await this.crypto.rewrapSlot(
+                                encryptionInfo[slotName], oldPassword, newPassword, job.newParentKeyParams, this.crypto.hintEpoch(entry.timestamp)
+                            );
+                        }
+                    }
+                    const recipientHints = this.crypto.collectRecipientHints(encryptionInfo);
+                    await this.db.rekeyJournal.put({ id: journalId, table: 'entries', key: entry.id, changes: { encryptionInfo, recipientHints } });
+                } catch (error) {
+                    console.warn(`Master password change: entry ${entry.id} skipped (not openable with the current master password).`, error.message);
+                    skipped++;
+                }
+            }
+            onProgress(++done, total);
+        }
+
+        // Nothing is committed while an item is left behind: the old verifier stays and the job can be resumed
+        if (skipped > 0) {
+            throw new Error(`${skipped} item(s) could not be re-encrypted with the current master password. The master password was not changed; the re-encrypted items are kept so the change can be resumed.`);
+        }
+        await this.db.rekeyJournal.update('job', { status: 'ready' });
+
+        // Recovery methods keep working: their slots are re-sealed for the new key params (public key only, no secret needed)
+        const recoveryMethods = await this.crypto.sealRecoverySlots(await this.getRecoveryMethods(), newPassword, job.newParentKeyParams);
+
+        let kidsUpdated = 0;
+        let entriesUpdated = 0;
+        await this.db.transaction('rw', this.db.kids, this.db.entries, this.db.settings, this.db.rekeyJournal, async () => {
+            const changes = await this.db.rekeyJournal.where('id').notEqual('job').toArray();
+            for (const change of changes) {
+                if (change.table === 'kids') {
+                    kidsUpdated += await this.db.kids.update(change.key, { ...change.changes, updatedAt: new Date().toISOString() });
+                } else if (change.table === 'entries') {
+                    entriesUpdated += await this.db.entries.update(change.key, change.changes);
+                }
+            }
+            await this.db.settings.bulkPut([
+                { id: 'masterVerifier', data: job.newVerifier, updatedAt: new Date().toISOString() },
+                { id: 'parentKey', data: job.newParentKeyParams, updatedAt: new Date().toISOString() }
+            ]);
+            if (Object.keys(recoveryMethods).length > 0) {
+                await this.db.settings.put({ id: 'recovery', data: recoveryMethods, updatedAt: new Date().toISOString() });
+            }
+            await this.db.rekeyJournal.clear();
+        });
+
+        console.log(`🔑 Master password changed: ${kidsUpdated} kids and ${entriesUpdated} entries re-wrapped.`);
+        return { kidsUpdated, entriesUpdated, parentKeyParams: job.newParentKeyParams };
+    }
+
+    // Entries from before principal keys have per-slot password wraps, which session keys cannot open.
+    // Their parent and general slots are moved to the parent's KEK at login, while the master password is known.
+    async upgradeLegacyParentSlots(masterPassword, parentKeyParams) {
+        this.ensureInitialized();
+        const legacySlotNames = entry => ['parent', 'general']
+            .filter(name => entry.encryptionInfo && entry.encryptionInfo[name] && !entry.encryptionInfo[name].format);
+        const entries = await this.db.entries.filter(entry => legacySlotNames(entry).length > 0).toArray();
+        let upgraded = 0;
+        for (const entry of entries) {
+            try {
+                const encryptionInfo = { ...entry.encryptionInfo };
+                for (const slotName of legacySlotNames(entry)) {
+                    encryptionInfo[slotName] = await this.crypto.rewrapSlot(
+                        encryptionInfo[slotName], masterPassword, masterPassword, parentKeyParams, this.crypto.hintEpoch(entry.timestamp)
+                    );
+                }
+                const recipientHints = this.crypto.collectRecipientHints(encryptionInfo);
+                upgraded += await this.db.entries.update(entry.id, { encryptionInfo, recipientHints });
+            } catch (error) {
+                console.warn(`Legacy slot upgrade: entry ${entry.id} skipped.`, error.message);
+            }
+        }
+        if (entries.length > 0) {
+            console.log(`🔑 Legacy slots upgraded on ${upgraded}/${entries.length} entries`);
+        }
+        return upgraded;
+    }
+
     // Kids Management
     async getKids() {
         try {
@@ -88,9 +573,15 @@ export class DatabaseManager {
                 isActive: 1,
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
+                passwordFormat: kidData.passwordFormat,
                 encryptedPassword_base64: kidData.encryptedPassword_base64,
                 salt_base64: kidData.salt_base64,
-                iv_base64: kidData.iv_base64
+                iv_base64: kidData.iv_base64,
+                ephemeralPublicKey_base64: kidData.ephemeralPublicKey_base64,
+                kdf: kidData.kdf,
+                kdfParams: kidData.kdfParams,
+                kdfIterations: kidData.kdfIterations,
+                keyParams: kidData.keyParams
             };
             const kidId = await this.db.kids.add(kid);
             console.log(`👶 Kid created: ${kidData.name} (ID: ${kidId})`);
@@ -115,6 +606,75 @@ export class DatabaseManager {
         }
     }
 
+    // Changes a kid password and re-wraps the kid's slot on every entry targeting them.
+    // New slots are computed first; the kid record and all entry slots are then written in one transaction.
+    // kidUpdate holds the new sealed password fields and the kid's new principal keyParams; parentKeys are the parent's session keys.
+    async changeKidPassword(kidId, kidUpdate, parentKeys, newKidPassword, onProgress = () => {}) {
+        this.ensureInitialized();
+        if (!this.crypto) {
+            throw new Error("CryptoManager not available for kid password change.");
+        }
+        const kidIdKey = `kid${kidId}`;
+        const parentKeyParams = await this.getParentKeyParams();
+        // Private entries index and name the kid's slot by its blinded tag
+        const kidTag = parentKeyParams && parentKeyParams.publicKey_base64
+            ? await this.crypto.blindTimelineTag(await this.crypto.getTimelineIndexKey(parentKeys, parentKeyParams), kidIdKey)
+            : null;
+        const entries = await this.db.entries
+            .where('targetTimelines')
+            .anyOf([kidIdKey, kidTag].filter(Boolean))
+            .distinct()
+            .toArray();
+
+        const newSlots = new Map();
+        let skipped = 0;
+        for (const [index, entry] of entries.entries()) {
+            const slotName = this.crypto.isPrivateEntry(entry) ? kidTag : kidIdKey;
+            try {
+                const slot = await this.crypto.rewrapEntrySlotViaParent(entry, slotName, parentKeys, newKidPassword, kidUpdate.keyParams, parentKeyParams);
+                const recipientHints = this.crypto.collectRecipientHints({ ...entry.encryptionInfo, [slotName]: slot });
+                newSlots.set(entry.id, { slotName, slot, recipientHints });
+            } catch (error) {
+                console.warn(`Kid password change: entry ${entry.id} skipped.`, error.message);
+                skipped++;
+            }
+            onProgress(index + 1, entries.length);
+        }
+
+        // Like a master password change, nothing is committed while an entry is left behind: its kid slot would
+        // only open with the old key, which the new key params replace
+        if (skipped > 0) {
+            throw new Error(`${skipped} of ${entries.length} entries could not be re-encrypted through their parent slot. The password was not changed.`);
+        }
+
+        await this.db.transaction('rw', this.db.kids, this.db.entries, async () => {
+            await this.db.kids.update(kidId, {
+                ...kidUpdate,
+                updatedAt: new Date().toISOString()
+            });
+            for (const [entryId, { slotName, slot, recipientHints }] of newSlots) {
+                await this.db.entries.update(entryId, { [`encryptionInfo.${slotName}`]: slot, recipientHints });
+            }
+        });
+
+        console.log(`🔑 Kid ${kidId} password changed: ${newSlots.size} entries re-keyed.`);
+        return { entriesUpdated: newSlots.size };
+    }
+
+    async updateKidKeyParams(kidId, keyParams) {
+        try {
+            this.ensureInitialized();
+            await this.db.kids.update(kidId, {
+                keyParams,
+                updatedAt: new Date().toISOString()
+            });
+            console.log(`🔑 Kid key params saved: ID ${kidId}`);
+        } catch (error) {
+            console.error('Failed to update kid key params:', error);
+            throw error;
+        }
+    }
+
     async removeKid(kidId) {
         try {
             this.ensureInitialized();
@@ -122,6 +682,7 @@ export class DatabaseManager {
                 isActive: 0,
                 updatedAt: new Date().toISOString()
             });
+            await this.db.quickUnlock.delete(`kid${kidId}`);
             console.log(`🗑️ Kid removed: ID ${kidId}`);
         } catch (error) {
             console.error('Failed to remove kid:', error);
@@ -141,12 +702,13 @@ export class DatabaseManager {
     }
 
     // ENHANCED: Entries Management with Custom Timestamps
-    async createEntry(entryData) {
+    // headUpdates advance the targets' hash chains in the same transaction
+    async createEntry(entryData, headUpdates = []) {
         try {
             this.ensureInitialized();
             
-            // NEW: Use custom timestamp if provided, otherwise current time
-            const timestamp = entryData.customTimestamp || new Date().toISOString();
+            // Timestamp authenticated by encryptEntry; custom timestamp or current time for older callers
+            const timestamp = entryData.timestamp || entryData.customTimestamp || new Date().toISOString();
             
             const entry = {
                 timestamp: timestamp, // ENHANCED: Custom timestamp support
@@ -154,10 +716,20 @@ export class DatabaseManager {
                 encryptedContent_base64: entryData.encryptedContent_base64,
                 data_iv_base64: entryData.data_iv_base64,
                 encryptionInfo: entryData.encryptionInfo,
-                createdAt: new Date().toISOString() // Keep original creation time for auditing
+                recipientHints: entryData.recipientHints || [],
+                ...this.entryIntegrityFields(entryData),
+                // Keep original creation time for auditing (only the month for private entries)
+                createdAt: this.entryRevisionTime(entryData)
             };
             
-            const entryId = await this.db.entries.add(entry);
+            let entryId;
+            await this.db.transaction('rw', this.db.entries, this.db.settings, this.db.attachments, async () => {
+                await this.applyTimelineHeads(headUpdates);
+                entryId = await this.db.entries.add(entry);
+                if (entryData.attachments && entryData.attachments.length > 0) {
+                    await this.db.attachments.bulkAdd(entryData.attachments);
+                }
+            });
             
             // NEW: Enhanced logging for custom timestamps
             if (entryData.customTimestamp) {
@@ -173,22 +745,130 @@ export class DatabaseManager {
         }
     }
 
-    async getEntries(limit = 100) {
-        try {
-            this.ensureInitialized();
-            const entries = await this.db.entries
-                .orderBy('timestamp')
+    // Cursor pagination on the [timestamp+id] index, newest first. Each query returns { entries, cursor }; passing the
+    // cursor back returns the next page, and it is null after the last one. The ID breaks ties between equal timestamps,
+    // so no entry is skipped or repeated across pages. Private entries are indexed (and so ordered) by their month.
+    // ids (a Set) restricts the page to those entries: their rows are read by key and ordered the same way,
+    // so the cost follows the matched entries rather than the size of the index.
+    // unreadBound is getUnreadTimestampBound for the returned cursor, taken over the same entries.
+    async getEntryPage({ cursor = null, limit = PAGE_SIZE, ids = null } = {}) {
+        this.ensureInitialized();
+        let entries;
+        let unread = null;
+        if (ids) {
+            const matched = (await this.db.entries.bulkGet([...ids]))
+                .filter(entry => entry && (!cursor || newestFirst(cursor, entry) < 0))
+                .sort(newestFirst);
+            entries = matched.slice(0, limit + 1);
+            unread = matched.slice(limit);
+        } else {
+            // Dexie.maxKey is an array: [Dexie.maxKey] sorts after every [timestamp, id]
+            const upper = cursor ? [cursor.timestamp, cursor.id] : [Dexie.maxKey];
+            entries = await this.db.entries
+                .where('[timestamp+id]')
+                .between([Dexie.minKey, Dexie.minKey], upper, true, !cursor)
                 .reverse()
-                .limit(limit)
+                .limit(limit + 1)
                 .toArray();
-            console.log(`📚 Loaded ${entries.length} entries from database`);
-            return entries;
+        }
+        const hasMore = entries.length > limit;
+        const page = entries.slice(0, limit);
+        const last = page[page.length - 1];
+        const next = hasMore ? { timestamp: last.timestamp, id: last.id } : null;
+        return { entries: page, cursor: next, unreadBound: next ? await this.getUnreadTimestampBound(next, unread) : null };
+    }
+
+    // Newest real timestamp an entry below the cursor can have. Private entries are indexed at the start of their month,
+    // so while one is still unread, it may be as new as the end of that month.
+    // unread (the entries below the cursor, when a page already has them) saves the index lookup.
+    async getUnreadTimestampBound(cursor, unread = null) {
+        this.ensureInitialized();
+        const monthStart = this.crypto.coarseTimestamp(cursor.timestamp);
+        let unreadPrivate;
+        if (unread) {
+            unreadPrivate = unread.filter(entry => entry.timestamp === monthStart).length;
+        } else {
+            const upper = cursor.timestamp > monthStart ? [monthStart, Dexie.maxKey] : [cursor.timestamp, cursor.id];
+            unreadPrivate = await this.db.entries
+                .where('[timestamp+id]')
+                .between([monthStart, Dexie.minKey], upper, true, false)
+                .count();
+        }
+        if (unreadPrivate === 0) {
+            return cursor.timestamp;
+        }
+        const nextMonth = new Date(monthStart);
+        nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+        return nextMonth.toISOString();
+    }
+
+    async getEntriesPage(cursor = null, limit = PAGE_SIZE) {
+        try {
+            const page = await this.getEntryPage({ cursor, limit });
+            console.log(`📚 Loaded a page of ${page.entries.length} entries${page.cursor ? '' : ' (last page)'}`);
+            return page;
         } catch (error) {
-            console.error('Failed to get entries:', error);
-            return [];
+            console.error('Failed to get entries page:', error);
+            throw error;
         }
     }
 
+    // Entries a password can open, a page at a time: those indexed under one of its recipient hints,
+    // plus entries with legacy (unhinted) slots, which can only be checked by trial. Both come from the hints index,
+    // so a password that matches nothing (e.g. one still being typed) costs a single index lookup.
+    async getEntriesForRecipientsPage(hints, cursor = null, limit = PAGE_SIZE) {
+        try {
+            this.ensureInitialized();
+            const ids = new Set(await this.db.entries
+                .where('recipientHints')
+                .anyOf([...hints, this.crypto.LEGACY_SLOTS_HINT])
+                .primaryKeys());
+            const page = ids.size > 0 ? await this.getEntryPage({ cursor, limit, ids }) : { entries: [], cursor: null };
+            console.log(`📚 Loaded a page of ${page.entries.length} entries for ${hints.length} recipient hint(s)${page.cursor ? '' : ' (last page)'}`);
+            return page;
+        } catch (error) {
+            console.error('Failed to get entries page for recipients:', error);
+            throw error;
+        }
+    }
+
+    // Fields that authenticate an entry's metadata (see CryptoManager entry integrity)
+    entryIntegrityFields(entry) {
+        return {
+            entryUid: entry.entryUid,
+            formatVersion: entry.formatVersion,
+            metadataIv_base64: entry.metadataIv_base64,
+            metadataTag_base64: entry.metadataTag_base64,
+            encryptedMetadata_base64: entry.encryptedMetadata_base64,
+            authorKeyId: entry.authorKeyId,
+            signature_base64: entry.signature_base64,
+            chainLinks: entry.chainLinks
+        };
+    }
+
+    // When an entry was written or changed: only the month for private entries, whose own timestamp is a month too
+    entryRevisionTime(entry) {
+        return this.crypto.isPrivateEntry(entry) ? this.crypto.coarseTimestamp(new Date()) : new Date().toISOString();
+    }
+
+    // Months the stored entries span, up to the current one, for the recipient hints a password looks for
+    async getHintEpochs() {
+        this.ensureInitialized();
+        const [first] = await this.db.entries.orderBy('timestamp').limit(1).keys();
+        const [last] = await this.db.entries.orderBy('timestamp').reverse().limit(1).keys();
+        const epochs = [];
+        if (!first) {
+            return epochs;
+        }
+        const end = new Date(Math.max(new Date(last).getTime(), Date.now()));
+        const month = new Date(this.crypto.coarseTimestamp(first));
+        while (month <= end) {
+            epochs.push(this.crypto.hintEpoch(month));
+            month.setUTCMonth(month.getUTCMonth() + 1);
+        }
+        return epochs;
+    }
+
     async getEntry(entryId) {
         try {
             this.ensureInitialized();
@@ -200,49 +880,87 @@ export class DatabaseManager {
         }
     }
 
-    async getEntriesForTimeline(timeline, limit = 50) {
+    // Adds recipient slots to an existing entry and extends its targetTimelines; the content ciphertext is left as is.
+    // metadataSeal is the re-issued metadata tag covering the new targets (format 2 entries).
+    async addEntryRecipients(entryId, newSlots, newTargets, metadataSeal = {}, headUpdates = []) {
         try {
             this.ensureInitialized();
-            const entries = await this.db.entries
-                .where('targetTimelines')
-                .anyOf([timeline])
-                .reverse()
-                .limit(limit)
-                .toArray();
-            console.log(`📚 Loaded ${entries.length} entries for timeline: ${timeline}`);
-            return entries;
+            let targetTimelines = [];
+            await this.db.transaction('rw', this.db.entries, this.db.settings, async () => {
+                const entry = await this.db.entries.get(entryId);
+                if (!entry) {
+                    throw new Error(`Entry ${entryId} not found`);
+                }
+                // Private entries get their padded slot set and blinded target list from the metadata seal
+                const encryptionInfo = metadataSeal.encryptionInfo || { ...entry.encryptionInfo, ...newSlots };
+                targetTimelines = metadataSeal.targetTimelines || [...new Set([...(entry.targetTimelines || []), ...newTargets])];
+                await this.applyTimelineHeads(headUpdates);
+                await this.db.entries.update(entryId, {
+                    encryptionInfo,
+                    targetTimelines,
+                    recipientHints: this.crypto.collectRecipientHints(encryptionInfo),
+                    ...metadataSeal,
+                    updatedAt: this.entryRevisionTime(entry)
+                });
+            });
+            console.log(`👥 Entry ${entryId} shared with: ${newTargets.join(', ')}`);
+            return targetTimelines;
         } catch (error) {
-            console.error('Failed to get entries for timeline:', error);
-            return [];
+            console.error('Failed to add entry recipients:', error);
+            throw error;
         }
     }
 
-    // NEW: Get entries within date range
-    async getEntriesByDateRange(startDate, endDate, limit = 100) {
+    // Replaces an entry's ciphertext and slots after a revocation and records it in the entry's metadata.
+    // Fails if the entry changed since it was re-encrypted.
+    async revokeEntryRecipients(entryId, reencrypted, revokedTargets, previousCiphertext, headUpdates = []) {
         try {
             this.ensureInitialized();
-            const start = new Date(startDate).toISOString();
-            const end = new Date(endDate).toISOString();
-            
-            const entries = await this.db.entries
-                .where('timestamp')
-                .between(start, end, true, true)
-                .reverse()
-                .limit(limit)
-                .toArray();
-            
-            console.log(`📚 Loaded ${entries.length} entries between ${startDate} and ${endDate}`);
-            return entries;
+            await this.db.transaction('rw', this.db.entries, this.db.settings, this.db.attachments, async () => {
+                const entry = await this.db.entries.get(entryId);
+                if (!entry) {
+                    throw new Error(`Entry ${entryId} not found`);
+                }
+                if (entry.encryptedContent_base64 !== previousCiphertext) {
+                    throw new Error(`Entry ${entryId} changed while it was being re-encrypted. Please try again.`);
+                }
+                const revokedAt = this.entryRevisionTime(reencrypted);
+                await this.applyTimelineHeads(headUpdates);
+                await this.db.entries.update(entryId, {
+                    encryptedContent_base64: reencrypted.encryptedContent_base64,
+                    data_iv_base64: reencrypted.data_iv_base64,
+                    encryptionInfo: reencrypted.encryptionInfo,
+                    recipientHints: reencrypted.recipientHints,
+                    targetTimelines: reencrypted.targets,
+                    ...this.entryIntegrityFields(reencrypted),
+                    revocations: [...(entry.revocations || []), { targets: reencrypted.revokedTimelines || revokedTargets, revokedAt }],
+                    updatedAt: revokedAt
+                });
+                // Re-encrypted under the new DEK, same IDs
+                if (reencrypted.attachments && reencrypted.attachments.length > 0) {
+                    await this.db.attachments.bulkPut(reencrypted.attachments);
+                }
+            });
+            console.log(`🚫 Entry ${entryId} revoked for: ${revokedTargets.join(', ')}`);
         } catch (error) {
-            console.error('Failed to get entries by date range:', error);
-            return [];
+            console.error('Failed to revoke entry recipients:', error);
+            throw error;
         }
     }
 
-    async deleteEntry(entryId) {
+    // headUpdates (see buildChainRemovalUpdates) record the entry's chain links as removed in the same transaction,
+    // so verifying the timelines shows no gap where the entry was
+    async deleteEntry(entryId, headUpdates = []) {
         try {
             this.ensureInitialized();
-            await this.db.entries.delete(entryId);
+            await this.db.transaction('rw', this.db.entries, this.db.attachments, this.db.settings, async () => {
+                await this.applyTimelineHeads(headUpdates);
+                const entry = await this.db.entries.get(entryId);
+                if (entry && entry.entryUid) {
+                    await this.db.attachments.where('entryUid').equals(entry.entryUid).delete();
+                }
+                await this.db.entries.delete(entryId);
+            });
             console.log(`🗑️ Entry deleted: ID ${entryId}`);
         } catch (error) {
             console.error('Failed to delete entry:', error);
@@ -250,6 +968,53 @@ export class DatabaseManager {
         }
     }
 
+    // Attachments (encrypted media Blobs), loaded one at a time when a view needs them
+    async getAttachment(attachmentId) {
+        this.ensureInitialized();
+        const record = await this.db.attachments.get(attachmentId);
+        return record || null;
+    }
+
+    async getAttachmentsForEntries(entryUids) {
+        this.ensureInitialized();
+        const uids = entryUids.filter(Boolean);
+        return uids.length > 0 ? this.db.attachments.where('entryUid').anyOf(uids).toArray() : [];
+    }
+
+    // Export files are JSON: the ciphertext Blob is written as base64 by createBackupBlob, a slice at a time
+    serializeAttachment(record) {
+        return {
+            ...this.attachmentFields(record),
+            data_base64: record.data
+        };
+    }
+
+    // readBackupFile gives large files' attachment data back as Blobs, small ones' as base64
+    deserializeAttachment(data) {
+        return {
+            ...this.attachmentFields(data),
+            data: data.data_base64 instanceof Blob
+                ? data.data_base64
+                : new Blob([this.crypto.base64ToArrayBuffer(data.data_base64)], { type: 'application/octet-stream' })
+        };
+    }
+
+    // Whole-sealed records have an IV; chunked records their segment layout and nonce prefix
+    attachmentFields(record) {
+        const fields = { id: record.id, entryUid: record.entryUid };
+        if (record.format) {
+            Object.assign(fields, {
+                format: record.format,
+                chunkSize: record.chunkSize,
+                chunkCount: record.chunkCount,
+                noncePrefix_base64: record.noncePrefix_base64
+            });
+        } else {
+            fields.iv_base64 = record.iv_base64;
+        }
+        return fields;
+    }
+
     async searchEntries(query, limit = 20) {
         try {
             this.ensureInitialized();
@@ -295,7 +1060,8 @@ export class DatabaseManager {
         }
     }
 
-    async exportKidTimeline(kidIdKey, kidName) {
+    // timelineTag (CryptoManager.blindTimelineTag of kidIdKey) includes the kid's private entries
+    async exportKidTimeline(kidIdKey, kidName, timelineTag = null) {
         this.ensureInitialized();
         if (!this.crypto) {
             console.error("CryptoManager not available in DatabaseManager for exportKidTimeline.");
@@ -305,7 +1071,8 @@ export class DatabaseManager {
 
         const entriesForKid = await this.db.entries
             .where('targetTimelines')
-            .anyOf([kidIdKey])
+            .anyOf([kidIdKey, timelineTag].filter(Boolean))
+            .distinct()
             .toArray();
         console.log(`Found ${entriesForKid.length} entries for ${kidName}.`);
 
@@ -315,8 +1082,9 @@ export class DatabaseManager {
                 if (entry.encryptionInfo.parent) {
                     filteredEncryptionInfo.parent = entry.encryptionInfo.parent;
                 }
-                if (entry.encryptionInfo[kidIdKey]) {
-                    filteredEncryptionInfo[kidIdKey] = entry.encryptionInfo[kidIdKey];
+                const slotName = this.crypto.isPrivateEntry(entry) ? timelineTag : kidIdKey;
+                if (entry.encryptionInfo[slotName]) {
+                    filteredEncryptionInfo[slotName] = entry.encryptionInfo[slotName];
                 } else {
                     console.warn(`Entry ${entry.id} targeted ${kidIdKey}, but specific encryption info for this key is missing.`);
                 }
@@ -328,16 +1096,29 @@ export class DatabaseManager {
                 data_iv_base64: entry.data_iv_base64,
                 encryptionInfo: filteredEncryptionInfo,
                 targetTimelines: entry.targetTimelines,
+                ...this.entryIntegrityFields(entry),
                 createdAt: entry.createdAt
             };
         });
 
+        // Public keys of the authors who signed these entries, so the receiving device can pin them
+        const authorKeyIds = new Set(processedEntries.map(entry => entry.authorKeyId).filter(Boolean));
+        const authors = (await this.getTrustedAuthors())
+            .filter(author => authorKeyIds.has(author.keyId))
+            .map(({ keyId, name, signingPublicKey_base64 }) => ({ keyId, name, signingPublicKey_base64 }));
+
+        const timelineHead = (await this.getTimelineHeads())[kidIdKey] || null;
+        const attachments = await this.getAttachmentsForEntries(entriesForKid.map(entry => entry.entryUid));
+
         const exportData = {
             version: 2,
             exportedAt: new Date().toISOString(),
             timelineOwnerName: kidName,
             timelineKidIdKey: kidIdKey,
-            entries: processedEntries
+            authors: authors,
+            timelineHead: timelineHead,
+            entries: processedEntries,
+            attachments: attachments.map(record => this.serializeAttachment(record))
         };
         console.log(`📦 Export data prepared for ${kidName} with ${processedEntries.length} entries.`);
         return exportData;
@@ -357,11 +1138,24 @@ export class DatabaseManager {
         let importedCount = 0;
         let failedCount = 0;
         const importedEntryIds = [];
+        const timelineKey = dataToImport.timelineKidIdKey;
+        const trustedAuthors = await this.getTrustedAuthors();
+        const chainLinks = [];
+        let unlinkedCount = 0;
+        // Attachments come along with the entries they belong to
+        const attachmentsByEntry = new Map();
+        for (const attachment of dataToImport.attachments || []) {
+            if (!attachmentsByEntry.has(attachment.entryUid)) attachmentsByEntry.set(attachment.entryUid, []);
+            attachmentsByEntry.get(attachment.entryUid).push(attachment);
+        }
         console.log(`📥 Starting import of ${dataToImport.entries.length} entries for ${dataToImport.timelineOwnerName || 'timeline data'}.`);
 
         for (const entryFromFile of dataToImport.entries) {
             try {
-                const decryptedResult = await this.crypto.decryptEntry(entryFromFile, providedPassword);
+                const decryptedResult = await this.crypto.decryptEntry(entryFromFile, providedPassword, { authors: trustedAuthors });
+                if (decryptedResult && decryptedResult.integrity === 'mismatch') {
+                    console.warn(`Entry (ID from file: ${entryFromFile.id || 'N/A'}) has altered metadata; it will be flagged in the timeline.`);
+                }
                 if (decryptedResult && decryptedResult.content) {
                     const entryToStore = {
                         timestamp: entryFromFile.timestamp || new Date().toISOString(),
@@ -369,11 +1163,26 @@ export class DatabaseManager {
                         encryptedContent_base64: entryFromFile.encryptedContent_base64,
                         data_iv_base64: entryFromFile.data_iv_base64,
                         encryptionInfo: entryFromFile.encryptionInfo,
+                        recipientHints: this.crypto.collectRecipientHints(entryFromFile.encryptionInfo),
+                        ...this.entryIntegrityFields(entryFromFile),
                         createdAt: entryFromFile.createdAt || new Date().toISOString()
                     };
-                    const newEntryId = await this.db.entries.add(entryToStore);
+                    const entryAttachments = (entryFromFile.entryUid && attachmentsByEntry.get(entryFromFile.entryUid)) || [];
+                    let newEntryId;
+                    await this.db.transaction('rw', this.db.entries, this.db.attachments, async () => {
+                        newEntryId = await this.db.entries.add(entryToStore);
+                        if (entryAttachments.length > 0) {
+                            await this.db.attachments.bulkPut(entryAttachments.map(attachment => this.deserializeAttachment(attachment)));
+                        }
+                    });
                     importedEntryIds.push(newEntryId);
                     importedCount++;
+                    const link = timelineKey ? this.crypto.timelineLinkFromDecrypted(entryFromFile, decryptedResult, timelineKey) : null;
+                    if (link) {
+                        chainLinks.push(link);
+                    } else {
+                        unlinkedCount++;
+                    }
                 } else {
                     console.warn(`Failed to decrypt entry (ID from file: ${entryFromFile.id || 'N/A'}) with the provided password. Skipping.`);
                     failedCount++;
@@ -384,16 +1193,27 @@ export class DatabaseManager {
             }
         }
         console.log(`📥 Import finished. Successfully imported ${importedCount} entries. Failed to import/decrypt ${failedCount} entries.`);
-        return { importedCount, failedCount, importedEntryIds };
+
+        // Check the file against its signed head before keeping that head on this device
+        let chainReport = null;
+        if (timelineKey && (chainLinks.length > 0 || dataToImport.timelineHead)) {
+            const head = dataToImport.timelineHead && dataToImport.timelineHead.timeline === timelineKey ? dataToImport.timelineHead : null;
+            chainReport = { ...(await this.crypto.verifyTimelineChain(timelineKey, chainLinks, head, trustedAuthors)), unlinked: unlinkedCount };
+            if (head && chainReport.head === 'verified') {
+                await this.saveImportedTimelineHead(head);
+            }
+        }
+        return { importedCount, failedCount, importedEntryIds, chainReport };
     }
 
     async exportData() {
         try {
             this.ensureInitialized();
-            const [settings, kids, entries] = await Promise.all([
+            const [settings, kids, entries, attachments] = await Promise.all([
                 this.db.settings.toArray(),
                 this.db.kids.where('isActive').equals(1).toArray(),
-                this.db.entries.toArray()
+                this.db.entries.toArray(),
+                this.db.attachments.toArray()
             ]);
             const exportData = {
                 version: 1,
@@ -401,10 +1221,13 @@ export class DatabaseManager {
                 settings,
                 kids: kids.map(k => ({
                     id: k.id, name: k.name, isActive: k.isActive, createdAt: k.createdAt, updatedAt: k.updatedAt,
-                    encryptedPassword_base64: k.encryptedPassword_base64,
-                    salt_base64: k.salt_base64, iv_base64: k.iv_base64
+                    passwordFormat: k.passwordFormat, encryptedPassword_base64: k.encryptedPassword_base64,
+                    salt_base64: k.salt_base64, iv_base64: k.iv_base64, ephemeralPublicKey_base64: k.ephemeralPublicKey_base64,
+                    kdf: k.kdf, kdfParams: k.kdfParams, kdfIterations: k.kdfIterations,
+                    keyParams: k.keyParams
                 })),
-                entries
+                entries,
+                attachments: attachments.map(record => this.serializeAttachment(record))
             };
             console.log(`📦 FULL EXPORT: Exported ${entries.length} entries and ${kids.length} kids`);
             return exportData;
@@ -414,6 +1237,8 @@ export class DatabaseManager {
         }
     }
 
+    // Trusted authors in the file are not trusted here: they come back as authors, for the parent to confirm
+    // one by one (see pinTimelineAuthors in main.js). Timeline heads go through importTimelineHeads.
     async importData(data) {
         try {
             this.ensureInitialized();
@@ -423,10 +1248,19 @@ export class DatabaseManager {
             let importedItemsCount = 0;
             let entriesImported = 0;
             let kidsImported = 0;
+            let authors = [];
 
             if (data.settings) {
-                for (const setting of data.settings) { await this.db.settings.put(setting); }
-                importedItemsCount += (data.settings.length || 0);
+                for (const setting of data.settings) {
+                    if (setting.id === 'trustedAuthors') {
+                        authors = Array.isArray(setting.data) ? setting.data : [];
+                    } else if (setting.id === 'timelineHeads') {
+                        importedItemsCount += await this.importTimelineHeads(setting.data);
+                    } else {
+                        await this.db.settings.put(setting);
+                        importedItemsCount++;
+                    }
+                }
             }
             if (data.kids) {
                 for (const kid of data.kids) { await this.db.kids.put(kid); }
@@ -434,12 +1268,20 @@ export class DatabaseManager {
                 importedItemsCount += kidsImported;
             }
             if (data.entries) {
-                for (const entry of data.entries) { await this.db.entries.put(entry); }
+                for (const entry of data.entries) {
+                    // Hints are rebuilt from the slots rather than trusted from the file
+                    const recipientHints = this.crypto ? this.crypto.collectRecipientHints(entry.encryptionInfo) : (entry.recipientHints || []);
+                    await this.db.entries.put({ ...entry, recipientHints });
+                }
                 entriesImported = data.entries.length;
                 importedItemsCount += entriesImported;
             }
+            if (data.attachments) {
+                await this.db.attachments.bulkPut(data.attachments.map(attachment => this.deserializeAttachment(attachment)));
+                importedItemsCount += data.attachments.length;
+            }
             console.log(`📥 FULL IMPORT: Imported ${importedItemsCount} total items (${kidsImported} kids, ${entriesImported} entries).`);
-            return { importedItemsCount, kidsImported, entriesImported };
+            return { importedItemsCount, kidsImported, entriesImported, authors };
         } catch (error) {
             console.error('Failed to import full data:', error);
             throw error;
@@ -452,7 +1294,10 @@ export class DatabaseManager {
             await Promise.all([
                 this.db.settings.clear(),
                 this.db.kids.clear(),
-                this.db.entries.clear()
+                this.db.entries.clear(),
+                this.db.rekeyJournal.clear(),
+                this.db.quickUnlock.clear(),
+                this.db.attachments.clear()
             ]);
             console.log('🧹 All data cleared from database');
         } catch (error) {
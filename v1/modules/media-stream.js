@@ -0,0 +1,240 @@
+/**
+ * Media Stream
+ * Plays a chunked encrypted attachment through MediaSource, decrypting segments only as the player needs them,
+ * so a long recording is never decrypted or held in memory whole. MediaSource only parses some containers
+ * progressively (WebM, fragmented MP4); canStream() tells the caller when to fall back to a decrypted Blob.
+ * isTypeSupported() also accepts plain MP4, so an MP4 is only streamed once its first segment shows fragments.
+ */
+
+const BUFFER_AHEAD_SECONDS = 60; // Stop decrypting once this much is buffered past the playhead
+const BUFFER_BEHIND_SECONDS = 30; // Kept behind the playhead when the browser's buffer quota is reached
+const WEBM_TYPES = ['audio/webm', 'video/webm'];
+const MP4_TYPES = ['audio/mp4', 'video/mp4'];
+
+function containerOf(type) {
+    return (type || '').split(';')[0].trim().toLowerCase();
+}
+
+export function canStream(type) {
+    if (typeof MediaSource === 'undefined' || !type || !MediaSource.isTypeSupported(type)) return false;
+    return WEBM_TYPES.includes(containerOf(type)) || MP4_TYPES.includes(containerOf(type));
+}
+
+// MP4 may only be streamed when isFragmentedMp4() accepts its first segment
+export function needsFragmentCheck(type) {
+    return MP4_TYPES.includes(containerOf(type));
+}
+
+// A fragmented MP4 announces its fragments with an 'mvex' box inside 'moov', ahead of any media data
+export function isFragmentedMp4(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const findBox = (start, end, name) => {
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = view.getUint32(offset);
+            let header = 8;
+            if (size === 1) {
+                if (offset + 16 > end) return null;
+                size = Number(view.getBigUint64(offset + 8));
+                header = 16;
+            } else if (size === 0) {
+                size = end - offset; // Runs to the end of the file
+            }
+            if (size < header) return null;
+            if (String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === name) {
+                return { start: offset + header, end: Math.min(offset + size, end) };
+            }
+            offset += size;
+        }
+        return null;
+    };
+    const moov = findBox(0, bytes.length, 'moov');
+    return !!moov && !!findBox(moov.start, moov.end, 'mvex');
+}
+
+export class EncryptedMediaStream {
+    // readChunk(index) resolves to the decrypted segment as an ArrayBuffer.
+    // onError(error), when given, takes over after the stream is closed (e.g. to play a decrypted Blob instead).
+    constructor({ type, chunkCount, readChunk, onError = null }) {
+        this.type = type;
+        this.chunkCount = chunkCount;
+        this.readChunk = readChunk;
+        this.onError = onError;
+        this.mediaSource = null;
+        this.sourceBuffer = null;
+        this.media = null;
+        this.url = null;
+        this.nextChunk = 0;
+        this.generation = 0; // Bumped when a seek restarts the stream
+        this.resetParser = false;
+        this.pumping = false;
+        this.closed = false;
+        this.wake = null; // Resolves a pump waiting for the playhead
+        this.handlePlayback = () => this.playbackMoved();
+    }
+
+    // Returns the object URL to set as the element's source (revoked by close())
+    attach(media) {
+        this.media = media;
+        this.mediaSource = new MediaSource();
+        this.url = URL.createObjectURL(this.mediaSource);
+        this.mediaSource.addEventListener('sourceopen', () => this.start(), { once: true });
+        media.addEventListener('timeupdate', this.handlePlayback);
+        media.addEventListener('seeking', this.handlePlayback);
+        return this.url;
+    }
+
+    start() {
+        try {
+            this.sourceBuffer = this.mediaSource.addSourceBuffer(this.type);
+        } catch (error) {
+            this.fail(error);
+            return;
+        }
+        this.run();
+    }
+
+    async run() {
+        if (this.pumping) return;
+        this.pumping = true;
+        try {
+            await this.pump();
+        } catch (error) {
+            if (this.closed) return;
+            this.fail(error);
+        } finally {
+            this.pumping = false;
+        }
+    }
+
+    fail(error) {
+        console.error('❌ Media stream failed:', error);
+        if (this.onError) {
+            this.close();
+            this.onError(error);
+        } else if (this.mediaSource.readyState === 'open') {
+            this.mediaSource.endOfStream('decode');
+        }
+    }
+
+    async pump() {
+        while (!this.closed && this.nextChunk < this.chunkCount) {
+            if (this.bufferedAhead() > BUFFER_AHEAD_SECONDS) {
+                await this.waitForPlayback();
+                continue;
+            }
+            const generation = this.generation;
+            const index = this.nextChunk;
+            const data = await this.readChunk(index);
+            if (this.closed) return;
+            if (generation !== this.generation) continue; // A seek restarted the stream meanwhile
+            if (this.resetParser) {
+                this.sourceBuffer.abort(); // Segments are byte ranges: the parser must not carry a half-read one over
+                this.resetParser = false;
+            }
+            await this.append(data, generation);
+            if (generation === this.generation) {
+                this.nextChunk = index + 1;
+            }
+        }
+        if (!this.closed && this.mediaSource.readyState === 'open') {
+            this.mediaSource.endOfStream();
+        }
+    }
+
+    async append(data, generation) {
+        while (!this.closed && generation === this.generation) {
+            try {
+                await this.whenUpdated(() => this.sourceBuffer.appendBuffer(data));
+                return;
+            } catch (error) {
+                if (error.name !== 'QuotaExceededError') throw error;
+                // The browser's buffer is full: drop what was played, or wait until there is something to drop
+                const evictBefore = this.media.currentTime - BUFFER_BEHIND_SECONDS;
+                if (this.sourceBuffer.buffered.length > 0 && this.sourceBuffer.buffered.start(0) < evictBefore) {
+                    await this.whenUpdated(() => this.sourceBuffer.remove(0, evictBefore));
+                } else {
+                    await this.waitForPlayback();
+                }
+            }
+        }
+    }
+
+    whenUpdated(operation) {
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                this.sourceBuffer.removeEventListener('updateend', done);
+                this.sourceBuffer.removeEventListener('error', failed);
+                resolve();
+            };
+            const failed = () => {
+                this.sourceBuffer.removeEventListener('updateend', done);
+                this.sourceBuffer.removeEventListener('error', failed);
+                reject(new Error('Media segment could not be buffered'));
+            };
+            this.sourceBuffer.addEventListener('updateend', done);
+            this.sourceBuffer.addEventListener('error', failed);
+            try {
+                operation();
+            } catch (error) {
+                this.sourceBuffer.removeEventListener('updateend', done);
+                this.sourceBuffer.removeEventListener('error', failed);
+                reject(error);
+            }
+        });
+    }
+
+    bufferedAhead() {
+        const buffered = this.sourceBuffer.buffered;
+        const time = this.media.currentTime;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= time && time <= buffered.end(i)) {
+                return buffered.end(i) - time;
+            }
+        }
+        return 0;
+    }
+
+    waitForPlayback() {
+        return new Promise(resolve => {
+            this.wake = resolve;
+        });
+    }
+
+    playbackMoved() {
+        // Segments hold no time index, so seeking back into evicted media re-reads the stream from its start
+        if (this.media.seeking && this.sourceBuffer && this.bufferedAhead() === 0 && this.isEvicted(this.media.currentTime)) {
+            console.log('🎞️ Seeked before the buffered media, restarting the stream');
+            this.generation++;
+            this.nextChunk = 0;
+            this.resetParser = true;
+            this.run(); // The stream may have ended already
+        }
+        if (this.wake) {
+            const wake = this.wake;
+            this.wake = null;
+            wake();
+        }
+    }
+
+    isEvicted(time) {
+        const buffered = this.sourceBuffer.buffered;
+        return buffered.length > 0 && time < buffered.start(0);
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.media) {
+            this.media.removeEventListener('timeupdate', this.handlePlayback);
+            this.media.removeEventListener('seeking', this.handlePlayback);
+        }
+        if (this.wake) {
+            this.wake();
+            this.wake = null;
+        }
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+        }
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Database Migrations
+ * Ordered schema versions for FamilyTimelineDB. Each version lists the stores it adds or changes and,
+ * optionally, an upgrade function that transforms existing rows. Dexie runs the upgrades of every version
+ * newer than the installed one, in order, inside a single versionchange transaction: if one throws,
+ * IndexedDB rolls the whole upgrade back and the database stays at its old version.
+ *
+ * To change the schema, append a version here; never edit or remove a version that has shipped.
+ */
+
+export const DB_NAME = 'FamilyTimelineDB';
+
+/**
+ * upgrade(tx, context): tx is Dexie's upgrade transaction (tx.table(name)), context is { crypto }.
+ * Upgrades must only use what is in the rows: no passwords or session keys are available here.
+ */
+export const MIGRATIONS = [
+    {
+        version: 2.1,
+        description: 'Settings, kids and entries',
+        stores: {
+            settings: 'id',
+            kids: '++id, name, isActive',
+            entries: '++id, timestamp, *targetTimelines'
+        }
+    },
+    {
+        version: 2.2,
+        description: 'Journal for resumable re-keying (master password changes)',
+        stores: {
+            rekeyJournal: 'id'
+        }
+    },
+    {
+        version: 2.3,
+        description: 'Recipient hints index, so a password finds its entries without trial decryption',
+        stores: {
+            entries: '++id, timestamp, *targetTimelines, *recipientHints'
+        }
+    },
+    {
+        version: 2.4,
+        description: 'Quick-unlock PINs; device-bound (non-extractable keys), never exported',
+        stores: {
+            quickUnlock: 'id'
+        }
+    },
+    {
+        version: 2.5,
+        description: 'Attachments: encrypted media Blobs, listed by ID in the entry content',
+        stores: {
+            attachments: 'id, entryUid'
+        }
+    },
+    {
+        version: 2.6,
+        description: 'Timestamp + ID index, so timelines page through entries with a cursor',
+        stores: {
+            entries: '++id, timestamp, *targetTimelines, *recipientHints, [timestamp+id]'
+        }
+    },
+    {
+        version: 2.7,
+        description: 'Recipient hints backfilled on entries written before the hints index',
+        stores: {},
+        // Hints come from the rows' own slots; legacy slots have no hints and stay found by trial
+        upgrade: async (tx, { crypto }) => {
+            await tx.table('entries').toCollection().modify(entry => {
+                if (!Array.isArray(entry.recipientHints)) {
+                    entry.recipientHints = crypto.collectRecipientHints(entry.encryptionInfo);
+                }
+            });
+        }
+    },
+    {
+        version: 2.8,
+        description: 'Entries with legacy (unhinted) slots marked in the recipient hints index',
+        stores: {},
+        // collectRecipientHints adds the marker, so such entries are found by index instead of a table scan
+        upgrade: async (tx, { crypto }) => {
+            await tx.table('entries').toCollection().modify(entry => {
+                if (crypto.hasUnhintedSlots(entry)) {
+                    entry.recipientHints = crypto.collectRecipientHints(entry.encryptionInfo);
+                }
+            });
+        }
+    }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class MigrationError extends Error {
+    constructor(message, { fromVersion, toVersion, snapshotId = null, cause = null } = {}) {
+        super(message);
+        this.name = 'MigrationError';
+        this.fromVersion = fromVersion;
+        this.toVersion = toVersion;
+        this.snapshotId = snapshotId; // Pre-migration snapshot kept in the snapshot database, if one was taken
+        this.cause = cause;
+    }
+}
+
+// Declares every version on a Dexie instance; context is passed to the upgrade functions
+export function applyMigrations(db, context) {
+    for (const migration of MIGRATIONS) {
+        const version = db.version(migration.version).stores(migration.stores);
+        if (migration.upgrade) {
+            version.upgrade(async (tx) => {
+                console.log(`🗃️ Migrating database to ${migration.version}: ${migration.description}`);
+                await migration.upgrade(tx, context);
+            });
+        }
+    }
+}
@@ -9,20 +9,23 @@ export class AppState {
             mode: 'kid', // 'kid' or 'parent'
             settings: {
                 parentName: 'Parent',
-                generalTimelineName: 'Family Timeline'
+                generalTimelineName: 'Family Timeline',
+                kdfAlgorithm: 'PBKDF2-SHA256', // KDF used for newly written keys
+                autoLockMinutes: 5, // Idle minutes before the parent session locks (0: never)
+                lockOnHide: true, // Lock when the page is hidden (tab switch, app switch, screen off)
+                lockOnSleep: true // Lock when the device wakes from sleep
             },
             kids: [],
+            trustedAuthors: [], // Public author records whose entry signatures are trusted
             parentSession: {
                 active: false,
-                password: null,
-                kidPasswords: {} // { kidId: password }
+                keys: null, // Parent session keys (non-extractable CryptoKeys from CryptoManager.unlockPrincipal)
+                keyParams: null // Parent principal key params (public: key ID, salt, KDF)
             }
         };
         
         this.listeners = new Map();
         this.initialized = false;
-        // ADDED LOG
-        console.log('AppState: CONSTRUCTOR finished. Initial kidPasswords:', JSON.stringify(this.state.parentSession.kidPasswords));
     }
 
     async init() {
@@ -76,6 +79,10 @@ export class AppState {
         return this.state.kids;
     }
 
+    get trustedAuthors() {
+        return this.state.trustedAuthors;
+    }
+
     get parentSession() {
         return this.state.parentSession;
     }
@@ -101,6 +108,12 @@ export class AppState {
         this.emit('kidsChanged', this.state.kids);
     }
 
+    setTrustedAuthors(authors) {
+        this.state.trustedAuthors = Array.isArray(authors) ? authors : [];
+        console.log(`✍️ Trusted authors set in state: ${this.state.trustedAuthors.length}`);
+        this.emit('trustedAuthorsChanged', this.state.trustedAuthors);
+    }
+
     addKid(kid) {
         // Basic validation for kid object might be good here
         this.state.kids.push(kid);
@@ -112,11 +125,6 @@ export class AppState {
         const initialLength = this.state.kids.length;
         this.state.kids = this.state.kids.filter(k => k.id !== kidId);
         
-        if (this.state.parentSession.kidPasswords && this.state.parentSession.kidPasswords[kidId]) {
-            delete this.state.parentSession.kidPasswords[kidId];
-            console.log(`🔑 Removed password for kid ${kidId} from session`);
-        }
-        
         if (this.state.kids.length < initialLength) {
             console.log(`🗑️ Kid removed from state: ID ${kidId}`);
             this.emit('kidsChanged', this.state.kids);
@@ -137,49 +145,50 @@ export class AppState {
     }
 
     // Parent Session Management
-    async startParentSession(password) {
-        // ADDED LOG
-        console.log('AppState: startParentSession CALLED. Current kidPasswords BEFORE reset:', JSON.stringify(this.state.parentSession.kidPasswords));
-        
-        // Validate password (example - your main.js handles empty check)
-        // this.validateParentPassword(password); // Assuming you might add validation - kept from your file
-
+    // The session only holds the parent's session keys; the master password is dropped by main.js once they are derived.
+    async startParentSession(keys, keyParams) {
+        // The password is checked against the stored master verifier in main.js (verifyMasterPassword)
+        // before the keys are derived, so they are trusted here.
         this.state.parentSession.active = true;
-        this.state.parentSession.password = password;
-        this.state.parentSession.kidPasswords = {}; // Reset kidPasswords
-        // ADDED LOG
-        console.log('AppState: startParentSession - kidPasswords RESET to {}. Parent session active:', this.state.parentSession.active);
+        this.state.parentSession.keys = keys;
+        this.state.parentSession.keyParams = keyParams;
+        console.log('AppState: parent session started. Key ID:', keyParams ? keyParams.keyId : null);
         
         this.emit('parentSessionChanged', { ...this.state.parentSession }); // Emit a copy
         return true; // Indicate success
     }
 
     endParentSession() {
-        // ADDED LOG
-        console.log('AppState: endParentSession CALLED. Current kidPasswords BEFORE reset:', JSON.stringify(this.state.parentSession.kidPasswords));
-        
         this.state.parentSession.active = false;
-        this.state.parentSession.password = null;
-        this.state.parentSession.kidPasswords = {}; // Clear kidPasswords
-        // ADDED LOG
-        console.log('AppState: endParentSession - kidPasswords RESET to {}. Parent session active:', this.state.parentSession.active);
+        this.state.parentSession.keys = null;
+        this.state.parentSession.keyParams = null;
+        console.log('AppState: parent session ended. Session keys dropped.');
         
         this.emit('parentSessionChanged', { ...this.state.parentSession }); // Emit a copy
     }
 
-    // This method is called by main.js when a new kid is added OR password changed
-    // It stores the CLEARTEXT password in the current session.
-    setKidPasswordInSession(kidId, password) {
-        // ADDED LOG
-        console.log('AppState: setKidPasswordInSession CALLED for kidId:', kidId);
-        if (!this.state.parentSession.kidPasswords) {
-            // ADDED LOG
-            console.warn('AppState: setKidPasswordInSession - this.state.parentSession.kidPasswords was null/undefined, re-initializing to {}.');
-            this.state.parentSession.kidPasswords = {};
+    // Called after a master password change has been committed to the database
+    setParentSessionKeys(keys, keyParams) {
+        if (!this.state.parentSession.active) {
+            console.warn('AppState: setParentSessionKeys called without an active parent session.');
+            return;
+        }
+        this.state.parentSession.keys = keys;
+        this.state.parentSession.keyParams = keyParams;
+        console.log('AppState: parent session keys replaced after master password change.');
+    }
+
+    setParentKeyParams(keyParams) {
+        this.state.parentSession.keyParams = keyParams;
+        console.log('AppState: parent key params set. Key ID:', keyParams ? keyParams.keyId : null);
+    }
+
+    updateKidKeyParams(kidId, keyParams) {
+        const kid = this.state.kids.find(k => k.id === kidId);
+        if (kid) {
+            kid.keyParams = keyParams;
+            console.log(`🔑 Kid key params updated in state for ID ${kidId}`);
         }
-        this.state.parentSession.kidPasswords[kidId] = password;
-        // ADDED LOG
-        console.log('AppState: setKidPasswordInSession - kidPasswords updated. All session kid IDs:', Object.keys(this.state.parentSession.kidPasswords));
     }
 
     // --- METHOD ADDED TO FIX THE ERROR ---
@@ -188,7 +197,7 @@ export class AppState {
             return false;
         }
         // If parent is logged in, allow creation attempt.
-        // Specific checks for kid passwords for targets happen in main.js handleCreateEntry.
+        // Specific checks for kid public keys for targets happen in main.js handleCreateEntry.
         return true;
     }
     // --- END METHOD ADDED ---
@@ -228,6 +237,13 @@ export class AppState {
         return password;
     }
 
+    validatePin(pin) {
+        if (typeof pin !== 'string' || !/^\d{4,12}$/.test(pin)) {
+            throw new Error('PIN must be 4 to 12 digits');
+        }
+        return pin;
+    }
+
     // Export/Import State (retained from your uploaded:state.js)
     exportSettings() {
         return {
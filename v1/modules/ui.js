@@ -3,11 +3,17 @@
  * Handles all DOM manipulation with human-friendly displays
  */
 
-import { showStatus } from '../utils/helpers.js';
+import { showStatus, escapeHtml, validateAttachmentFile, debounce, CONSTANTS } from '../utils/helpers.js';
+import { generateQrCode, qrCodeToSvg } from '../utils/qrcode.js';
+import { formatRecoveryCode } from '../utils/recovery-codes.js';
+
+const MAX_PREVIEW_THUMBNAILS = 6; // Images decrypted for an entry's preview strip in a timeline list
 
 export class UIManager {
     constructor() {
         this.elements = {};
+        this.pendingAttachments = []; // [{ kind, file, previewUrl }] picked for the entry being written, in saving order
+        this.loadMoreObservers = new Map(); // List container -> IntersectionObserver watching its "load more" row
         this.initialized = false;
     }
 
@@ -40,6 +46,10 @@ export class UIManager {
             // Forms
             parentNameInput: '#parentNameInput',
             timelineNameInput: '#timelineNameInput',
+            kdfSelect: '#kdfSelect',
+            autoLockMinutesInput: '#autoLockMinutesInput',
+            lockOnHideInput: '#lockOnHideInput',
+            lockOnSleepInput: '#lockOnSleepInput',
             newKidName: '#newKidName',
             
             // Content sections
@@ -56,9 +66,11 @@ export class UIManager {
             
             // Form elements
             entryText: '#entryText',
-            imageInput: '#imageInput',
-            audioInput: '#audioInput',
+            attachmentInput: '#attachmentInput',
+            attachmentList: '#attachmentList',
             viewerPassword: '#viewerPassword',
+            pinLoginBtn: '#pinLoginBtn',
+            viewerPinUnlockBtn: '#viewerPinUnlockBtn',
             createEntryBtn: '#createEntryBtn',
             entryDateTime: '#entryDateTime'
         };
@@ -104,16 +116,24 @@ export class UIManager {
     }
 
     setupUIEventListeners() {
-        // File input change handlers
-        if (this.elements.imageInput) {
-            this.elements.imageInput.addEventListener('change', (e) => {
-                this.handleFileSelection(e, 'image');
+        // Attachment picker (multi-select); picked files are listed for reordering and removal
+        if (this.elements.attachmentInput) {
+            this.elements.attachmentInput.addEventListener('change', (e) => {
+                this.addPendingAttachments(Array.from(e.target.files));
+                e.target.value = ''; // The same file can be picked again after being removed
             });
         }
 
-        if (this.elements.audioInput) {
-            this.elements.audioInput.addEventListener('change', (e) => {
-                this.handleFileSelection(e, 'audio');
+        if (this.elements.attachmentList) {
+            this.elements.attachmentList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                const index = parseInt(button.dataset.index);
+                if (button.dataset.action === 'remove') {
+                    this.removePendingAttachment(index);
+                } else {
+                    this.movePendingAttachment(index, button.dataset.action === 'up' ? -1 : 1);
+                }
             });
         }
 
@@ -179,6 +199,29 @@ export class UIManager {
         }
     }
 
+    // Shown instead of the app when the database could not be upgraded (runs before init, so no cached elements)
+    showMigrationError(error) {
+        ['createSection', 'viewSection', 'adminSection'].forEach(id => document.getElementById(id)?.classList.add('hidden'));
+        const details = document.getElementById('migrationErrorDetails');
+        if (details) {
+            details.textContent = error.snapshotId
+                ? `${error.message}. A backup of your data (without media) from before the upgrade is kept on this device.`
+                : `${error.message}. No backup could be taken before this upgrade.`;
+        }
+        document.getElementById('downloadMigrationSnapshotBtn')?.classList.toggle('hidden', !error.snapshotId);
+        document.getElementById('migrationError')?.classList.remove('hidden');
+    }
+
+    // ids: principals with a quick-unlock PIN on this device ('parent', 'kid<id>')
+    updateQuickUnlockDisplay(ids) {
+        if (this.elements.pinLoginBtn) {
+            this.elements.pinLoginBtn.classList.toggle('hidden', !ids.includes('parent'));
+        }
+        if (this.elements.viewerPinUnlockBtn) {
+            this.elements.viewerPinUnlockBtn.classList.toggle('hidden', !ids.some(id => id.startsWith('kid')));
+        }
+    }
+
     updateSectionsVisibility(state) {
         const isParentMode = state.mode === 'parent';
         const isLoggedIn = state.parentSession.active;
@@ -241,6 +284,28 @@ export class UIManager {
         if (this.elements.timelineNameInput && settings.generalTimelineName !== undefined) {
             this.elements.timelineNameInput.value = settings.generalTimelineName;
         }
+
+        if (this.elements.kdfSelect && window.familyApp.crypto) {
+            if (this.elements.kdfSelect.options.length === 0) {
+                window.familyApp.crypto.getAvailableKdfs().forEach(({ name, label }) => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = label;
+                    this.elements.kdfSelect.appendChild(option);
+                });
+            }
+            this.elements.kdfSelect.value = settings.kdfAlgorithm || window.familyApp.crypto.defaultKdf;
+        }
+
+        if (this.elements.autoLockMinutesInput) {
+            this.elements.autoLockMinutesInput.value = settings.autoLockMinutes !== undefined ? settings.autoLockMinutes : 0;
+        }
+        if (this.elements.lockOnHideInput) {
+            this.elements.lockOnHideInput.checked = !!settings.lockOnHide;
+        }
+        if (this.elements.lockOnSleepInput) {
+            this.elements.lockOnSleepInput.checked = !!settings.lockOnSleep;
+        }
         
         document.querySelectorAll('.parent-name-display').forEach(el => el.textContent = settings.parentName || 'Parent');
         document.querySelectorAll('.general-timeline-name-display').forEach(el => el.textContent = settings.generalTimelineName || 'Family Timeline');
@@ -257,7 +322,7 @@ export class UIManager {
         const kids = state.kids;
         const parentSessionActive = state.parentSession.active;
 
-        console.log('🎨 Updating kids display. Parent session active:', parentSessionActive, 'Session passwords for kid IDs:', Object.keys(state.parentSession.kidPasswords || {}));
+        console.log('🎨 Updating kids display. Parent session active:', parentSessionActive);
 
         this.elements.kidsList.innerHTML = '';
 
@@ -304,7 +369,6 @@ export class UIManager {
         const state = window.familyApp.state;
         const kids = state.kids;
         const settings = state.settings;
-        const sessionKidPasswords = state.parentSession.kidPasswords || {};
 
         this.elements.targetSelection.innerHTML = '';
         
@@ -316,13 +380,13 @@ export class UIManager {
         // Add kid timeline options - HUMANIZED: Show kid names
         kids.forEach(kid => {
             if (kid.isActive) {
-                const kidPasswordInSession = !!sessionKidPasswords[kid.id];
-                const isDisabled = !kidPasswordInSession;
+                const hasPublicKey = !!(kid.keyParams && kid.keyParams.publicKey_base64);
+                const isDisabled = !hasPublicKey;
                 const kidIdKey = `kid${kid.id}`;
                 
                 // HUMANIZED: Use kid's actual name instead of "kid1", "kid2"
                 const displayName = `${kid.name}'s Timeline${isDisabled ? ' (🔒)' : ''}`;
-                const title = isDisabled ? `Password not currently loaded for ${kid.name}. Parent should re-login or update this kid's password.` : "";
+                const title = isDisabled ? `No key for ${kid.name} yet. Parent should re-login or update this kid's password.` : "";
                 
                 const kidItem = this.createCheckboxItem(kidIdKey, displayName, isDisabled, title);
                 this.elements.targetSelection.appendChild(kidItem);
@@ -332,15 +396,15 @@ export class UIManager {
         this.updateCreateButtonState();
     }
 
-    createCheckboxItem(value, labelText, isDisabled = false, title = '') {
+    createCheckboxItem(value, labelText, isDisabled = false, title = '', name = 'target') {
         const item = document.createElement('div');
         item.className = 'checkbox-item';
 
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
-        checkbox.name = 'target';
+        checkbox.name = name;
         checkbox.value = value;
-        checkbox.id = `target-${value}`;
+        checkbox.id = `${name}-${value}`;
         if (isDisabled) {
             checkbox.disabled = true;
         }
@@ -349,7 +413,7 @@ export class UIManager {
         }
 
         const labelEl = document.createElement('label');
-        labelEl.setAttribute('for', `target-${value}`);
+        labelEl.setAttribute('for', `${name}-${value}`);
         labelEl.textContent = labelText;
         if(isDisabled) {
             labelEl.style.opacity = "0.6";
@@ -394,9 +458,7 @@ export class UIManager {
 
     hasEntryContent() {
         const hasText = this.elements.entryText && this.elements.entryText.value.trim().length > 0;
-        const hasImage = this.elements.imageInput && this.elements.imageInput.files && this.elements.imageInput.files.length > 0;
-        const hasAudio = this.elements.audioInput && this.elements.audioInput.files && this.elements.audioInput.files.length > 0;
-        return hasText || hasImage || hasAudio;
+        return hasText || this.pendingAttachments.length > 0;
     }
 
     hasSelectedTargets() {
@@ -405,11 +467,16 @@ export class UIManager {
         return checkboxes.length > 0;
     }
 
-    displayTimelineEntries(entries) {
+    // options.loadAttachment(entry, ref) resolves to a URL for the attachment (thumbnails load when scrolled into view).
+    // options.append adds a page below the entries already shown; options.loadMore() loads the next page, if there is one.
+    displayTimelineEntries(entries, options = {}) {
         if (!this.elements.timelineEntries) return;
-        this.elements.timelineEntries.innerHTML = '';
+        this.setLoadMore(this.elements.timelineEntries, null);
+        if (!options.append) {
+            this.elements.timelineEntries.innerHTML = '';
+        }
 
-        if (!entries || entries.length === 0) {
+        if ((!entries || entries.length === 0) && !options.append) {
             const placeholder = document.createElement('p');
             placeholder.className = 'placeholder-text';
             placeholder.textContent = 'No entries found with this password, or timeline is empty.';
@@ -418,35 +485,38 @@ export class UIManager {
         }
 
         entries.forEach(entry => {
-            if (entry.decryptedContent && entry.decryptedContent.content) {
+            if (entry.decryptedContent && (entry.decryptedContent.content || entry.decryptedContent.integrity === 'mismatch')) {
                 const entryElement = document.createElement('timeline-entry');
                 entryElement.entryData = entry; 
                 entryElement.setAttribute('entry-id', entry.id);
                 entryElement.setAttribute('timestamp', entry.timestamp);
                 entryElement.setAttribute('preview-text', this.getEntryPreview(entry.decryptedContent));
+                entryElement.setAttribute('integrity', entry.decryptedContent.integrity || 'unverified');
+                this.setAuthorshipAttributes(entryElement, entry.decryptedContent.authorship);
                 
                 // HUMANIZED: Show names instead of kidIds
                 const humanizedTargets = this.formatTargetNames(entry.targetTimelines || []);
                 entryElement.setAttribute('target-timelines', humanizedTargets);
                 
-                const hasImage = !!(entry.decryptedContent.content.image);
-                const hasAudio = !!(entry.decryptedContent.content.audio);
-                entryElement.setAttribute('has-image', hasImage.toString());
-                entryElement.setAttribute('has-audio', hasAudio.toString());
+                this.setMediaAttributes(entryElement, entry, options.loadAttachment);
                 
                 this.elements.timelineEntries.appendChild(entryElement);
             } else {
                 console.warn("Skipping entry in displayTimelineEntries, missing decryptedContent or its content sub-property:", entry);
             }
         });
+        this.setLoadMore(this.elements.timelineEntries, options.loadMore);
     }
 
     // Display admin entries with enhanced styling
-    displayAdminEntries(entries) {
+    displayAdminEntries(entries, options = {}) {
         if (!this.elements.adminTimelineEntries) return;
-        this.elements.adminTimelineEntries.innerHTML = '';
+        this.setLoadMore(this.elements.adminTimelineEntries, null);
+        if (!options.append) {
+            this.elements.adminTimelineEntries.innerHTML = '';
+        }
 
-        if (!entries || entries.length === 0) {
+        if ((!entries || entries.length === 0) && !options.append) {
             const placeholder = document.createElement('p');
             placeholder.className = 'placeholder-text';
             placeholder.textContent = 'No entries found or all entries are encrypted with different passwords.';
@@ -457,22 +527,21 @@ export class UIManager {
         console.log(`📋 Displaying ${entries.length} entries in admin view`);
 
         entries.forEach(entry => {
-            if (entry.decryptedContent && entry.decryptedContent.content) {
+            if (entry.decryptedContent && (entry.decryptedContent.content || entry.decryptedContent.integrity === 'mismatch')) {
                 const entryElement = document.createElement('timeline-entry');
                 entryElement.entryData = entry;
                 entryElement.setAttribute('entry-id', entry.id);
                 entryElement.setAttribute('timestamp', entry.timestamp);
                 entryElement.setAttribute('preview-text', this.getEntryPreview(entry.decryptedContent));
+                entryElement.setAttribute('integrity', entry.decryptedContent.integrity || 'unverified');
+                this.setAuthorshipAttributes(entryElement, entry.decryptedContent.authorship);
                 
                 // HUMANIZED: Enhanced admin display with names instead of IDs
                 const humanizedTargets = this.formatTargetNames(entry.targetTimelines || []);
                 const decryptedByName = this.getDecryptedByDisplayName(entry.decryptedContent.decryptedBy || 'unknown');
                 entryElement.setAttribute('target-timelines', `👥 ${humanizedTargets} | 🔑 ${decryptedByName}`);
                 
-                const hasImage = !!(entry.decryptedContent.content.image);
-                const hasAudio = !!(entry.decryptedContent.content.audio);
-                entryElement.setAttribute('has-image', hasImage.toString());
-                entryElement.setAttribute('has-audio', hasAudio.toString());
+                this.setMediaAttributes(entryElement, entry, options.loadAttachment);
                 
                 // Add admin styling class
                 entryElement.classList.add('admin-entry');
@@ -480,6 +549,114 @@ export class UIManager {
                 this.elements.adminTimelineEntries.appendChild(entryElement);
             }
         });
+        this.setLoadMore(this.elements.adminTimelineEntries, options.loadMore);
+    }
+
+    // Infinite scroll: a row at the end of the list loads the next page when it comes into view (or is clicked).
+    // loadMore() resolves once the page is shown; null removes the row.
+    setLoadMore(container, loadMore) {
+        const observer = this.loadMoreObservers.get(container);
+        if (observer) {
+            observer.disconnect();
+            this.loadMoreObservers.delete(container);
+        }
+        container.querySelector(':scope > .load-more')?.remove();
+        if (!loadMore) return;
+
+        const row = document.createElement('div');
+        row.className = 'load-more';
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-secondary';
+        button.textContent = 'Load older entries';
+        row.appendChild(button);
+        container.appendChild(row);
+
+        let loading = false;
+        const load = async () => {
+            if (loading) return;
+            loading = true;
+            button.disabled = true;
+            button.textContent = 'Loading older entries...';
+            try {
+                await loadMore();
+            } finally {
+                // Still here if the page failed to load: offer it again
+                if (row.isConnected) {
+                    loading = false;
+                    button.disabled = false;
+                    button.textContent = 'Load older entries';
+                }
+            }
+        };
+        button.addEventListener('click', load);
+        if (typeof IntersectionObserver !== 'undefined') {
+            const rowObserver = new IntersectionObserver((observed) => {
+                if (observed.some(item => item.isIntersecting)) load();
+            }, { rootMargin: '400px' });
+            rowObserver.observe(row);
+            this.loadMoreObservers.set(container, rowObserver);
+        }
+    }
+
+    // One-line summary of a CryptoManager.verifyTimelineChain report
+    formatChainReport(report) {
+        const name = this.formatTargetNames([report.timeline]);
+        const problems = [];
+        if (report.gaps.length > 0) problems.push(`${report.gaps.length} gap(s) at #${report.gaps.join(', #')}`);
+        if (report.forks.length > 0) problems.push(`fork or broken link at #${report.forks.join(', #')}`);
+        if (report.missing.length > 0) problems.push(`${report.missing.length} newest entr${report.missing.length === 1 ? 'y' : 'ies'} missing`);
+        if (report.head === 'missing') problems.push('no signed head');
+        else if (report.head !== 'verified') problems.push(`head ${report.head === 'unknown-author' ? 'signed by an unknown author' : report.head}`);
+        return problems.length === 0
+            ? `✅ ${name}: ${report.checked} entries intact`
+            : `⚠️ ${name}: ${problems.join('; ')}`;
+    }
+
+    // Attachments listed in decrypted content: [{ id, kind, name, type, size }], or { inline } for media stored in older entries
+    getAttachmentRefs(content) {
+        if (!content) return [];
+        const refs = [...(content.attachments || [])];
+        ['image', 'audio'].forEach(kind => {
+            const media = content[kind];
+            if (media && media.data_base64) {
+                refs.push({ kind, name: media.name, type: media.type, size: media.size, inline: media.data_base64 });
+            }
+        });
+        return refs;
+    }
+
+    setMediaAttributes(entryElement, entry, loadAttachment) {
+        const refs = this.getAttachmentRefs(entry.decryptedContent.content);
+        const thumbnails = refs.filter(ref => ref.kind === 'image').slice(0, MAX_PREVIEW_THUMBNAILS);
+        entryElement.setAttribute('has-image', (thumbnails.length > 0).toString());
+        entryElement.setAttribute('has-audio', refs.some(ref => ref.kind === 'audio').toString());
+        entryElement.setAttribute('has-video', refs.some(ref => ref.kind === 'video').toString());
+        entryElement.setAttribute('attachment-count', refs.length.toString());
+        if (thumbnails.length > 0 && loadAttachment) {
+            entryElement.thumbnailLoaders = thumbnails.map(ref => () => loadAttachment(entry, ref));
+        }
+    }
+
+    setAuthorshipAttributes(entryElement, authorship) {
+        if (!authorship) return;
+        entryElement.setAttribute('authorship', authorship.status);
+        entryElement.setAttribute('author-name', authorship.authorName || '');
+    }
+
+    // Modal line for the entry's signature status
+    getAuthorshipHtml(authorship) {
+        if (!authorship) return '';
+        switch (authorship.status) {
+            case 'verified':
+                return `<p class="meta authorship-verified"><strong>Author:</strong> ✍️ ${escapeHtml(authorship.authorName)} (signature verified)</p>`;
+            case 'unsigned':
+                return `<p class="integrity-warning">⚠️ This entry is not signed, so its author cannot be confirmed.</p>`;
+            case 'unknown-author':
+                return `<p class="integrity-warning">⚠️ This entry was signed by an author who is not trusted on this device.</p>`;
+            default:
+                return `<p class="integrity-warning">⚠️ The author signature${authorship.authorName ? ` (${escapeHtml(authorship.authorName)})` : ''} does not match this entry.</p>`;
+        }
     }
 
     // Clear admin timeline
@@ -490,6 +667,9 @@ export class UIManager {
     }
 
     getEntryPreview(decryptedContentObject) {
+        if (decryptedContentObject && !decryptedContentObject.content && decryptedContentObject.integrity === 'mismatch') {
+            return '⚠️ This entry was altered after it was written and cannot be opened.';
+        }
         if (!decryptedContentObject || !decryptedContentObject.content) return 'No preview available';
         
         const entryMainContent = decryptedContentObject.content;
@@ -498,10 +678,10 @@ export class UIManager {
         if (entryMainContent.text) {
             preview = entryMainContent.text.substring(0, 100);
             if (entryMainContent.text.length > 100) preview += '...';
-        } else if (entryMainContent.image) {
-            preview = `🖼️ Image: ${entryMainContent.image.name || 'image file'}`;
-        } else if (entryMainContent.audio) {
-            preview = `🎵 Audio: ${entryMainContent.audio.name || 'audio file'}`;
+        } else if (this.getAttachmentRefs(entryMainContent).length > 0) {
+            const ref = this.getAttachmentRefs(entryMainContent)[0];
+            const labels = { image: '🖼️ Image', audio: '🎵 Audio', video: '🎬 Video' };
+            preview = `${labels[ref.kind] || '📎 File'}: ${ref.name || `${ref.kind} file`}`;
         } else {
             preview = 'No preview available';
         }
@@ -514,16 +694,18 @@ export class UIManager {
         }
     }
 
-    showEntryModal(decryptedEntryData) {
+    // options.entryId + options.shareTargets / options.revokeTargets ([{ value, disabled }]) add the parent's recipient actions
+    showEntryModal(decryptedEntryData, options = {}) {
         const modal = document.getElementById('entryModal');
         const modalContentTarget = document.getElementById('entryDetail');
 
-        if (!modal || !modalContentTarget || !decryptedEntryData || !decryptedEntryData.content) {
+        const isAltered = !!decryptedEntryData && decryptedEntryData.integrity === 'mismatch';
+        if (!modal || !modalContentTarget || !decryptedEntryData || (!decryptedEntryData.content && !isAltered)) {
              console.error("Modal elements or decrypted content not found for showEntryModal.", decryptedEntryData);
             return;
         }
         
-        const content = decryptedEntryData.content;
+        const content = decryptedEntryData.content || {};
         let html = `<div class="modal-header"><h3>Entry Details</h3></div>`;
         html += `<div class="modal-body">`;
         html += `<p class="meta"><strong>Date:</strong> ${new Date(decryptedEntryData.timestamp).toLocaleString()}</p>`;
@@ -533,20 +715,45 @@ export class UIManager {
         html += `<p class="meta"><strong>Targets:</strong> ${humanizedTargets}</p>`;
         
         const decryptedByName = this.getDecryptedByDisplayName(decryptedEntryData.decryptedBy);
-        html += `<p class="meta"><strong>Decrypted by:</strong> ${decryptedByName}</p><hr class="modal-hr">`;
+        html += `<p class="meta"><strong>Decrypted by:</strong> ${decryptedByName}</p>`;
+        html += this.getAuthorshipHtml(decryptedEntryData.authorship);
+        if (isAltered) {
+            html += decryptedEntryData.content
+                ? `<p class="integrity-warning">⚠️ The date or timelines of this entry were changed after it was written.</p>`
+                : `<p class="integrity-warning">⚠️ This entry was altered after it was written and cannot be opened.</p>`;
+        }
+        html += `<hr class="modal-hr">`;
         
         if (content.text) {
-            html += `<div class="modal-text-content"><p>${content.text.replace(/\n/g, '<br>')}</p></div>`;
-        }
-        if (content.image && content.image.data_base64) {
-            html += `<div class="modal-media"><img src="data:${content.image.type};base64,${content.image.data_base64}" alt="${content.image.name || 'Image content'}" style="max-width: 100%; height: auto; margin-top: 10px; border-radius: 4px;"></div>`;
-        }
-        if (content.audio && content.audio.data_base64) {
-            html += `<div class="modal-media"><audio controls src="data:${content.audio.type};base64,${content.audio.data_base64}" style="width: 100%; margin-top: 10px;"></audio></div>`;
+            html += `<div class="modal-text-content"><p>${escapeHtml(content.text).replace(/\n/g, '<br>')}</p></div>`;
         }
+        const attachments = this.getAttachmentRefs(decryptedEntryData.content);
+        html += this.getModalAttachmentsHtml(attachments);
         html += `</div>`;
         
         modalContentTarget.innerHTML = html;
+        if (options.loadAttachment && attachments.length > 0) {
+            this.setupModalAttachments(modalContentTarget, attachments, options.loadAttachment);
+        }
+
+        if (options.entryId && options.shareTargets && options.shareTargets.length > 0) {
+            modalContentTarget.appendChild(this.createRecipientSection({
+                heading: 'Share with more timelines:',
+                name: 'shareTarget',
+                targets: options.shareTargets,
+                buttonText: 'Add Recipients',
+                onSubmit: (targets) => window.familyApp?.handleAddEntryRecipients(options.entryId, targets)
+            }));
+        }
+        if (options.entryId && options.revokeTargets && options.revokeTargets.length > 0) {
+            modalContentTarget.appendChild(this.createRecipientSection({
+                heading: 'Remove from timelines:',
+                name: 'revokeTarget',
+                targets: options.revokeTargets,
+                buttonText: 'Revoke Access',
+                onSubmit: (targets) => window.familyApp?.handleRevokeEntryRecipients(options.entryId, targets)
+            }));
+        }
         
         if (typeof modal.show === 'function') {
             modal.show();
@@ -556,10 +763,178 @@ export class UIManager {
         }
     }
 
+    createRecipientSection({ heading, name, targets, buttonText, onSubmit }) {
+        const section = document.createElement('div');
+        section.className = 'modal-recipients';
+        section.innerHTML = `<hr class="modal-hr"><p class="meta"><strong>${heading}</strong></p>`;
+
+        const list = document.createElement('div');
+        list.className = 'checkbox-group';
+        targets.forEach(({ value, disabled }) => {
+            const title = disabled ? 'No key loaded for this timeline. Re-login or update this kid\'s password.' : '';
+            const label = `${this.getDecryptedByDisplayName(value)}${disabled ? ' (🔒)' : ''}`;
+            list.appendChild(this.createCheckboxItem(value, label, disabled, title, name));
+        });
+        section.appendChild(list);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-secondary';
+        button.textContent = buttonText;
+        button.addEventListener('click', () => {
+            const selected = Array.from(section.querySelectorAll(`input[name="${name}"]:checked`)).map(cb => cb.value);
+            onSubmit(selected);
+        });
+        section.appendChild(button);
+        return section;
+    }
+
+    // More than one attachment becomes a gallery: a scroll-snapping track (swipe on touch screens), arrows and arrow keys
+    getModalAttachmentsHtml(attachments) {
+        const icons = { image: '🖼️', audio: '🎵', video: '🎬' };
+        const slides = attachments.map((ref, index) => `
+            <div class="modal-media${attachments.length > 1 ? ' gallery-slide' : ''}" data-attachment-index="${index}">
+                <p class="description">${icons[ref.kind] || '📎'} Loading ${escapeHtml(ref.name || ref.kind)}...</p>
+            </div>
+        `).join('');
+        if (attachments.length <= 1) {
+            return slides;
+        }
+        return `
+            <div class="modal-gallery">
+                <div class="gallery-track" tabindex="0" aria-label="Attachments">${slides}</div>
+                <div class="gallery-controls">
+                    <button type="button" class="btn-small gallery-prev" aria-label="Previous attachment">‹</button>
+                    <span class="gallery-counter">1 / ${attachments.length}</span>
+                    <button type="button" class="btn-small gallery-next" aria-label="Next attachment">›</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Gallery slides are decrypted when they become current or a neighbour of it; media on other slides is paused
+    setupModalAttachments(container, attachments, loadAttachment) {
+        const slides = attachments.map((ref, index) => container.querySelector(`[data-attachment-index="${index}"]`));
+        const track = container.querySelector('.gallery-track');
+        if (!track) {
+            this.loadModalAttachment(slides[0], attachments[0], loadAttachment);
+            return;
+        }
+        const loaded = new Set();
+        const load = (index) => {
+            if (index < 0 || index >= slides.length || loaded.has(index)) return;
+            loaded.add(index);
+            this.loadModalAttachment(slides[index], attachments[index], loadAttachment);
+        };
+        const currentIndex = () => Math.round(track.scrollLeft / Math.max(track.clientWidth, 1));
+        const showSlide = (index) => {
+            const target = Math.max(0, Math.min(slides.length - 1, index));
+            track.scrollTo({ left: target * track.clientWidth }); // Smooth unless reduced motion is preferred (CSS)
+        };
+        const prev = container.querySelector('.gallery-prev');
+        const next = container.querySelector('.gallery-next');
+        const counter = container.querySelector('.gallery-counter');
+        const update = () => {
+            const index = currentIndex();
+            counter.textContent = `${index + 1} / ${slides.length}`;
+            prev.disabled = index === 0;
+            next.disabled = index === slides.length - 1;
+            [index, index + 1, index - 1].forEach(load);
+            slides.forEach((slide, slideIndex) => {
+                if (slideIndex !== index) {
+                    slide.querySelectorAll('audio, video').forEach(media => media.pause());
+                }
+            });
+        };
+        prev.addEventListener('click', () => showSlide(currentIndex() - 1));
+        next.addEventListener('click', () => showSlide(currentIndex() + 1));
+        track.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                showSlide(currentIndex() + (e.key === 'ArrowLeft' ? -1 : 1));
+            }
+        });
+        track.addEventListener('scroll', debounce(update, 100));
+        update();
+    }
+
+    // Fills one attachment placeholder of the entry modal once the media is decrypted.
+    // The element is passed along so audio and video can be streamed into it.
+    async loadModalAttachment(container, ref, loadAttachment) {
+        try {
+            const media = document.createElement(['audio', 'video'].includes(ref.kind) ? ref.kind : 'img');
+            const url = await loadAttachment(ref, media);
+            if (!container.isConnected) return; // The modal moved on to another entry
+            if (ref.kind === 'image') {
+                media.alt = ref.name || 'Image content';
+            } else {
+                media.controls = true;
+                media.preload = 'metadata';
+            }
+            media.src = url;
+            container.replaceChildren(media);
+        } catch (error) {
+            console.error('Failed to load attachment:', error);
+            container.innerHTML = `<p class="integrity-warning">⚠️ ${escapeHtml(ref.name || 'Attachment')} could not be opened: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    // Masked stand-in for prompt() when a password is asked for: resolves to what was typed, or null if the dialog is closed
+    promptPassword(message) {
+        const modal = document.getElementById('passwordModal');
+        const form = document.getElementById('passwordPromptForm');
+        const input = document.getElementById('passwordPromptInput');
+        document.getElementById('passwordPromptMessage').textContent = message;
+        input.value = '';
+        return new Promise(resolve => {
+            let value = null;
+            const submitted = (event) => {
+                event.preventDefault();
+                value = input.value;
+                modal.hide();
+            };
+            form.addEventListener('submit', submitted);
+            modal.addEventListener('modal-close', () => {
+                form.removeEventListener('submit', submitted);
+                input.value = '';
+                resolve(value);
+            }, { once: true });
+            modal.show();
+            input.focus();
+        });
+    }
+
+    hideEntryModal() {
+        const modal = document.getElementById('entryModal');
+        if (modal && typeof modal.hide === 'function') {
+            modal.hide();
+        }
+    }
+
+    // Closes the entry modal and drops the decrypted content it holds
+    clearEntryModal() {
+        this.hideEntryModal();
+        if (this.elements.entryDetail) {
+            this.elements.entryDetail.innerHTML = '';
+        }
+    }
+
+    showAutoLockWarning(secondsLeft) {
+        const warning = document.getElementById('autoLockWarning');
+        const countdown = document.getElementById('autoLockCountdown');
+        if (!warning || !countdown) return;
+        countdown.textContent = `🔒 Parent session locks in ${secondsLeft}s due to inactivity.`;
+        warning.classList.remove('hidden');
+    }
+
+    hideAutoLockWarning() {
+        document.getElementById('autoLockWarning')?.classList.add('hidden');
+    }
+
     // Handle admin entry clicks
     handleAdminEntryClick(entryId) {
-        if (window.familyApp && typeof window.familyApp.handleTimelineEntryClick === 'function') {
-            window.familyApp.handleTimelineEntryClick(entryId);
+        if (window.familyApp && typeof window.familyApp.handleAdminEntryClick === 'function') {
+            window.familyApp.handleAdminEntryClick(entryId);
         }
     }
 
@@ -583,24 +958,83 @@ export class UIManager {
         }
     }
 
-    handleFileSelection(event, type) {
-        const fileInput = event.target;
-        const file = fileInput.files[0];
-        let feedbackLabel = fileInput.previousElementSibling;
-        if (feedbackLabel && feedbackLabel.tagName !== 'SPAN') {
-            feedbackLabel = fileInput.closest('label')?.querySelector('span.file-name-feedback');
+    // Pending attachments
+    // The browser's type, or the one the file extension stands for when the browser has none (e.g. .heic, some .m4a)
+    getAttachmentType(file) {
+        const kind = (file.type || '').split('/')[0];
+        if (['image', 'audio', 'video'].includes(kind)) {
+            return file.type;
         }
+        const extension = (file.name || '').split('.').pop().toLowerCase();
+        return CONSTANTS.ATTACHMENT_EXTENSION_TYPES[extension] || null;
+    }
 
-        if (!file) {
-            if(feedbackLabel) feedbackLabel.textContent = feedbackLabel.dataset.defaultText || `Choose ${type}...`;
-            this.updateCreateButtonState();
-            return;
+    addPendingAttachments(files) {
+        for (const picked of files) {
+            const type = this.getAttachmentType(picked);
+            if (!type) {
+                showStatus(`${picked.name} is not an image, audio or video file`, 'error');
+                continue;
+            }
+            const kind = type.split('/')[0];
+            // The entry records the file's type, so a type found from the extension goes on the file
+            const file = picked.type === type ? picked : new File([picked], picked.name, { type, lastModified: picked.lastModified });
+            if (this.pendingAttachments.length >= CONSTANTS.MAX_ATTACHMENTS) {
+                showStatus(`An entry can hold up to ${CONSTANTS.MAX_ATTACHMENTS} attachments`, 'error');
+                break;
+            }
+            const check = validateAttachmentFile(file, kind);
+            if (!check.valid) {
+                showStatus(check.message, 'error');
+                continue;
+            }
+            this.pendingAttachments.push({ kind, file, previewUrl: kind === 'image' ? URL.createObjectURL(file) : null });
         }
-        
-        if (feedbackLabel) {
-            if(!feedbackLabel.dataset.defaultText) feedbackLabel.dataset.defaultText = feedbackLabel.textContent;
-            feedbackLabel.textContent = `${file.name} (${this.formatFileSize(file.size)})`;
-            feedbackLabel.style.color = 'var(--primary-color)';
+        this.renderPendingAttachments();
+    }
+
+    movePendingAttachment(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.pendingAttachments.length) return;
+        const [moved] = this.pendingAttachments.splice(index, 1);
+        this.pendingAttachments.splice(target, 0, moved);
+        this.renderPendingAttachments();
+    }
+
+    removePendingAttachment(index) {
+        const [removed] = this.pendingAttachments.splice(index, 1);
+        if (removed && removed.previewUrl) {
+            URL.revokeObjectURL(removed.previewUrl);
+        }
+        this.renderPendingAttachments();
+    }
+
+    clearPendingAttachments() {
+        this.pendingAttachments.forEach(pending => pending.previewUrl && URL.revokeObjectURL(pending.previewUrl));
+        this.pendingAttachments = [];
+        this.renderPendingAttachments();
+    }
+
+    // [{ kind, file }] in the order the entry lists them
+    getPendingAttachments() {
+        return this.pendingAttachments.map(({ kind, file }) => ({ kind, file }));
+    }
+
+    renderPendingAttachments() {
+        const list = this.elements.attachmentList;
+        if (list) {
+            const icons = { image: '🖼️', audio: '🎵', video: '🎬' };
+            const last = this.pendingAttachments.length - 1;
+            list.innerHTML = this.pendingAttachments.map(({ kind, file, previewUrl }, index) => `
+                <li class="attachment-item">
+                    ${previewUrl ? `<img class="attachment-preview" src="${previewUrl}" alt="">` : `<span class="attachment-icon">${icons[kind]}</span>`}
+                    <span class="attachment-name">${escapeHtml(file.name)} <small>(${this.formatFileSize(file.size)})</small></span>
+                    <button type="button" class="btn-small" data-action="up" data-index="${index}" aria-label="Move ${escapeHtml(file.name)} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="btn-small" data-action="down" data-index="${index}" aria-label="Move ${escapeHtml(file.name)} down" ${index === last ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="btn-small" data-action="remove" data-index="${index}" aria-label="Remove ${escapeHtml(file.name)}">✕</button>
+                </li>
+            `).join('');
+            list.classList.toggle('hidden', this.pendingAttachments.length === 0);
         }
         this.updateCreateButtonState();
     }
@@ -613,6 +1047,56 @@ export class UIManager {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    // Printable documents open in their own window, so nothing secret is left in the app's DOM
+    openPrintView(title, bodyHtml) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error('The print window was blocked. Allow pop-ups for this page and try again.');
+        }
+        printWindow.document.write(`<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title>
+            <style>
+                body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+                .print-page { page-break-after: always; margin-bottom: 3rem; }
+                .print-page:last-child { page-break-after: auto; }
+                .print-code { font-family: monospace; font-size: 1.1rem; word-break: break-all; padding: 1rem; border: 2px dashed #555; }
+                .print-note { color: #555; font-size: 0.9rem; }
+            </style></head><body>${bodyHtml}</body></html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    // shares: [{ holder, index, code }] - one page per holder
+    printRecoveryShares(shares, { threshold, shareCount, parentName, createdAt }) {
+        const pages = shares.map(share => `
+            <section class="print-page">
+                <h1>Family Timeline recovery share ${share.index} of ${shareCount}</h1>
+                <p>For: <strong>${escapeHtml(share.holder)}</strong> - kept on behalf of ${escapeHtml(parentName || 'the parent')}</p>
+                <p class="print-code">${escapeHtml(share.code)}</p>
+                <p>Any ${threshold} of the ${shareCount} shares together let ${escapeHtml(parentName || 'the parent')} reset a forgotten master password.
+                   One share on its own reveals nothing.</p>
+                <p class="print-note">Created ${escapeHtml(new Date(createdAt).toLocaleString())}. Keep this page private; shares from a newer set replace this one.</p>
+            </section>`).join('');
+        this.openPrintView('Family Timeline recovery shares', pages);
+    }
+
+    // The QR code is generated locally and holds the same text as the printed key
+    printRecoveryKit({ code, parentName, createdAt }) {
+        const qrSvg = qrCodeToSvg(generateQrCode(code, { ecc: 'M' }), { moduleSize: 5 });
+        const page = `
+            <section class="print-page">
+                <h1>Family Timeline recovery kit</h1>
+                <p>Recovery key for <strong>${escapeHtml(parentName || 'the parent')}</strong>, created ${escapeHtml(new Date(createdAt).toLocaleString())}.</p>
+                <p class="print-code">${escapeHtml(formatRecoveryCode(code))}</p>
+                <div>${qrSvg}</div>
+                <p>If the master password is forgotten, choose "Recover with Kit" at the parent login and type this key
+                   (or scan the code with a phone and paste it). You will then set a new master password.</p>
+                <p class="print-note">Anyone holding this sheet can reset the master password: store it like a passport.
+                   Creating a new kit makes this one useless.</p>
+            </section>`;
+        this.openPrintView('Family Timeline recovery kit', page);
+    }
+
     showStatus(message, type = 'info', duration = 5000) {
         showStatus(message, type, duration);
     }
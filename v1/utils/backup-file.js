@@ -0,0 +1,152 @@
+/**
+ * Backup Files
+ * Export files are JSON, but their attachments can be far larger than the longest string a browser allows.
+ * Blobs in the data are written out as base64 one slice at a time, and read back into Blobs the same way,
+ * so neither an export nor an import ever holds an attachment as a single string.
+ */
+
+const SLICE_BYTES = 3 * 256 * 1024; // A multiple of 3, so slices encode to base64 without padding in between
+const DECODE_CHARS = 4 * 256 * 1024; // A multiple of 4, so base64 is decoded in whole groups
+const BLOB_MARK = '\u0000blob:';
+const STREAMED_KEY = 'data_base64'; // Large files: string values under this key are read into Blobs
+const SMALL_FILE_BYTES = 64 * 1024 * 1024; // Below this a file is parsed in one go
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Blob values anywhere in data become base64 strings in the file; attachments are encoded one after another
+export async function createBackupBlob(data) {
+    const blobs = [];
+    const json = JSON.stringify(data, (key, value) => {
+        if (value instanceof Blob) {
+            blobs.push(value);
+            return `${BLOB_MARK}${blobs.length - 1}`;
+        }
+        return value;
+    }, 2);
+    const parts = [];
+    const marker = /"\\u0000blob:(\d+)"/g;
+    let last = 0;
+    let match;
+    while ((match = marker.exec(json)) !== null) {
+        parts.push(json.slice(last, match.index), '"');
+        const blob = blobs[Number(match[1])];
+        for (let offset = 0; offset < blob.size; offset += SLICE_BYTES) {
+            const slice = new Uint8Array(await blob.slice(offset, offset + SLICE_BYTES).arrayBuffer());
+            parts.push(new Blob([bytesToBase64(slice)])); // A Blob part lets the browser move it out of memory
+        }
+        parts.push('"');
+        last = marker.lastIndex;
+    }
+    parts.push(json.slice(last));
+    return new Blob(parts, { type: 'application/json' });
+}
+
+// Small files are parsed whole. In larger ones every "data_base64" string is decoded into a Blob while the file
+// is read, and the remaining JSON (entries, kids, settings) is parsed once the attachments are out of it.
+export async function readBackupFile(file) {
+    if (file.size <= SMALL_FILE_BYTES) {
+        return JSON.parse(await file.text());
+    }
+    const blobs = [];
+    const json = [];
+    let inString = false;
+    let escaped = false;
+    let stringText = ''; // Start of the current string, enough to recognise a key
+    let lastKey = null;
+    let expectingStreamed = false; // Just read `"data_base64":`
+    let streaming = false;
+    let pending = ''; // Base64 not decoded yet
+    let blobParts = [];
+
+    const decodePending = (final) => {
+        const length = final ? pending.length : pending.length - (pending.length % 4);
+        if (length > 0) {
+            blobParts.push(new Blob([base64ToBytes(pending.slice(0, length))]));
+            pending = pending.slice(length);
+        }
+    };
+
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    for (;;) {
+        const { value: text, done } = await reader.read();
+        if (done) break;
+        let start = 0;
+        let i = 0;
+        while (i < text.length) {
+            if (streaming) {
+                const end = text.indexOf('"', i);
+                pending += text.slice(i, end === -1 ? text.length : end).replace(/\\\//g, '/');
+                if (pending.length >= DECODE_CHARS) decodePending(false);
+                if (end === -1) {
+                    i = text.length;
+                    start = i;
+                    continue;
+                }
+                decodePending(true);
+                blobs.push(new Blob(blobParts, { type: 'application/octet-stream' }));
+                blobParts = [];
+                json.push(`\\u0000blob:${blobs.length - 1}"`); // Parsed back to BLOB_MARK + index
+                streaming = false;
+                i = end + 1;
+                start = i;
+                continue;
+            }
+            const char = text[i];
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                    lastKey = stringText;
+                } else if (stringText.length <= STREAMED_KEY.length) {
+                    stringText += char;
+                }
+            } else if (char === '"') {
+                if (expectingStreamed) {
+                    json.push(text.slice(start, i + 1));
+                    streaming = true;
+                    expectingStreamed = false;
+                    i++;
+                    continue;
+                }
+                inString = true;
+                stringText = '';
+            } else if (char === ':') {
+                expectingStreamed = lastKey === STREAMED_KEY;
+            } else if (!/\s/.test(char)) {
+                lastKey = null;
+                expectingStreamed = false;
+            }
+            i++;
+        }
+        if (!streaming) {
+            json.push(text.slice(start));
+        }
+    }
+    if (streaming) {
+        throw new Error('The backup file ends in the middle of an attachment');
+    }
+    return JSON.parse(json.join(''), (key, value) => {
+        if (key === STREAMED_KEY && typeof value === 'string' && value.startsWith(BLOB_MARK)) {
+            return blobs[Number(value.slice(BLOB_MARK.length))];
+        }
+        return value;
+    });
+}
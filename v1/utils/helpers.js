@@ -116,6 +116,12 @@ export function sanitizeFileName(fileName) {
     return fileName.replace(/[<>:"/\\|?*]/g, '_').trim();
 }
 
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
 export function capitalizeFirst(str) {
     if (!str) return str;
     return str.charAt(0).toUpperCase() + str.slice(1);
@@ -150,6 +156,15 @@ export function validatePassword(password, minLength = 8) {
     return { valid: true, message: 'Password is strong' };
 }
 
+// Images are decoded whole; audio and video are encrypted and played back in segments
+export function validateAttachmentFile(file, kind) {
+    const maxSize = kind === 'image' ? CONSTANTS.MAX_IMAGE_SIZE : CONSTANTS.MAX_FILE_SIZE;
+    if (file.size > maxSize) {
+        return { valid: false, message: `${file.name} is ${formatFileSize(file.size)}; ${kind} files can be up to ${formatFileSize(maxSize)}` };
+    }
+    return { valid: true, message: '' };
+}
+
 // DOM utilities
 export function createElement(tag, className = '', textContent = '') {
     const element = document.createElement(tag);
@@ -412,9 +427,20 @@ export const CONSTANTS = {
     ANIMATION_DURATION: 300,
     TOAST_DURATION: 3000,
     ERROR_DURATION: 5000,
-    MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+    MAX_FILE_SIZE: 2 * 1024 * 1024 * 1024, // 2GB audio/video (streamed in segments, never held in memory whole)
+    MAX_IMAGE_SIZE: 25 * 1024 * 1024, // 25MB
+    MAX_ATTACHMENTS: 20, // Per entry
+    MAX_PIN_ATTEMPTS: 5, // Wrong quick-unlock PINs before the device record is wiped
     SUPPORTED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-    SUPPORTED_AUDIO_TYPES: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a']
+    SUPPORTED_AUDIO_TYPES: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a'],
+    // Attachment types by file extension, for files the browser reports without a usable type
+    ATTACHMENT_EXTENSION_TYPES: {
+        jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp',
+        heic: 'image/heic', heif: 'image/heif', avif: 'image/avif',
+        mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', oga: 'audio/ogg', opus: 'audio/ogg',
+        m4a: 'audio/mp4', aac: 'audio/aac', flac: 'audio/flac', weba: 'audio/webm',
+        mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm', ogv: 'video/ogg'
+    }
 };
 
 // Export all utilities as a single object for convenience
@@ -426,9 +452,11 @@ export const Utils = {
     formatFileSize,
     truncateText,
     sanitizeFileName,
+    escapeHtml,
     capitalizeFirst,
     validateEmail,
     validatePassword,
+    validateAttachmentFile,
     createElement,
     removeAllChildren,
     toggleClass,
@@ -0,0 +1,74 @@
+/**
+ * Password Generator
+ * Credentials built on crypto.getRandomValues: rejection sampling for unbiased choices
+ * and a Fisher-Yates shuffle. Shared by CryptoManager and the password-strength-checker component.
+ */
+
+import { DICEWARE_WORDLIST } from './wordlist.js';
+
+export const PASSWORD_CHARSETS = {
+    lowercase: 'abcdefghijklmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    numbers: '0123456789',
+    symbols: '!@#$%^&*()_+-=[]{}|;:,.<>?'
+};
+
+export const GENERATOR_MODES = {
+    password: 'Random characters',
+    passphrase: 'Passphrase (words)'
+};
+
+// Uniform integer in [0, max) - values from the biased tail of the 32-bit range are rejected and redrawn
+export function secureRandomInt(max) {
+    if (!Number.isInteger(max) || max <= 0 || max > 2 ** 32) {
+        throw new Error('secureRandomInt: max must be an integer between 1 and 2^32');
+    }
+    const range = 2 ** 32;
+    const limit = range - (range % max);
+    const buffer = new Uint32Array(1);
+    do {
+        crypto.getRandomValues(buffer);
+    } while (buffer[0] >= limit);
+    return buffer[0] % max;
+}
+
+export function secureShuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = secureRandomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function pick(chars) {
+    return chars[secureRandomInt(chars.length)];
+}
+
+// At least one character from each class, the rest from all of them, then shuffled
+export function generatePassword(length = 16) {
+    const classes = Object.values(PASSWORD_CHARSETS);
+    if (length < classes.length) {
+        throw new Error(`Password length must be at least ${classes.length}`);
+    }
+    const allChars = classes.join('');
+    const chars = classes.map(pick);
+    while (chars.length < length) {
+        chars.push(pick(allChars));
+    }
+    return secureShuffle(chars).join('');
+}
+
+// Diceware-style passphrase: capitalised words plus one digit, so it also satisfies the strength rules
+export function generatePassphrase(wordCount = 6, separator = '-') {
+    if (wordCount < 4) {
+        throw new Error('Passphrases need at least 4 words');
+    }
+    const words = [];
+    for (let i = 0; i < wordCount; i++) {
+        const word = pick(DICEWARE_WORDLIST);
+        words.push(word.charAt(0).toUpperCase() + word.slice(1));
+    }
+    words.push(pick(PASSWORD_CHARSETS.numbers));
+    return words.join(separator);
+}
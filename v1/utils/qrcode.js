@@ -0,0 +1,370 @@
+/**
+ * QR Code Generator (ISO/IEC 18004, byte mode)
+ * Runs entirely in the page so secrets such as recovery keys never go to an online QR service.
+ * Produces a module matrix and an SVG rendering for print views.
+ */
+
+const ECC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+// Indexed by [ecc ordinal][version]
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+// Data modules left after function patterns, including remainder bits
+function numRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function numDataCodewords(version, ecl) {
+    return Math.floor(numRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+}
+
+// Reed-Solomon over GF(2^8) with the QR polynomial 0x11D
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+}
+
+function alignmentPatternPositions(version) {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+// Byte mode segment, terminator and pad bytes, split into codewords
+function encodeData(bytes, version, ecl) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(b => append(b, 8));
+
+    const capacityBits = numDataCodewords(version, ecl) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+function addEccAndInterleave(data, version, ecl) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        k += dat.length;
+        const ecc = reedSolomonRemainder(dat, divisor);
+        if (i < numShortBlocks) dat.push(0); // Placeholder, skipped when interleaving
+        blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = alignmentPatternPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            // Skip the three corners taken by finder patterns
+            if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                this.drawAlignmentPattern(x, y);
+            }
+        }));
+
+        this.drawFormatBits(0, 0); // Reserves the format areas; overwritten once the mask is chosen
+        this.drawVersion();
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, dist !== 2 && dist !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormatBits(eclFormatBits, mask) {
+        const data = (eclFormatBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+        this.setFunctionModule(8, 7, getBit(bits, 6));
+        this.setFunctionModule(8, 8, getBit(bits, 7));
+        this.setFunctionModule(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, getBit(bits, i));
+        this.setFunctionModule(8, this.size - 8, true); // Always-dark module
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+        const bits = (this.version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const bit = getBit(bits, i);
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, bit);
+            this.setFunctionModule(b, a, bit);
+        }
+    }
+
+    // Zigzag placement in two-column strips from the bottom right, skipping the vertical timing column
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < this.size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // XOR is its own inverse, so applying the same mask twice removes it
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                let invert;
+                switch (mask) {
+                    case 0: invert = (x + y) % 2 === 0; break;
+                    case 1: invert = y % 2 === 0; break;
+                    case 2: invert = x % 3 === 0; break;
+                    case 3: invert = (x + y) % 3 === 0; break;
+                    case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                    case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+                    case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+                    default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+                }
+                if (invert && !this.isFunction[y][x]) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Standard penalty rules: runs, 2x2 blocks, finder-like patterns and dark/light balance
+    penaltyScore() {
+        const size = this.size;
+        const get = (x, y) => this.modules[y][x];
+        let penalty = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(Array.from({ length: size }, (_, j) => get(j, i)));
+            lines.push(Array.from({ length: size }, (_, j) => get(i, j)));
+        }
+        const finderLike = [true, false, true, true, true, false, true];
+        for (const line of lines) {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+                const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+                const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !line[i + k]);
+                if (lightBefore || lightAfter) penalty += 40;
+            }
+        }
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (get(x, y)) dark++;
+                if (x < size - 1 && y < size - 1 && get(x, y) === get(x + 1, y) && get(x, y) === get(x, y + 1) && get(x, y) === get(x + 1, y + 1)) {
+                    penalty += 3;
+                }
+            }
+        }
+        const total = size * size;
+        penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+        return penalty;
+    }
+}
+
+/**
+ * Encodes text (UTF-8, byte mode) in the smallest version that fits.
+ * @param {string} text
+ * @param {{ecc?: 'L'|'M'|'Q'|'H'}} options
+ * @returns {{version: number, size: number, modules: boolean[][]}} modules[y][x], true = dark
+ */
+export function generateQrCode(text, { ecc = 'M' } = {}) {
+    const ecl = ECC_LEVELS[ecc];
+    if (!ecl) {
+        throw new Error(`Unknown QR error correction level: ${ecc}`);
+    }
+    const bytes = [...new TextEncoder().encode(text)];
+    let version = 1;
+    for (; version <= 40; version++) {
+        const headerBits = 4 + (version <= 9 ? 8 : 16);
+        if (headerBits + bytes.length * 8 <= numDataCodewords(version, ecl) * 8) break;
+    }
+    if (version > 40) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    const codewords = addEccAndInterleave(encodeData(bytes, version, ecl), version, ecl);
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        matrix.applyMask(mask);
+        matrix.drawFormatBits(ecl.formatBits, mask);
+        const penalty = matrix.penaltyScore();
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        matrix.applyMask(mask);
+    }
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(ecl.formatBits, bestMask);
+
+    return { version, size: matrix.size, modules: matrix.modules };
+}
+
+// SVG markup for a generated code; margin is the quiet zone in modules (the standard asks for 4)
+export function qrCodeToSvg(qr, { moduleSize = 4, margin = 4 } = {}) {
+    const dimension = (qr.size + margin * 2) * moduleSize;
+    const parts = [];
+    qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${dimension}" height="${dimension}" viewBox="0 0 ${qr.size + margin * 2} ${qr.size + margin * 2}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="#fff"/><path d="${parts.join('')}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,91 @@
+/**
+ * Recovery Codes
+ * Text forms of recovery secrets (Shamir shares, recovery kit keys) that survive being printed and typed back.
+ * Each code carries a CRC-32 so a typo is caught before any decryption is attempted.
+ */
+
+const SHARE_PREFIX = 'FTS1';
+const KIT_PREFIX = 'FTK1';
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(text) {
+    let crc = 0xffffffff;
+    for (const byte of new TextEncoder().encode(text)) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    if (!/^([0-9a-f]{2})+$/.test(hex)) {
+        throw new Error('Code data is not valid hex');
+    }
+    return new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+}
+
+/**
+ * Text form of a share: FTS1-<setId>-<threshold>-<index>-<hex data>-<crc32>
+ * The set ID ties shares of one split together so shares of an older set are rejected up front.
+ */
+export function encodeShare({ setId, threshold, index, data }) {
+    const body = `${SHARE_PREFIX}-${setId}-${threshold}-${index}-${bytesToHex(data)}`;
+    return `${body}-${crc32(body)}`;
+}
+
+// Accepts a code with any spacing, line breaks or case (as typed from a printed sheet) and checks its CRC
+function parseCode(code, prefix, partCount, label) {
+    const parts = String(code || '').replace(/\s+/g, '').toLowerCase().split('-');
+    if (parts.length !== partCount || parts[0] !== prefix.toLowerCase()) {
+        throw new Error(`Not a ${label}`);
+    }
+    parts[0] = prefix;
+    if (crc32(parts.slice(0, -1).join('-')) !== parts[partCount - 1]) {
+        throw new Error(`The ${label} has a typo (checksum mismatch)`);
+    }
+    return parts;
+}
+
+export function decodeShare(code) {
+    const [, setId, threshold, index, dataHex] = parseCode(code, SHARE_PREFIX, 6, 'recovery share code');
+    return {
+        setId,
+        threshold: parseInt(threshold, 10),
+        index: parseInt(index, 10),
+        data: hexToBytes(dataHex)
+    };
+}
+
+/**
+ * Text form of a recovery kit key: FTK1-<recoveryId>-<hex key>-<crc32>
+ */
+export function encodeRecoveryKey({ recoveryId, key }) {
+    const body = `${KIT_PREFIX}-${recoveryId}-${bytesToHex(key)}`;
+    return `${body}-${crc32(body)}`;
+}
+
+export function decodeRecoveryKey(code) {
+    const [, recoveryId, keyHex] = parseCode(code, KIT_PREFIX, 4, 'recovery key');
+    return { recoveryId, key: hexToBytes(keyHex) };
+}
+
+// Breaks the long key part of a code into groups of 4 characters for printing (spaces are ignored on decode)
+export function formatRecoveryCode(code, groupSize = 4) {
+    return code.split('-')
+        .map(part => (part.length > 8 ? part.match(new RegExp(`.{1,${groupSize}}`, 'g')).join(' ') : part))
+        .join('-');
+}
@@ -0,0 +1,142 @@
+/**
+ * scrypt Key Derivation (RFC 7914)
+ * Pure JavaScript memory-hard KDF used by CryptoManager's KDF registry.
+ * PBKDF2-HMAC-SHA256 steps go through Web Crypto; the ROMix core runs in JS.
+ */
+
+const YIELD_EVERY = 4096; // ROMix iterations between event loop yields
+
+async function pbkdf2Sha256(passwordBytes, saltBytes, lengthBytes) {
+    const keyMaterial = await crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: saltBytes, iterations: 1, hash: 'SHA-256' },
+        keyMaterial,
+        lengthBytes * 8
+    );
+    return new Uint8Array(bits);
+}
+
+function rotl(value, shift) {
+    return (value << shift) | (value >>> (32 - shift));
+}
+
+// Salsa20/8 core, in place on a 16-word block
+function salsa20_8(block, scratch) {
+    scratch.set(block);
+    const x = scratch;
+    for (let i = 0; i < 8; i += 2) {
+        x[4] ^= rotl(x[0] + x[12], 7);   x[8] ^= rotl(x[4] + x[0], 9);
+        x[12] ^= rotl(x[8] + x[4], 13);  x[0] ^= rotl(x[12] + x[8], 18);
+        x[9] ^= rotl(x[5] + x[1], 7);    x[13] ^= rotl(x[9] + x[5], 9);
+        x[1] ^= rotl(x[13] + x[9], 13);  x[5] ^= rotl(x[1] + x[13], 18);
+        x[14] ^= rotl(x[10] + x[6], 7);  x[2] ^= rotl(x[14] + x[10], 9);
+        x[6] ^= rotl(x[2] + x[14], 13);  x[10] ^= rotl(x[6] + x[2], 18);
+        x[3] ^= rotl(x[15] + x[11], 7);  x[7] ^= rotl(x[3] + x[15], 9);
+        x[11] ^= rotl(x[7] + x[3], 13);  x[15] ^= rotl(x[11] + x[7], 18);
+        x[1] ^= rotl(x[0] + x[3], 7);    x[2] ^= rotl(x[1] + x[0], 9);
+        x[3] ^= rotl(x[2] + x[1], 13);   x[0] ^= rotl(x[3] + x[2], 18);
+        x[6] ^= rotl(x[5] + x[4], 7);    x[7] ^= rotl(x[6] + x[5], 9);
+        x[4] ^= rotl(x[7] + x[6], 13);   x[5] ^= rotl(x[4] + x[7], 18);
+        x[11] ^= rotl(x[10] + x[9], 7);  x[8] ^= rotl(x[11] + x[10], 9);
+        x[9] ^= rotl(x[8] + x[11], 13);  x[10] ^= rotl(x[9] + x[8], 18);
+        x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+        x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+    }
+    for (let i = 0; i < 16; i++) {
+        block[i] = (block[i] + x[i]) | 0;
+    }
+}
+
+// BlockMix_salsa20/8: reads 2r 64-byte blocks from input, writes the shuffled result to output
+function blockMix(input, output, r, x, scratch) {
+    x.set(input.subarray((2 * r - 1) * 16, 2 * r * 16));
+    for (let i = 0; i < 2 * r; i++) {
+        for (let k = 0; k < 16; k++) {
+            x[k] ^= input[i * 16 + k];
+        }
+        salsa20_8(x, scratch);
+        // Even blocks go to the first half of the output, odd blocks to the second half
+        const target = (i % 2 === 0 ? i / 2 : r + (i - 1) / 2) * 16;
+        output.set(x, target);
+    }
+}
+
+async function roMix(blockWords, r, N) {
+    const blockLength = 32 * r; // words
+    const V = new Uint32Array(blockLength * N);
+    let X = new Uint32Array(blockWords);
+    let Y = new Uint32Array(blockLength);
+    const x = new Uint32Array(16);
+    const scratch = new Uint32Array(16);
+
+    for (let i = 0; i < N; i++) {
+        V.set(X, i * blockLength);
+        blockMix(X, Y, r, x, scratch);
+        [X, Y] = [Y, X];
+        if (i % YIELD_EVERY === YIELD_EVERY - 1) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+    for (let i = 0; i < N; i++) {
+        const j = X[(2 * r - 1) * 16] & (N - 1);
+        for (let k = 0; k < blockLength; k++) {
+            X[k] ^= V[j * blockLength + k];
+        }
+        blockMix(X, Y, r, x, scratch);
+        [X, Y] = [Y, X];
+        if (i % YIELD_EVERY === YIELD_EVERY - 1) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+    V.fill(0);
+    return X;
+}
+
+function bytesToWordsLE(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const words = new Uint32Array(bytes.byteLength / 4);
+    for (let i = 0; i < words.length; i++) {
+        words[i] = view.getUint32(i * 4, true);
+    }
+    return words;
+}
+
+function wordsToBytesLE(words, target) {
+    const view = new DataView(target.buffer, target.byteOffset, target.byteLength);
+    for (let i = 0; i < words.length; i++) {
+        view.setUint32(i * 4, words[i], true);
+    }
+}
+
+export function validateScryptParams({ N, r, p }) {
+    if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+        throw new Error('scrypt N must be a power of two greater than 1');
+    }
+    if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+        throw new Error('scrypt r and p must be positive integers');
+    }
+    if (r * p >= 2 ** 30) {
+        throw new Error('scrypt r * p is too large');
+    }
+}
+
+/**
+ * Derives lengthBytes of key material from password and salt bytes.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function scrypt(passwordBytes, saltBytes, params, lengthBytes) {
+    validateScryptParams(params);
+    const { N, r, p } = params;
+    const blockBytes = 128 * r;
+
+    const B = await pbkdf2Sha256(passwordBytes, saltBytes, p * blockBytes);
+    for (let i = 0; i < p; i++) {
+        const chunk = B.subarray(i * blockBytes, (i + 1) * blockBytes);
+        const mixed = await roMix(bytesToWordsLE(chunk), r, N);
+        wordsToBytesLE(mixed, chunk);
+    }
+
+    const derived = await pbkdf2Sha256(passwordBytes, B, lengthBytes);
+    B.fill(0);
+    return derived;
+}
@@ -0,0 +1,91 @@
+/**
+ * Shamir Secret Sharing over GF(2^8)
+ * Splits a byte secret into N shares so that any K of them rebuild it and fewer reveal nothing.
+ * Text encoding of shares lives in recovery-codes.js.
+ */
+
+// GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+(() => {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        EXP[i] = x;
+        LOG[x] = i;
+        x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+    }
+    for (let i = 255; i < 510; i++) {
+        EXP[i] = EXP[i - 255];
+    }
+})();
+
+function gfMul(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function gfDiv(a, b) {
+    if (b === 0) throw new Error('Division by zero in GF(256)');
+    return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+// Horner evaluation; coefficients[0] is the secret byte
+function evaluate(coefficients, x) {
+    let result = 0;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+        result = gfMul(result, x) ^ coefficients[i];
+    }
+    return result;
+}
+
+/**
+ * Splits secret bytes into shareCount shares with the given threshold.
+ * @returns {Array<{index: number, data: Uint8Array}>} share indexes run from 1 to shareCount
+ */
+export function splitSecret(secret, shareCount, threshold) {
+    if (!Number.isInteger(threshold) || !Number.isInteger(shareCount) || threshold < 2 || shareCount < threshold || shareCount > 255) {
+        throw new Error('Shamir shares need 2 <= threshold <= share count <= 255');
+    }
+    const shares = Array.from({ length: shareCount }, (_, i) => ({ index: i + 1, data: new Uint8Array(secret.length) }));
+    const coefficients = new Uint8Array(threshold);
+    for (let byte = 0; byte < secret.length; byte++) {
+        coefficients[0] = secret[byte];
+        crypto.getRandomValues(coefficients.subarray(1));
+        for (const share of shares) {
+            share.data[byte] = evaluate(coefficients, share.index);
+        }
+    }
+    coefficients.fill(0);
+    return shares;
+}
+
+/**
+ * Rebuilds the secret from at least threshold shares (Lagrange interpolation at x = 0).
+ * Extra or wrong shares are not detected here; callers authenticate the result.
+ */
+export function combineShares(shares) {
+    if (!shares || shares.length < 2) {
+        throw new Error('At least two shares are needed');
+    }
+    const indexes = shares.map(share => share.index);
+    if (new Set(indexes).size !== indexes.length || indexes.some(i => i < 1 || i > 255)) {
+        throw new Error('Shares must have distinct indexes between 1 and 255');
+    }
+    const length = shares[0].data.length;
+    if (shares.some(share => share.data.length !== length)) {
+        throw new Error('Shares have different lengths');
+    }
+
+    const secret = new Uint8Array(length);
+    for (let i = 0; i < shares.length; i++) {
+        // Lagrange basis polynomial for share i, evaluated at 0
+        let basis = 1;
+        for (let j = 0; j < shares.length; j++) {
+            if (i === j) continue;
+            basis = gfMul(basis, gfDiv(indexes[j], indexes[i] ^ indexes[j]));
+        }
+        for (let byte = 0; byte < length; byte++) {
+            secret[byte] ^= gfMul(shares[i].data[byte], basis);
+        }
+    }
+    return secret;
+}